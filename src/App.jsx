@@ -4,79 +4,197 @@ import { Upload, Music, Volume2, VolumeX, Play, Pause, SkipBack, SkipForward, Sh
 import Player from './components/Player';
 import Visualizer from './components/Visualizer';
 import Playlist from './components/Playlist';
+import Equalizer from './components/Equalizer';
+import PlaybackSettings from './components/PlaybackSettings';
+import Compressor from './components/Compressor';
+import StereoControls from './components/StereoControls';
+import ReverbControls from './components/ReverbControls';
+import LevelMeters from './components/LevelMeters';
+import EffectChainControls from './components/EffectChainControls';
+import TagEditor from './components/TagEditor';
+import { Toaster } from './components/ui/sonner';
+import { toast } from 'sonner';
+import { useAudioEngine, useAudioEngineEvent } from './hooks/useAudioEngine';
+import { analyzeTrack } from './utils/trackAnalysis';
+import { computeAlbumLoudness } from './utils/loudness';
+import { detectSilence } from './utils/silence';
+import { readTags, readMetadata, TAG_FIELDS } from './utils/metadata';
+import { replayGainFromTags } from './utils/replayGain';
+import { probeFile, ACCEPTED_FILE_TYPES } from './utils/formats';
+import { parsePlaylist, matchPlaylistEntries } from './utils/playlistFormats';
+
+// Pick the track that follows `index`, or null when playback should stop
+const pickNextIndex = (index, length, isShuffled, repeatMode) => {
+  if (length === 0) return null;
+
+  if (isShuffled && length > 1) {
+    // Never pick the current track again, so there is always a real change
+    const offset = 1 + Math.floor(Math.random() * (length - 1));
+    return (index + offset) % length;
+  }
+
+  if (index + 1 < length) return index + 1;
+  return repeatMode === 'all' ? 0 : null;
+};
 
 function App() {
   const [currentTrack, setCurrentTrack] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [playlist, setPlaylist] = useState([]);
   const [currentTrackIndex, setCurrentTrackIndex] = useState(0);
-  const [volume, setVolume] = useState(0.7);
-  const [isMuted, setIsMuted] = useState(false);
   const [duration, setDuration] = useState(0);
   const [currentTime, setCurrentTime] = useState(0);
   const [isShuffled, setIsShuffled] = useState(false);
   const [repeatMode, setRepeatMode] = useState('none'); // 'none', 'one', 'all'
-  const [audioContext, setAudioContext] = useState(null);
-  const [analyser, setAnalyser] = useState(null);
-  const [audioSource, setAudioSource] = useState(null);
+  const [upNextIndex, setUpNextIndex] = useState(null);
+  const [editingTrack, setEditingTrack] = useState(null);
+  const [missingEntries, setMissingEntries] = useState(null); // { source, entries, imported } from the last imported playlist
   
-  const audioRef = useRef(null);
+  const engine = useAudioEngine();
+  const [silenceSettings, setSilenceSettings] = useState(() => engine.getSilenceSettings());
   const fileInputRef = useRef(null);
+  // Set by skips that should crossfade rather than cut
+  const crossfadeNextLoad = useRef(false);
 
-  // Initialize audio context
+  // Swap the engine's source when the track changes; the graph is never rebuilt
   useEffect(() => {
-    const initAudioContext = () => {
-      const context = new (window.AudioContext || window.webkitAudioContext)();
-      const analyserNode = context.createAnalyser();
-      analyserNode.fftSize = 256;
-      analyserNode.smoothingTimeConstant = 0.8;
-      
-      setAudioContext(context);
-      setAnalyser(analyserNode);
-    };
-
-    initAudioContext();
-
-    return () => {
-      if (audioContext) {
-        audioContext.close();
-      }
-    };
-  }, []);
+    engine.loadTrack(currentTrack ? currentTrack.url : null, {
+      crossfade: crossfadeNextLoad.current
+    });
+    crossfadeNextLoad.current = false;
+  }, [engine, currentTrack]);
+
+  useEffect(() => {
+    if (!currentTrack) return;
+
+    if (isPlaying) {
+      engine.play();
+    } else {
+      engine.pause();
+    }
+  }, [engine, currentTrack, isPlaying]);
 
-  // Connect audio element to analyser when track changes
+  // Decide what plays next up front so the engine can buffer it gaplessly.
+  // Shuffle picks here too, so the buffered track is the one that plays.
   useEffect(() => {
-    if (audioRef.current && audioContext && analyser && currentTrack) {
-      if (audioSource) {
-        audioSource.disconnect();
+    setUpNextIndex(pickNextIndex(currentTrackIndex, playlist.length, isShuffled, repeatMode));
+  }, [currentTrackIndex, playlist.length, isShuffled, repeatMode]);
+
+  useEffect(() => {
+    const upNext = upNextIndex !== null ? playlist[upNextIndex] : null;
+    engine.setNextTrack(upNext ? upNext.url : null);
+  }, [engine, playlist, upNextIndex]);
+
+  useEffect(() => {
+    engine.setLoop(repeatMode === 'one');
+  }, [engine, repeatMode]);
+
+  // Hand loudness measurements to the engine, with album figures for album mode
+  useEffect(() => {
+    const albums = computeAlbumLoudness(playlist);
+    playlist.forEach(track => {
+      if (track.loudness) {
+        engine.setTrackLoudness(track.url, { ...track.loudness, album: albums.get(track.album) });
       }
+    });
+  }, [engine, playlist]);
+
+  useEffect(() => {
+    playlist.forEach(track => {
+      if (track.silence) engine.setTrackSilence(track.url, track.silence);
+      if (track.beats) engine.setTrackBeats(track.url, track.beats);
+    });
+  }, [engine, playlist]);
+
+  // Re-detect silence from the stored level envelopes when the threshold
+  // or minimum gap changes
+  useAudioEngineEvent('silencechange', (settings) => {
+    setSilenceSettings(settings);
+    const redetect = track => (track && track.levels ? { ...track, silence: detectSilence(track.levels, settings) } : track);
+    setPlaylist(prev => prev.map(redetect));
+    setCurrentTrack(prev => redetect(prev));
+  });
 
-      const source = audioContext.createMediaElementSource(audioRef.current);
-      source.connect(analyser);
-      analyser.connect(audioContext.destination);
-      setAudioSource(source);
+  // The engine already started the buffered track; just follow along
+  useAudioEngineEvent('trackadvance', ({ url }) => {
+    const index = playlist.findIndex(track => track.url === url);
+    if (index !== -1) {
+      setCurrentTrackIndex(index);
+      setCurrentTrack(playlist[index]);
     }
-  }, [currentTrack, audioContext, analyser]);
+  });
 
-  const handleFileUpload = (event) => {
-    const files = Array.from(event.target.files);
-    const audioFiles = files.filter(file => file.type.startsWith('audio/'));
-    
-    const newTracks = audioFiles.map((file, index) => ({
-      id: Date.now() + index,
-      name: file.name.replace(/\.[^/.]+$/, ''),
-      file: file,
-      url: URL.createObjectURL(file),
-      duration: 0,
-      artist: 'Unknown Artist'
-    }));
-
-    setPlaylist(prev => [...prev, ...newTracks]);
-    
-    if (!currentTrack && newTracks.length > 0) {
-      setCurrentTrack(newTracks[0]);
-      setCurrentTrackIndex(playlist.length);
+  // Keep the index on the current track when tracks are added or moved around it
+  useEffect(() => {
+    if (!currentTrack) return;
+    const index = playlist.findIndex(track => track.id === currentTrack.id);
+    if (index !== -1) setCurrentTrackIndex(index);
+  }, [playlist, currentTrack]);
+
+  useAudioEngineEvent('timeupdate', () => setCurrentTime(engine.getCurrentTime()));
+  useAudioEngineEvent('durationchange', () => setDuration(engine.getDuration()));
+
+  // Only files this browser can decode make it into the playlist; the rest are reported.
+  // They go before the track with id `beforeTrackId`, or at the end.
+  const addFiles = async (files, beforeTrackId = null) => {
+    const probed = await Promise.all(files.map(async file => ({ file, ...(await probeFile(file)) })));
+    const rejected = probed.filter(entry => !entry.playable);
+
+    if (rejected.length === 1) {
+      toast.error(`Can't play ${rejected[0].file.name}`, { description: rejected[0].reason });
+    } else if (rejected.length > 1) {
+      toast.error(`Skipped ${rejected.length} files this browser can't play`, {
+        description: rejected.map(({ file, reason }) => `${file.name}: ${reason}`).join('\n')
+      });
+    }
+
+    const newTracks = probed
+      .filter(entry => entry.playable)
+      .map(({ file, label }, index) => ({
+        id: Date.now() + index,
+        name: file.name.replace(/\.[^/.]+$/, ''),
+        file: file,
+        format: label,
+        url: URL.createObjectURL(file),
+        duration: 0
+      }));
+
+    // The playlist may have changed while the files were probed, so the
+    // position is looked up in the latest one
+    if (newTracks.length > 0) {
+      setPlaylist(prev => {
+        const insertAt = beforeTrackId === null ? -1 : prev.findIndex(track => track.id === beforeTrackId);
+        return insertAt === -1
+          ? [...prev, ...newTracks]
+          : [...prev.slice(0, insertAt), ...newTracks, ...prev.slice(insertAt)];
+      });
+      setCurrentTrack(prev => prev || newTracks[0]);
     }
+
+    newTracks.forEach(track => {
+      // One read of the tags serves the track fields and the analysis
+      const tags = readTags(track.file);
+      readMetadata(track.file, tags).then(patch => updateTrack(track.id, patch));
+      analyzeTrack(track, handleAnalysis, replayGainFromTags(tags));
+    });
+    return newTracks;
+  };
+
+  const handleFileUpload = (event) => {
+    addFiles(Array.from(event.target.files));
+    // Let the same file be picked again
+    event.target.value = '';
+  };
+
+  const handleAnalysis = (trackId, patch) => {
+    const silence = patch.levels ? detectSilence(patch.levels, engine.getSilenceSettings()) : null;
+    updateTrack(trackId, silence ? { ...patch, silence } : patch);
+  };
+
+  // Merge background analysis results into a track
+  const updateTrack = (trackId, patch) => {
+    setPlaylist(prev => prev.map(track => (track.id === trackId ? { ...track, ...patch } : track)));
+    setCurrentTrack(prev => (prev && prev.id === trackId ? { ...prev, ...patch } : prev));
   };
 
   const playTrack = (track, index) => {
@@ -86,16 +204,7 @@ function App() {
   };
 
   const togglePlay = () => {
-    if (audioRef.current) {
-      if (isPlaying) {
-        audioRef.current.pause();
-      } else {
-        // Resume audio context if suspended
-        if (audioContext && audioContext.state === 'suspended') {
-          audioContext.resume();
-        }
-        audioRef.current.play();
-      }
+    if (currentTrack) {
       setIsPlaying(!isPlaying);
     }
   };
@@ -103,13 +212,11 @@ function App() {
   const nextTrack = () => {
     if (playlist.length === 0) return;
     
-    let nextIndex;
-    if (isShuffled) {
-      nextIndex = Math.floor(Math.random() * playlist.length);
-    } else {
-      nextIndex = (currentTrackIndex + 1) % playlist.length;
-    }
+    const nextIndex = upNextIndex !== null
+      ? upNextIndex
+      : (currentTrackIndex + 1) % playlist.length;
     
+    crossfadeNextLoad.current = playlist[nextIndex] !== currentTrack;
     setCurrentTrackIndex(nextIndex);
     setCurrentTrack(playlist[nextIndex]);
     setIsPlaying(true);
@@ -119,6 +226,7 @@ function App() {
     if (playlist.length === 0) return;
     
     const prevIndex = currentTrackIndex === 0 ? playlist.length - 1 : currentTrackIndex - 1;
+    crossfadeNextLoad.current = playlist[prevIndex] !== currentTrack;
     setCurrentTrackIndex(prevIndex);
     setCurrentTrack(playlist[prevIndex]);
     setIsPlaying(true);
@@ -126,15 +234,91 @@ function App() {
 
   const handleTrackEnd = () => {
     if (repeatMode === 'one') {
-      audioRef.current.currentTime = 0;
-      audioRef.current.play();
-    } else if (repeatMode === 'all' || currentTrackIndex < playlist.length - 1) {
+      engine.seek(0);
+      engine.play();
+    } else if (upNextIndex === currentTrackIndex) {
+      // Repeat-all over a single track
+      engine.seek(0);
+      engine.play();
+    } else if (upNextIndex !== null) {
       nextTrack();
     } else {
       setIsPlaying(false);
     }
   };
 
+  useAudioEngineEvent('ended', handleTrackEnd);
+
+  // The sleep timer paused the engine itself
+  useAudioEngineEvent('sleep', () => setIsPlaying(false));
+
+  useAudioEngineEvent('outputdevicelost', ({ label }) => {
+    toast(`${label || 'Output device'} disconnected`, {
+      description: 'Switched to the default output. It will be used again when it reconnects.'
+    });
+  });
+
+  // Arrange the uploaded tracks in the playlist's order; the rest stay at the end
+  const importPlaylist = async (file) => {
+    let entries;
+    let results;
+    try {
+      entries = parsePlaylist(await file.text(), file.name);
+      results = matchPlaylistEntries(entries, playlist);
+    } catch (error) {
+      console.error('Failed to import playlist:', error);
+      toast.error(error.message || 'Could not read that playlist');
+      return;
+    }
+
+    const matched = results.filter(result => result.track).map(result => result.track);
+    const newPlaylist = [...matched, ...playlist.filter(track => !matched.includes(track))];
+    setPlaylist(newPlaylist);
+    if (currentTrack) {
+      setCurrentTrackIndex(newPlaylist.findIndex(track => track.id === currentTrack.id));
+    }
+
+    const missing = results.filter(result => !result.track).map(result => result.entry);
+    const imported = results.map(result => ({ entry: result.entry, trackId: result.track ? result.track.id : null }));
+    setMissingEntries(missing.length ? { source: file.name, entries: missing, imported } : null);
+    toast.success(`Loaded ${file.name}`, {
+      description: `Found ${matched.length} of ${entries.length} tracks`
+    });
+  };
+
+  // A located track goes where its entry is in the imported order: before the
+  // next imported track still in the playlist, or else after the previous one
+  const locateMissingEntry = async (entry, file) => {
+    const { imported } = missingEntries;
+    const position = imported.findIndex(result => result.entry === entry);
+    const present = result => result.trackId !== null && playlist.some(track => track.id === result.trackId);
+    const next = imported.slice(position + 1).find(present);
+    const previous = imported.slice(0, position).reverse().find(present);
+
+    let beforeTrackId = null;
+    if (next) {
+      beforeTrackId = next.trackId;
+    } else if (previous) {
+      const following = playlist[playlist.findIndex(track => track.id === previous.trackId) + 1];
+      beforeTrackId = following ? following.id : null;
+    }
+
+    const added = await addFiles([file], beforeTrackId);
+    if (added.length === 0) return;
+    setMissingEntries(prev => {
+      const entries = prev.entries.filter(other => other !== entry);
+      const located = prev.imported.map(result => (result.entry === entry ? { entry, trackId: added[0].id } : result));
+      return entries.length ? { ...prev, entries, imported: located } : null;
+    });
+  };
+
+  // The edited copy replaces the track's file; removed tags fall back to the defaults
+  const handleTagsSaved = async (track, file) => {
+    const tags = await readMetadata(file);
+    const cleared = Object.fromEntries([...TAG_FIELDS, 'artwork'].map(field => [field, undefined]));
+    updateTrack(track.id, { ...cleared, name: file.name.replace(/\.[^/.]+$/, ''), file, ...tags });
+  };
+
   const removeTrack = (trackId) => {
     const trackIndex = playlist.findIndex(track => track.id === trackId);
     const newPlaylist = playlist.filter(track => track.id !== trackId);
@@ -199,7 +383,7 @@ function App() {
               ref={fileInputRef}
               type="file"
               multiple
-              accept=".mp3,audio/mpeg"
+              accept={ACCEPTED_FILE_TYPES}
               onChange={handleFileUpload}
               className="hidden"
             />
@@ -216,7 +400,6 @@ function App() {
           >
             <div className="backdrop-blur-md bg-white/10 border border-white/20 rounded-2xl p-6 h-96">
               <Visualizer 
-                analyser={analyser}
                 isPlaying={isPlaying}
                 currentTrack={currentTrack}
               />
@@ -230,16 +413,51 @@ function App() {
             className="lg:col-span-1"
           >
             <Playlist
-              playlist={playlist}
+              tracks={playlist}
               currentTrack={currentTrack}
               currentTrackIndex={currentTrackIndex}
               onTrackSelect={playTrack}
               onTrackRemove={removeTrack}
+              onTrackEdit={setEditingTrack}
+              onPlaylistImport={importPlaylist}
+              missingEntries={missingEntries}
+              onLocateMissing={locateMissingEntry}
+              onDismissMissing={() => setMissingEntries(null)}
               isPlaying={isPlaying}
+              silenceSettings={silenceSettings}
             />
           </motion.div>
         </div>
 
+        {/* Sound Controls */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="grid grid-cols-1 lg:grid-cols-3 gap-8 mt-8 pb-64"
+        >
+          <div className="lg:col-span-2">
+            <Equalizer />
+          </div>
+          <div className="lg:col-span-1">
+            <StereoControls />
+          </div>
+          <div className="lg:col-span-1">
+            <PlaybackSettings />
+          </div>
+          <div className="lg:col-span-1">
+            <Compressor />
+          </div>
+          <div className="lg:col-span-1">
+            <ReverbControls />
+          </div>
+          <div className="lg:col-span-1">
+            <EffectChainControls />
+          </div>
+          <div className="lg:col-span-1">
+            <LevelMeters />
+          </div>
+        </motion.div>
+
         {/* Player Controls */}
         <AnimatePresence>
           {currentTrack && (
@@ -252,17 +470,13 @@ function App() {
               <Player
                 currentTrack={currentTrack}
                 isPlaying={isPlaying}
-                volume={volume}
-                isMuted={isMuted}
                 duration={duration}
                 currentTime={currentTime}
                 isShuffled={isShuffled}
                 repeatMode={repeatMode}
-                onPlay={togglePlay}
+                onPlayPause={togglePlay}
                 onNext={nextTrack}
                 onPrevious={previousTrack}
-                onVolumeChange={setVolume}
-                onMute={() => setIsMuted(!isMuted)}
                 onShuffle={() => setIsShuffled(!isShuffled)}
                 onRepeat={() => {
                   const modes = ['none', 'all', 'one'];
@@ -271,33 +485,32 @@ function App() {
                   setRepeatMode(nextMode);
                 }}
                 onSeek={(time) => {
-                  if (audioRef.current) {
-                    audioRef.current.currentTime = time;
-                    setCurrentTime(time);
-                  }
+                  engine.seek(time);
+                  setCurrentTime(time);
                 }}
-                audioRef={audioRef}
-                onTimeUpdate={(time) => setCurrentTime(time)}
-                onDurationChange={(dur) => setDuration(dur)}
-                onTrackEnd={handleTrackEnd}
+                onTrackUpload={(file) => addFiles([file])}
               />
             </motion.div>
           )}
         </AnimatePresence>
-
-        {/* Hidden audio element */}
-        {currentTrack && (
-          <audio
-            ref={audioRef}
-            src={currentTrack.url}
-            onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
-            onLoadedMetadata={(e) => setDuration(e.target.duration)}
-            onEnded={handleTrackEnd}
-            volume={isMuted ? 0 : volume}
-            crossOrigin="anonymous"
-          />
-        )}
       </div>
+
+      <TagEditor
+        track={editingTrack}
+        onClose={() => setEditingTrack(null)}
+        onSaved={handleTagsSaved}
+      />
+
+      <Toaster
+        theme="dark"
+        position="top-center"
+        toastOptions={{
+          classNames: {
+            toast: 'bg-gray-900/90 backdrop-blur-lg border border-white/20 text-white',
+            description: 'text-white/70'
+          }
+        }}
+      />
     </div>
   );
 }
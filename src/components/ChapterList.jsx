@@ -0,0 +1,69 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react'
+
+// Going back within this many seconds of a chapter's start skips to the one before
+const RESTART_WINDOW = 3
+
+const formatChapterTime = (time) => {
+  const hours = Math.floor(time / 3600)
+  const minutes = Math.floor((time % 3600) / 60)
+  const seconds = Math.floor(time % 60).toString().padStart(2, '0')
+  return hours ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`
+}
+
+// Chapters of the current track (audiobooks, mixes), shown inside the player
+const ChapterList = ({ chapters, currentIndex, currentTime, onSeek }) => {
+  const current = chapters[currentIndex]
+  const canRestart = current && currentTime - current.start > RESTART_WINDOW
+
+  const previous = () => {
+    if (canRestart) {
+      onSeek(current.start)
+    } else if (currentIndex > 0) {
+      onSeek(chapters[currentIndex - 1].start)
+    }
+  }
+
+  return (
+    <div className="mb-6 p-4 rounded-xl bg-white/5 border border-white/10">
+      <div className="flex items-center gap-2 mb-2">
+        <button
+          onClick={previous}
+          disabled={currentIndex <= 0 && !canRestart}
+          className="p-1 rounded text-white/70 hover:text-white disabled:opacity-30"
+          title="Previous chapter"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span className="flex-1 text-center text-xs text-white/70">
+          Chapter {currentIndex + 1} of {chapters.length}
+        </span>
+        <button
+          onClick={() => onSeek(chapters[currentIndex + 1].start)}
+          disabled={currentIndex >= chapters.length - 1}
+          className="p-1 rounded text-white/70 hover:text-white disabled:opacity-30"
+          title="Next chapter"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="max-h-48 overflow-y-auto space-y-1">
+        {chapters.map((chapter, index) => (
+          <button
+            key={`${chapter.start}-${index}`}
+            onClick={() => onSeek(chapter.start)}
+            className={`w-full flex items-center gap-3 px-2 py-1 rounded-md text-left text-sm transition-colors ${
+              index === currentIndex ? 'bg-orange-500/30 text-orange-100' : 'text-white/80 hover:bg-white/10'
+            }`}
+          >
+            <span className="w-6 text-xs text-white/50 font-mono">{index + 1}</span>
+            <span className="flex-1 truncate">{chapter.title || `Chapter ${index + 1}`}</span>
+            <span className="text-xs text-white/50 font-mono">{formatChapterTime(chapter.start)}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ChapterList
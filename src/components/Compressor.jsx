@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Gauge } from 'lucide-react';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+import { DYNAMICS_PRESETS, COMPRESSOR_RANGES } from '../utils/dynamics';
+import { Toggle, Slider } from './SettingControls';
+
+const PARAM_LABELS = {
+  threshold: 'Threshold',
+  ratio: 'Ratio',
+  knee: 'Knee',
+  attack: 'Attack',
+  release: 'Release',
+  makeup: 'Makeup gain'
+};
+
+const formatParam = (key, value) => {
+  const { unit } = COMPRESSOR_RANGES[key];
+  if (unit === 's') return `${Math.round(value * 1000)} ms`;
+  if (unit === ':1') return `${value}:1`;
+  return `${value} dB`;
+};
+
+const Compressor = () => {
+  const engine = useAudioEngine();
+  const [settings, setSettings] = useState(() => engine.getDynamicsSettings());
+
+  useAudioEngineEvent('dynamicschange', setSettings);
+
+  const { compressorEnabled, limiterEnabled, params } = settings;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-xl"
+    >
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-lg">
+          <Gauge className="w-5 h-5 text-white" />
+        </div>
+        <h3 className="text-xl font-semibold text-white">Dynamics</h3>
+      </div>
+
+      <div className="space-y-4">
+        <Toggle
+          label="Compressor"
+          description="Even out quiet and loud passages"
+          checked={compressorEnabled}
+          onChange={(enabled) => engine.setDynamics({ compressorEnabled: enabled })}
+        />
+
+        <select
+          value=""
+          onChange={(e) => {
+            const preset = DYNAMICS_PRESETS[e.target.value];
+            if (preset) engine.setDynamics({ params: preset, compressorEnabled: true });
+          }}
+          className="w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white"
+        >
+          <option value="" className="text-black">Load preset…</option>
+          {Object.keys(DYNAMICS_PRESETS).map((name) => (
+            <option key={name} value={name} className="text-black">{name}</option>
+          ))}
+        </select>
+
+        <div className="grid grid-cols-2 gap-3">
+          {Object.entries(COMPRESSOR_RANGES).map(([key, range]) => (
+            <Slider
+              key={key}
+              label={PARAM_LABELS[key]}
+              value={params[key]}
+              min={range.min}
+              max={range.max}
+              step={range.step}
+              format={(value) => formatParam(key, value)}
+              onChange={(value) => engine.setDynamics({ params: { [key]: value } })}
+              disabled={!compressorEnabled}
+            />
+          ))}
+        </div>
+
+        <Toggle
+          label="Brickwall limiter"
+          description="Catch peaks above -1 dBFS"
+          checked={limiterEnabled}
+          onChange={(enabled) => engine.setDynamics({ limiterEnabled: enabled })}
+        />
+      </div>
+    </motion.div>
+  );
+};
+
+export default Compressor;
@@ -0,0 +1,220 @@
+import { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Layers, ChevronUp, ChevronDown, Power, X, Download, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+import { EFFECT_TYPES, BUILT_IN_EFFECTS } from '../utils/effects';
+import { Toggle, Segmented, Slider } from './SettingControls';
+
+const formatParamValue = ({ unit }, value) => {
+  if (unit === '%') return `${Math.round(value * 100)}%`;
+  if (unit === 'Hz') {
+    if (value >= 1000) return `${(value / 1000).toFixed(1)} kHz`;
+    return value < 100 ? `${value.toFixed(1)} Hz` : `${Math.round(value)} Hz`;
+  }
+  if (unit === 's') return `${Math.round(value * 1000)} ms`;
+  if (unit === 'dB') return `${value > 0 ? '+' : ''}${value} dB`;
+  return value.toFixed(1);
+};
+
+// Log-scaled parameters use a 0..1 slider position
+const toPosition = ({ min, max }, value) => Math.log(value / min) / Math.log(max / min);
+const fromPosition = ({ min, max }, position) => min * Math.pow(max / min, position);
+
+/**
+ * One control per declared parameter
+ */
+const ParamControl = ({ param, value, onChange }) => {
+  if (param.type === 'boolean') {
+    return <Toggle label={param.label} checked={value} onChange={onChange} />;
+  }
+
+  if (param.type === 'select') {
+    return (
+      <div>
+        <p className="text-xs text-white/70 mb-1">{param.label}</p>
+        <Segmented options={param.options} value={value} onChange={onChange} />
+      </div>
+    );
+  }
+
+  if (param.scale === 'log') {
+    return (
+      <Slider
+        label={param.label}
+        value={toPosition(param, value)}
+        min={0}
+        max={1}
+        step="0.001"
+        format={(position) => formatParamValue(param, fromPosition(param, position))}
+        onChange={(position) => onChange(Math.round(fromPosition(param, position)))}
+      />
+    );
+  }
+
+  return (
+    <Slider
+      label={param.label}
+      value={value}
+      min={param.min}
+      max={param.max}
+      step={param.step}
+      format={(v) => formatParamValue(param, v)}
+      onChange={onChange}
+    />
+  );
+};
+
+const EffectChainControls = () => {
+  const engine = useAudioEngine();
+  const [chain, setChain] = useState(() => engine.getEffectChain());
+  const fileInputRef = useRef(null);
+
+  useAudioEngineEvent('effectchainchange', setChain);
+
+  const handleExport = () => {
+    const blob = new Blob([engine.exportEffectChain()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'effect-chain.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      engine.importEffectChain(await file.text());
+      toast.success(`Loaded effects from ${file.name}`);
+    } catch (error) {
+      console.error('Failed to import effect chain:', error);
+      toast.error(error.message || 'Could not read that file');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-xl"
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-lg">
+            <Layers className="w-5 h-5 text-white" />
+          </div>
+          <h3 className="text-xl font-semibold text-white">Effects</h3>
+        </div>
+        <div className="flex gap-1">
+          <button
+            onClick={handleExport}
+            className="p-2 text-white/70 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
+            title="Save effect setup"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="p-2 text-white/70 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
+            title="Load effect setup"
+          >
+            <Upload className="w-4 h-4" />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      <p className="text-xs text-white/50 mb-3">Signal flows from top to bottom</p>
+
+      <div className="space-y-2">
+        {chain.map((effect, index) => (
+          <div
+            key={effect.id}
+            className={`rounded-lg border border-white/10 bg-white/5 p-3 ${effect.bypassed ? 'opacity-50' : ''}`}
+          >
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => engine.setEffectBypassed(effect.id, !effect.bypassed)}
+                className={`p-1 rounded transition-colors ${effect.bypassed ? 'text-white/40' : 'text-orange-300'}`}
+                title={effect.bypassed ? 'Turn on' : 'Bypass'}
+              >
+                <Power className="w-4 h-4" />
+              </button>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white truncate">{effect.label}</p>
+                {effect.builtIn && (
+                  <p className="text-xs text-white/40">Set up in the {BUILT_IN_EFFECTS[effect.type].panel}</p>
+                )}
+              </div>
+              <button
+                onClick={() => engine.moveEffect(effect.id, index - 1)}
+                disabled={index === 0}
+                className="p-1 text-white/60 hover:text-white disabled:opacity-30 transition-colors"
+                title="Move up"
+              >
+                <ChevronUp className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => engine.moveEffect(effect.id, index + 1)}
+                disabled={index === chain.length - 1}
+                className="p-1 text-white/60 hover:text-white disabled:opacity-30 transition-colors"
+                title="Move down"
+              >
+                <ChevronDown className="w-4 h-4" />
+              </button>
+              {!effect.builtIn && (
+                <button
+                  onClick={() => engine.removeEffect(effect.id)}
+                  className="p-1 text-white/60 hover:text-red-300 transition-colors"
+                  title="Remove"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+
+            {effect.params && !effect.bypassed && (
+              <div className="mt-3 space-y-3">
+                {effect.params.map((param) => (
+                  <ParamControl
+                    key={param.key}
+                    param={param}
+                    value={effect.settings[param.key]}
+                    onChange={(value) => engine.setEffectSettings(effect.id, { [param.key]: value })}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <select
+        value=""
+        onChange={(e) => {
+          if (e.target.value) engine.addEffect(e.target.value);
+        }}
+        className="w-full mt-4 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white"
+      >
+        <option value="" className="text-black">Add effect…</option>
+        {Object.entries(EFFECT_TYPES).map(([type, { label, description }]) => (
+          <option key={type} value={type} className="text-black">{label} — {description}</option>
+        ))}
+      </select>
+    </motion.div>
+  );
+};
+
+export default EffectChainControls;
@@ -0,0 +1,272 @@
+import { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { SlidersHorizontal, Save, Trash2, Plus, Minus, Power } from 'lucide-react';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+import {
+  EQ_PRESETS,
+  FILTER_TYPES,
+  MIN_GAIN,
+  MAX_GAIN,
+  loadUserPresets,
+  saveUserPreset,
+  deleteUserPreset
+} from '../utils/equalizer';
+
+// Frequencies sampled for the response curve, log-spaced 20 Hz - 20 kHz
+const CURVE_POINTS = 256;
+const CURVE_FREQUENCIES = Array.from({ length: CURVE_POINTS }, (_, i) =>
+  20 * Math.pow(1000, i / (CURVE_POINTS - 1))
+);
+const CURVE_RANGE_DB = 15;
+
+const formatFrequency = (frequency) =>
+  frequency >= 1000 ? `${(frequency / 1000).toFixed(frequency % 1000 ? 1 : 0)}k` : `${Math.round(frequency)}`;
+
+const Equalizer = () => {
+  const engine = useAudioEngine();
+  const canvasRef = useRef(null);
+  const [settings, setSettings] = useState(() => engine.getEqualizerSettings());
+  const [selectedBand, setSelectedBand] = useState(0);
+  const [userPresets, setUserPresets] = useState(() => loadUserPresets());
+  const [presetName, setPresetName] = useState('');
+
+  useAudioEngineEvent('equalizerchange', setSettings);
+
+  const { enabled, bands } = settings;
+  const band = bands[selectedBand];
+
+  // Redraw the combined response whenever the bands change
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * window.devicePixelRatio;
+    canvas.height = rect.height * window.devicePixelRatio;
+    ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+
+    const width = rect.width;
+    const height = rect.height;
+    const dbToY = (db) => height / 2 - (db / CURVE_RANGE_DB) * (height / 2);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Grid: 0 dB line and decade markers
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, dbToY(0));
+    ctx.lineTo(width, dbToY(0));
+    [100, 1000, 10000].forEach((frequency) => {
+      const x = (Math.log10(frequency / 20) / 3) * width;
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    });
+    ctx.stroke();
+
+    const response = engine.getEqualizerResponse(CURVE_FREQUENCIES);
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#fb923c');
+    gradient.addColorStop(1, '#ec4899');
+
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    response.forEach((db, i) => {
+      const x = (i / (CURVE_POINTS - 1)) * width;
+      const y = dbToY(Math.max(-CURVE_RANGE_DB, Math.min(CURVE_RANGE_DB, db)));
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+  }, [engine, settings]);
+
+  const applyPreset = (name) => {
+    const preset = EQ_PRESETS[name] || userPresets[name];
+    if (preset) {
+      engine.setEqualizerBands(preset);
+      setSelectedBand(0);
+    }
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    setUserPresets(saveUserPreset(name, bands));
+    setPresetName('');
+  };
+
+  const addBand = () => {
+    engine.setEqualizerBands([...bands, { type: 'peaking', frequency: 1000, gain: 0, q: 1 }]);
+    setSelectedBand(bands.length);
+  };
+
+  const removeBand = () => {
+    if (bands.length <= 1) return;
+    engine.setEqualizerBands(bands.filter((_, index) => index !== selectedBand));
+    setSelectedBand(Math.max(0, selectedBand - 1));
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-xl"
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-lg">
+            <SlidersHorizontal className="w-5 h-5 text-white" />
+          </div>
+          <h3 className="text-xl font-semibold text-white">Equalizer</h3>
+        </div>
+
+        <button
+          onClick={() => engine.setEqualizerEnabled(!enabled)}
+          className={`p-2 rounded-lg transition-all duration-200 ${
+            enabled ? 'bg-orange-500/30 text-orange-200' : 'bg-white/10 text-white/50 hover:bg-white/20'
+          }`}
+          title={enabled ? 'Bypass equalizer' : 'Enable equalizer'}
+        >
+          <Power className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Response curve */}
+      <canvas
+        ref={canvasRef}
+        className={`w-full h-24 rounded-xl bg-black/10 mb-4 transition-opacity ${enabled ? '' : 'opacity-40'}`}
+      />
+
+      {/* Band gains */}
+      <div className="flex justify-between gap-1 mb-4">
+        {bands.map((item, index) => (
+          <div key={index} className="flex flex-col items-center gap-1 flex-1 min-w-0">
+            <span className="text-[10px] text-white/60">{item.gain > 0 ? '+' : ''}{item.gain.toFixed(1)}</span>
+            <input
+              type="range"
+              min={MIN_GAIN}
+              max={MAX_GAIN}
+              step="0.5"
+              value={item.gain}
+              onChange={(e) => engine.setEqualizerBand(index, { gain: parseFloat(e.target.value) })}
+              onFocus={() => setSelectedBand(index)}
+              className="h-24 cursor-pointer accent-orange-400"
+              style={{ writingMode: 'vertical-lr', direction: 'rtl' }}
+              disabled={!enabled}
+            />
+            <button
+              onClick={() => setSelectedBand(index)}
+              className={`text-[10px] ${selectedBand === index ? 'text-orange-300' : 'text-white/50'}`}
+            >
+              {formatFrequency(item.frequency)}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Parametric editing of the selected band */}
+      {band && (
+        <div className="grid grid-cols-4 gap-2 mb-4 text-xs text-white/70">
+          <select
+            value={band.type}
+            onChange={(e) => engine.setEqualizerBand(selectedBand, { type: e.target.value })}
+            className="col-span-2 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+          >
+            {FILTER_TYPES.map((type) => (
+              <option key={type} value={type} className="text-black">{type}</option>
+            ))}
+          </select>
+          <div className="col-span-2 flex gap-2 justify-end">
+            <button onClick={addBand} className="p-1 rounded-lg bg-white/10 hover:bg-white/20" title="Add band">
+              <Plus className="w-4 h-4 text-white" />
+            </button>
+            <button onClick={removeBand} className="p-1 rounded-lg bg-white/10 hover:bg-white/20" title="Remove band">
+              <Minus className="w-4 h-4 text-white" />
+            </button>
+          </div>
+          <label className="col-span-2 flex items-center gap-2">
+            Hz
+            <input
+              type="number"
+              min="20"
+              max="20000"
+              value={Math.round(band.frequency)}
+              onChange={(e) => engine.setEqualizerBand(selectedBand, { frequency: parseFloat(e.target.value) })}
+              className="w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+            />
+          </label>
+          <label className="col-span-2 flex items-center gap-2">
+            Q
+            <input
+              type="number"
+              min="0.1"
+              max="18"
+              step="0.1"
+              value={band.q}
+              onChange={(e) => engine.setEqualizerBand(selectedBand, { q: parseFloat(e.target.value) })}
+              className="w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+            />
+          </label>
+        </div>
+      )}
+
+      {/* Presets */}
+      <div className="flex flex-col gap-2">
+        <select
+          value=""
+          onChange={(e) => applyPreset(e.target.value)}
+          className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white"
+        >
+          <option value="" className="text-black">Load preset…</option>
+          <optgroup label="Built-in" className="text-black">
+            {Object.keys(EQ_PRESETS).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </optgroup>
+          {Object.keys(userPresets).length > 0 && (
+            <optgroup label="Saved" className="text-black">
+              {Object.keys(userPresets).map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white placeholder:text-white/40"
+          />
+          <button
+            onClick={handleSavePreset}
+            className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+            title="Save preset"
+          >
+            <Save className="w-4 h-4 text-white" />
+          </button>
+          {userPresets[presetName.trim()] && (
+            <button
+              onClick={() => setUserPresets(deleteUserPreset(presetName.trim()))}
+              className="p-2 rounded-lg bg-white/10 hover:bg-red-400/20 transition-colors"
+              title="Delete preset"
+            >
+              <Trash2 className="w-4 h-4 text-white" />
+            </button>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default Equalizer;
@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from 'react'
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine'
+
+// Full scale of the meter in dB of reduction
+const METER_RANGE = 20
+
+const GainReductionMeter = ({ isPlaying }) => {
+  const engine = useAudioEngine()
+  const barRef = useRef(null)
+  const labelRef = useRef(null)
+  const [settings, setSettings] = useState(() => engine.getDynamicsSettings())
+
+  useAudioEngineEvent('dynamicschange', setSettings)
+
+  const active = settings.compressorEnabled || settings.limiterEnabled
+
+  // Poll the compressor every frame and write straight to the DOM; a
+  // React render per frame would be wasted work
+  useEffect(() => {
+    if (!active) return
+
+    let frame
+    const update = () => {
+      const reduction = Math.min(0, engine.getGainReduction())
+      const percent = Math.min(100, (-reduction / METER_RANGE) * 100)
+      if (barRef.current) barRef.current.style.width = `${percent}%`
+      if (labelRef.current) labelRef.current.textContent = reduction.toFixed(1)
+      frame = requestAnimationFrame(update)
+    }
+
+    if (isPlaying) {
+      update()
+    } else if (barRef.current) {
+      barRef.current.style.width = '0%'
+    }
+
+    return () => cancelAnimationFrame(frame)
+  }, [engine, active, isPlaying])
+
+  if (!active) return null
+
+  return (
+    <div className="flex items-center gap-2" title="Gain reduction (dB)">
+      <span className="text-[10px] text-white/50">GR</span>
+      <div className="relative w-16 h-2 bg-white/10 rounded-full overflow-hidden">
+        <div
+          ref={barRef}
+          className="absolute top-0 right-0 h-full bg-gradient-to-l from-yellow-300 to-red-500 rounded-full"
+          style={{ width: '0%' }}
+        />
+      </div>
+      <span ref={labelRef} className="text-xs text-white/60 w-8 text-right font-mono">0.0</span>
+    </div>
+  )
+}
+
+export default GainReductionMeter
@@ -0,0 +1,148 @@
+import { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Activity, RotateCcw } from 'lucide-react';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+
+// Bar scales in dB
+const LOUDNESS_RANGE = { min: -60, max: 0 };
+const PEAK_RANGE = { min: -60, max: 3 };
+
+// How long a true-peak hold marker stays before following the signal
+const PEAK_HOLD_MS = 2000;
+
+const formatDb = (value, unit) => (Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : `−∞ ${unit}`);
+
+const toPercent = (value, { min, max }) =>
+  Number.isFinite(value) ? Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100)) : 0;
+
+const MeterBar = ({ label, value, unit, range, hold, warnAbove }) => (
+  <div>
+    <div className="flex items-center justify-between mb-1">
+      <p className="text-xs text-white/70">{label}</p>
+      <span className={`text-xs font-mono ${warnAbove !== undefined && value > warnAbove ? 'text-red-300' : 'text-white/60'}`}>
+        {formatDb(value, unit)}
+      </span>
+    </div>
+    <div className="relative h-2 bg-white/10 rounded-full overflow-hidden">
+      <div
+        className="absolute top-0 left-0 h-full bg-gradient-to-r from-orange-400 to-pink-500"
+        style={{ width: `${toPercent(value, range)}%` }}
+      />
+      {hold !== undefined && Number.isFinite(hold) && (
+        <div
+          className={`absolute top-0 h-full w-0.5 ${hold > warnAbove ? 'bg-red-400' : 'bg-white'}`}
+          style={{ left: `${toPercent(hold, range)}%` }}
+        />
+      )}
+    </div>
+  </div>
+);
+
+const LevelMeters = () => {
+  const engine = useAudioEngine();
+  const [reading, setReading] = useState(() => engine.getMeterReading());
+  const [maxTruePeak, setMaxTruePeak] = useState(-Infinity);
+  const holds = useRef([{ value: -Infinity, time: 0 }, { value: -Infinity, time: 0 }]);
+
+  useAudioEngineEvent('meter', (next) => {
+    const now = performance.now();
+    next.truePeak.forEach((peak, channel) => {
+      const hold = holds.current[channel];
+      if (peak >= hold.value || now - hold.time > PEAK_HOLD_MS) {
+        holds.current[channel] = { value: peak, time: now };
+      }
+    });
+    setMaxTruePeak((max) => Math.max(max, ...next.truePeak));
+    setReading(next);
+  });
+
+  useAudioEngineEvent('meterreset', () => setMaxTruePeak(-Infinity));
+
+  const { momentary, shortTerm, integrated, truePeak, rms, correlation } = reading;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-xl"
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-lg">
+            <Activity className="w-5 h-5 text-white" />
+          </div>
+          <h3 className="text-xl font-semibold text-white">Meters</h3>
+        </div>
+        <button
+          onClick={() => engine.resetMeter()}
+          className="p-2 text-white/70 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
+          title="Reset integrated loudness and peak"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        <MeterBar label="Momentary" value={momentary} unit="LUFS" range={LOUDNESS_RANGE} />
+        <MeterBar label="Short-term" value={shortTerm} unit="LUFS" range={LOUDNESS_RANGE} />
+
+        <div className="flex items-center justify-between">
+          <p className="text-xs text-white/70">Integrated</p>
+          <span className="text-sm font-mono text-white">{formatDb(integrated, 'LUFS')}</span>
+        </div>
+
+        <div className="pt-3 border-t border-white/10 space-y-3">
+          {['L', 'R'].map((side, channel) => (
+            <MeterBar
+              key={side}
+              label={`True peak ${side}`}
+              value={truePeak[channel]}
+              unit="dBTP"
+              range={PEAK_RANGE}
+              hold={holds.current[channel].value}
+              warnAbove={-1}
+            />
+          ))}
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-white/70">Max true peak</span>
+            <span className={`font-mono ${maxTruePeak > -1 ? 'text-red-300' : 'text-white/60'}`}>
+              {formatDb(maxTruePeak, 'dBTP')}
+            </span>
+          </div>
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-white/70">RMS</span>
+            <span className="font-mono text-white/60">
+              L {formatDb(rms[0], 'dB')} · R {formatDb(rms[1], 'dB')}
+            </span>
+          </div>
+        </div>
+
+        {/* Correlation: -1 (out of phase) .. +1 (mono) */}
+        <div className="pt-3 border-t border-white/10">
+          <div className="flex items-center justify-between mb-1">
+            <p className="text-xs text-white/70">Phase correlation</p>
+            <span className={`text-xs font-mono ${correlation < 0 ? 'text-red-300' : 'text-white/60'}`}>
+              {correlation >= 0 ? '+' : ''}{correlation.toFixed(2)}
+            </span>
+          </div>
+          <div className="relative h-2 bg-white/10 rounded-full">
+            <div className="absolute top-0 left-1/2 h-full w-px bg-white/30" />
+            <div
+              className={`absolute -top-0.5 h-3 w-1.5 -ml-[3px] rounded-sm ${correlation < 0 ? 'bg-red-400' : 'bg-orange-200'}`}
+              style={{ left: `${((correlation + 1) / 2) * 100}%` }}
+            />
+          </div>
+          <div className="flex justify-between text-[10px] text-white/40 mt-1">
+            <span>−1</span>
+            <span>0</span>
+            <span>+1</span>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default LevelMeters;
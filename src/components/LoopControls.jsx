@@ -0,0 +1,115 @@
+import { Minus, Plus, X, Repeat } from 'lucide-react'
+import { useAudioEngine } from '../hooks/useAudioEngine'
+
+// Seconds a nudge button moves a loop point
+const NUDGE_STEP = 0.1
+
+const REPEAT_OPTIONS = [0, 2, 3, 4, 5, 8, 10]
+
+const formatLoopTime = (time) => {
+  if (time === null) return '--:--.-'
+  const minutes = Math.floor(time / 60)
+  const seconds = (time % 60).toFixed(1).padStart(4, '0')
+  return `${minutes}:${seconds}`
+}
+
+const LoopPoint = ({ label, time, onSet, onNudge }) => (
+  <div className="flex items-center gap-1">
+    <button
+      onClick={onSet}
+      className="px-2 py-0.5 rounded-md bg-white/10 hover:bg-white/20 text-white text-xs font-semibold transition-colors"
+      title={`Set ${label} to the current position`}
+    >
+      {label}
+    </button>
+    <button
+      onClick={() => onNudge(-NUDGE_STEP)}
+      disabled={time === null}
+      className="p-0.5 rounded text-white/70 hover:text-white disabled:opacity-30"
+      title={`Move ${label} back ${NUDGE_STEP}s`}
+    >
+      <Minus className="w-3 h-3" />
+    </button>
+    <span className="font-mono text-xs text-white/80 w-14 text-center">{formatLoopTime(time)}</span>
+    <button
+      onClick={() => onNudge(NUDGE_STEP)}
+      disabled={time === null}
+      className="p-0.5 rounded text-white/70 hover:text-white disabled:opacity-30"
+      title={`Move ${label} forward ${NUDGE_STEP}s`}
+    >
+      <Plus className="w-3 h-3" />
+    </button>
+  </div>
+)
+
+// A-B loop points, nudging and repeat count, shown under the progress bar
+const LoopControls = ({ loop }) => {
+  const engine = useAudioEngine()
+  const { start, end, enabled, repeat, count } = loop
+  const hasRegion = start !== null && end !== null
+
+  const nudge = (point, delta) => {
+    engine.setLoopRegion({ [point]: loop[point] + delta })
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mt-2 text-white/70">
+      <LoopPoint
+        label="A"
+        time={start}
+        onSet={() => engine.setLoopPoint('start', engine.getCurrentTime())}
+        onNudge={(delta) => nudge('start', delta)}
+      />
+      <LoopPoint
+        label="B"
+        time={end}
+        onSet={() => engine.setLoopPoint('end', engine.getCurrentTime())}
+        onNudge={(delta) => nudge('end', delta)}
+      />
+
+      <button
+        onClick={() => engine.setLoopRegion({ enabled: !enabled })}
+        disabled={!hasRegion}
+        className={`p-1 rounded-md transition-colors disabled:opacity-30 ${
+          enabled ? 'bg-orange-500/30 text-orange-200' : 'bg-white/10 hover:bg-white/20 text-white'
+        }`}
+        title="Loop region on/off"
+      >
+        <Repeat className="w-3 h-3" />
+      </button>
+
+      <select
+        value={repeat}
+        onChange={(e) => engine.setLoopRegion({ repeat: Number(e.target.value) })}
+        className="bg-white/10 border border-white/20 rounded-lg px-2 py-0.5 text-xs text-white"
+        title="How many times the region plays before the track continues"
+      >
+        {REPEAT_OPTIONS.map((option) => (
+          <option key={option} value={option} className="text-black">
+            {option === 0 ? 'Loop forever' : `Play ${option}× then continue`}
+          </option>
+        ))}
+      </select>
+
+      {hasRegion && repeat > 0 && (
+        <span className="text-xs font-mono">{Math.min(count + 1, repeat)}/{repeat}</span>
+      )}
+
+      {(start !== null || end !== null) && (
+        <button
+          onClick={() => engine.clearLoopRegion()}
+          className="p-1 rounded-md bg-white/10 hover:bg-white/20 text-white transition-colors"
+          title="Clear loop ( \ )"
+        >
+          <X className="w-3 h-3" />
+        </button>
+      )}
+
+      <span className="ml-auto text-xs text-white/40 hidden md:inline">
+        Shift-drag to select · [ ] set A/B · \ clear
+      </span>
+    </div>
+  )
+}
+
+export default LoopControls
@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+
+// Output device picker; hidden where the browser cannot choose a device
+const OutputDeviceSelect = () => {
+  const engine = useAudioEngine();
+  const [devices, setDevices] = useState([]);
+  const [output, setOutput] = useState(() => engine.getOutputDevice());
+
+  useAudioEngineEvent('outputdevicechange', setOutput);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices) return;
+
+    const refresh = () => engine.listOutputDevices().then(setDevices).catch((error) => {
+      console.error('Failed to list output devices:', error);
+    });
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    refresh();
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [engine]);
+
+  if (!engine.supportsOutputSelection()) return null;
+
+  const handleChange = async (deviceId) => {
+    try {
+      await engine.setOutputDevice(deviceId);
+    } catch (error) {
+      console.error('Failed to switch output device:', error);
+      toast.error('Could not switch output device', { description: error.message });
+    }
+  };
+
+  // The remembered device may be unplugged; keep showing it as the choice
+  const missing = output.preferred && !devices.some((device) => device.deviceId === output.preferred);
+
+  return (
+    <div>
+      <p className="text-sm text-white mb-2">Output device</p>
+      <select
+        value={output.preferred}
+        onChange={(e) => handleChange(e.target.value)}
+        className="w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white"
+      >
+        <option value="" className="text-black">System default</option>
+        {devices.map((device) => (
+          <option key={device.deviceId} value={device.deviceId} className="text-black">
+            {device.label}
+          </option>
+        ))}
+        {missing && (
+          <option value={output.preferred} className="text-black">Disconnected device</option>
+        )}
+      </select>
+      {missing && (
+        <p className="text-xs text-white/50 mt-1">Playing on the default device until it is reconnected</p>
+      )}
+    </div>
+  );
+};
+
+export default OutputDeviceSelect;
@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { ListMusic } from 'lucide-react';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+import { MAX_CROSSFADE, MAX_TRANSPORT_FADE } from '../utils/audioContext';
+import { FADE_CURVES } from '../utils/deck';
+import { SILENCE_RANGES } from '../utils/silence';
+import { Toggle, Segmented, Slider } from './SettingControls';
+import OutputDeviceSelect from './OutputDeviceSelect';
+
+const CURVE_LABELS = { 'equal-power': 'Equal power', linear: 'Linear' };
+
+const NORMALIZATION_MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'track', label: 'Track' },
+  { value: 'album', label: 'Album' }
+];
+
+const PlaybackSettings = () => {
+  const engine = useAudioEngine();
+  const [settings, setSettings] = useState(() => engine.getPlaybackSettings());
+
+  const [silence, setSilence] = useState(() => engine.getSilenceSettings());
+  const [volume, setVolume] = useState(() => engine.getVolumeSettings());
+
+  useAudioEngineEvent('playbackchange', setSettings);
+  useAudioEngineEvent('silencechange', setSilence);
+  useAudioEngineEvent('volumechange', setVolume);
+
+  const { crossfade, normalization } = settings;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-xl"
+    >
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-lg">
+          <ListMusic className="w-5 h-5 text-white" />
+        </div>
+        <h3 className="text-xl font-semibold text-white">Playback</h3>
+      </div>
+
+      <div className="space-y-4">
+        <Toggle
+          label="Gapless playback"
+          description="Buffer the next track and start it the moment this one ends"
+          checked={settings.gapless}
+          onChange={(enabled) => engine.setGapless(enabled)}
+        />
+
+        {/* Crossfade */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-white">Crossfade</p>
+            <span className="text-xs text-white/60">
+              {crossfade.duration > 0 ? `${crossfade.duration.toFixed(1)} s` : 'Off'}
+            </span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max={MAX_CROSSFADE}
+            step="0.5"
+            value={crossfade.duration}
+            onChange={(e) => engine.setCrossfade({ duration: parseFloat(e.target.value) })}
+            className="w-full cursor-pointer accent-orange-400"
+          />
+          <div className="mt-2">
+            <Segmented
+              options={FADE_CURVES.map((curve) => ({ value: curve, label: CURVE_LABELS[curve] }))}
+              value={crossfade.curve}
+              onChange={(curve) => engine.setCrossfade({ curve })}
+              disabled={crossfade.duration === 0}
+            />
+          </div>
+        </div>
+
+        {/* Transport fades */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <div>
+              <p className="text-sm text-white">Soft pause and seek</p>
+              <p className="text-xs text-white/50">Fade around pause, resume, seek and track changes</p>
+            </div>
+            <span className="text-xs text-white/60">
+              {settings.transportFade > 0 ? `${Math.round(settings.transportFade * 1000)} ms` : 'Off'}
+            </span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max={MAX_TRANSPORT_FADE}
+            step="0.01"
+            value={settings.transportFade}
+            onChange={(e) => engine.setTransportFade(parseFloat(e.target.value))}
+            className="w-full cursor-pointer accent-orange-400"
+          />
+        </div>
+
+        {/* Loudness normalization */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-white">Normalize loudness</p>
+            <span className="text-xs text-white/60">
+              {normalization.mode === 'off' ? 'Off' : `${normalization.targetLufs} LUFS`}
+            </span>
+          </div>
+          <Segmented
+            options={NORMALIZATION_MODES}
+            value={normalization.mode}
+            onChange={(mode) => engine.setNormalization({ mode })}
+          />
+          <input
+            type="range"
+            min="-23"
+            max="-8"
+            step="1"
+            value={normalization.targetLufs}
+            onChange={(e) => engine.setNormalization({ targetLufs: parseFloat(e.target.value) })}
+            disabled={normalization.mode === 'off'}
+            className="w-full mt-2 cursor-pointer accent-orange-400 disabled:opacity-40"
+          />
+        </div>
+
+        <Toggle
+          label="Volume boost"
+          description="Let the volume go to 150%, with a limiter to stop clipping"
+          checked={volume.boost}
+          onChange={(enabled) => engine.setVolumeBoost(enabled)}
+        />
+
+        {/* Silence skipping */}
+        <div className="space-y-3">
+          <Toggle
+            label="Trim silence"
+            description="Skip quiet lead-ins and tails"
+            checked={silence.trimBoundaries}
+            onChange={(enabled) => engine.setSilenceSettings({ trimBoundaries: enabled })}
+          />
+          <Toggle
+            label="Smart speed"
+            description="Shorten long pauses, for podcasts and lectures"
+            checked={silence.compressGaps}
+            onChange={(enabled) => engine.setSilenceSettings({ compressGaps: enabled })}
+          />
+          <div className="grid grid-cols-3 gap-3">
+            <Slider
+              label="Threshold"
+              value={silence.thresholdDb}
+              {...SILENCE_RANGES.thresholdDb}
+              format={(value) => `${value} dB`}
+              onChange={(value) => engine.setSilenceSettings({ thresholdDb: value })}
+              disabled={!silence.trimBoundaries && !silence.compressGaps}
+            />
+            <Slider
+              label="Min. pause"
+              value={silence.minGap}
+              {...SILENCE_RANGES.minGap}
+              format={(value) => `${value} s`}
+              onChange={(value) => engine.setSilenceSettings({ minGap: value })}
+              disabled={!silence.compressGaps}
+            />
+            <Slider
+              label="Keep"
+              value={silence.keepGap}
+              {...SILENCE_RANGES.keepGap}
+              format={(value) => `${value.toFixed(1)} s`}
+              onChange={(value) => engine.setSilenceSettings({ keepGap: value })}
+              disabled={!silence.compressGaps}
+            />
+          </div>
+        </div>
+
+        <OutputDeviceSelect />
+      </div>
+    </motion.div>
+  );
+};
+
+export default PlaybackSettings;
@@ -1,87 +1,138 @@
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, useMemo } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Play, Pause, SkipBack, SkipForward, Volume2, Upload, Music } from 'lucide-react'
+import { Play, Pause, SkipBack, SkipForward, Volume, Volume1, Volume2, VolumeX, Upload, Music, Shuffle, Repeat, Repeat1, Gauge, ListOrdered } from 'lucide-react'
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine'
+import GainReductionMeter from './GainReductionMeter'
+import TempoControls from './TempoControls'
+import LoopControls from './LoopControls'
+import SleepTimer from './SleepTimer'
+import ChapterList from './ChapterList'
+import { MAX_BOOSTED_VOLUME } from '../utils/volume'
+import { ACCEPTED_FILE_TYPES } from '../utils/formats'
+
+// Above this many beats only every fourth is drawn
+const MAX_BEAT_TICKS = 400
+
+// Keys that edit the A-B loop
+const LOOP_KEYS = {
+  '[': (engine) => engine.setLoopPoint('start', engine.getCurrentTime()),
+  ']': (engine) => engine.setLoopPoint('end', engine.getCurrentTime()),
+  '\\': (engine) => engine.clearLoopRegion()
+}
 
 const Player = ({ 
   currentTrack, 
   isPlaying, 
+  currentTime = 0,
+  duration = 0,
   onPlayPause, 
   onNext, 
   onPrevious, 
-  onTrackUpload,
-  onTimeUpdate,
-  onLoadedMetadata,
-  audioRef
+  isShuffled,
+  repeatMode = 'none',
+  onSeek,
+  onShuffle,
+  onRepeat,
+  onTrackUpload
 }) => {
-  const [currentTime, setCurrentTime] = useState(0)
-  const [duration, setDuration] = useState(0)
-  const [volume, setVolume] = useState(1)
-  const [isDragging, setIsDragging] = useState(false)
+  const engine = useAudioEngine()
+  const [volume, setVolume] = useState(() => engine.getVolumeSettings())
+  // null, 'seek', 'select' (shift-drag a loop region) or a loop point being dragged
+  const [dragMode, setDragMode] = useState(null)
+  // Where the playhead is being dragged to; the seek happens on release
+  const [dragTime, setDragTime] = useState(null)
+  const [loop, setLoop] = useState(() => engine.getLoopRegion())
+  const [tempo, setTempo] = useState(() => engine.getTempoSettings())
+  const [showTempo, setShowTempo] = useState(false)
+  const [showChapters, setShowChapters] = useState(false)
   const fileInputRef = useRef(null)
   const progressRef = useRef(null)
+  const selectionAnchor = useRef(0)
+  const skipClick = useRef(false)
 
-  useEffect(() => {
-    const audio = audioRef.current
-    if (!audio) return
-
-    const updateTime = () => {
-      if (!isDragging) {
-        setCurrentTime(audio.currentTime)
-      }
-      onTimeUpdate && onTimeUpdate(audio.currentTime)
+  const getTimeFromEvent = (e) => {
+    const rect = progressRef.current.getBoundingClientRect()
+    const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width))
+    return percent * duration
+  }
+
+  const handleProgressClick = (e) => {
+    if (skipClick.current) {
+      skipClick.current = false
+      return
     }
+    if (e.shiftKey) return
+    onSeek && onSeek(getTimeFromEvent(e))
+  }
 
-    const updateDuration = () => {
-      setDuration(audio.duration)
-      onLoadedMetadata && onLoadedMetadata(audio.duration)
+  const handleProgressDown = (e) => {
+    if (e.shiftKey && duration) {
+      selectionAnchor.current = getTimeFromEvent(e)
+      setDragMode('select')
+    } else {
+      setDragMode('seek')
     }
+  }
 
-    audio.addEventListener('timeupdate', updateTime)
-    audio.addEventListener('loadedmetadata', updateDuration)
-    audio.addEventListener('durationchange', updateDuration)
+  const handleProgressDrag = (e) => {
+    if (!dragMode) return
+    const time = getTimeFromEvent(e)
 
-    return () => {
-      audio.removeEventListener('timeupdate', updateTime)
-      audio.removeEventListener('loadedmetadata', updateDuration)
-      audio.removeEventListener('durationchange', updateDuration)
+    if (dragMode === 'seek') {
+      setDragTime(time)
+    } else if (dragMode === 'select') {
+      engine.setLoopRegion({ start: selectionAnchor.current, end: time })
+    } else {
+      engine.setLoopRegion({ [dragMode]: time })
     }
-  }, [audioRef, isDragging, onTimeUpdate, onLoadedMetadata])
+  }
 
-  const handleProgressClick = (e) => {
-    const rect = progressRef.current.getBoundingClientRect()
-    const percent = (e.clientX - rect.left) / rect.width
-    const newTime = percent * duration
-    
-    if (audioRef.current) {
-      audioRef.current.currentTime = newTime
-      setCurrentTime(newTime)
+  // Every seek fades out and back in, so a drag seeks once, where it ends
+  const endDrag = (e) => {
+    if (dragMode === 'seek' && dragTime !== null) {
+      onSeek && onSeek(dragTime)
+      // The click that follows the release would seek again
+      skipClick.current = e.type === 'mouseup'
     }
+    setDragMode(null)
+    setDragTime(null)
   }
 
-  const handleProgressDrag = (e) => {
-    if (!isDragging) return
-    
-    const rect = progressRef.current.getBoundingClientRect()
-    const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width))
-    const newTime = percent * duration
-    
-    setCurrentTime(newTime)
-    if (audioRef.current) {
-      audioRef.current.currentTime = newTime
-    }
+  const startPointDrag = (point) => (e) => {
+    e.stopPropagation()
+    setDragMode(point)
   }
 
-  const handleVolumeChange = (e) => {
-    const newVolume = parseFloat(e.target.value)
-    setVolume(newVolume)
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume
+  useAudioEngineEvent('tempochange', setTempo)
+  useAudioEngineEvent('volumechange', setVolume)
+  useAudioEngineEvent('loopchange', setLoop)
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const action = LOOP_KEYS[e.key]
+      if (!action || e.ctrlKey || e.metaKey || e.altKey) return
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return
+
+      e.preventDefault()
+      action(engine)
     }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [engine])
+
+  const handleVolumeChange = (e) => {
+    engine.setVolume(parseFloat(e.target.value))
   }
 
+  const maxVolume = volume.boost ? MAX_BOOSTED_VOLUME : 1
+  const shownVolume = volume.muted ? 0 : volume.level
+  const VolumeIcon = shownVolume === 0 ? VolumeX : shownVolume < 0.5 ? Volume : shownVolume < 1 ? Volume1 : Volume2
+
   const handleFileUpload = (e) => {
     const file = e.target.files[0]
-    if (file && file.type.startsWith('audio/')) {
+    e.target.value = ''
+    if (file) {
       onTrackUpload && onTrackUpload(file)
     }
   }
@@ -93,7 +144,25 @@ const Player = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`
   }
 
-  const progressPercent = duration ? (currentTime / duration) * 100 : 0
+  const shownTime = dragTime ?? currentTime
+  const progressPercent = duration ? (shownTime / duration) * 100 : 0
+
+  // One tick per beat, or per four when they would crowd together
+  const beatTicks = useMemo(() => {
+    const beats = currentTrack?.beats
+    if (!beats || !duration) return ''
+    const step = beats.length > MAX_BEAT_TICKS ? 4 : 1
+    let path = ''
+    for (let i = 0; i < beats.length; i += step) {
+      path += `M${beats[i]} 0V1`
+    }
+    return path
+  }, [currentTrack?.beats, duration])
+  const toPercent = (time) => (duration ? (time / duration) * 100 : 0)
+
+  const chapters = currentTrack?.chapters || []
+  const chapterIndex = chapters.findLastIndex((chapter) => chapter.start <= currentTime)
+  const chapter = chapters[chapterIndex]
 
   return (
     <motion.div
@@ -121,9 +190,55 @@ const Player = ({
           </h3>
           <p className="text-white/60 text-sm truncate">
             {currentTrack?.artist || 'Unknown artist'}
+            {currentTrack?.album && ` — ${currentTrack.album}`}
           </p>
+          {chapter && (
+            <p className="text-xs text-white/50 truncate">
+              {chapterIndex + 1}/{chapters.length} · {chapter.title || `Chapter ${chapterIndex + 1}`}
+            </p>
+          )}
+          {(currentTrack?.key || currentTrack?.bpm) && (
+            <p className="text-xs text-white/50 font-mono">
+              {[
+                currentTrack.key && `${currentTrack.key.name} (${currentTrack.key.camelot})`,
+                currentTrack.bpm && `${Math.round(currentTrack.bpm)} BPM`
+              ].filter(Boolean).join(' · ')}
+            </p>
+          )}
+          {(tempo.rate !== 1 || tempo.semitones !== 0 || tempo.cents !== 0) && (
+            <p className="text-xs text-orange-200/80 font-mono">
+              {tempo.rate.toFixed(2)}×
+              {!tempo.preservesPitch && tempo.rate !== 1 && ' (tape)'}
+              {(tempo.semitones !== 0 || tempo.cents !== 0) &&
+                ` · ${tempo.semitones > 0 ? '+' : ''}${tempo.semitones} st ${tempo.cents > 0 ? '+' : ''}${tempo.cents} ct`}
+            </p>
+          )}
         </div>
 
+        <button
+          onClick={() => setShowTempo(!showTempo)}
+          className={`p-2 rounded-lg transition-colors border border-white/10 ${
+            showTempo ? 'bg-orange-500/30' : 'bg-white/10 hover:bg-white/20'
+          }`}
+          title="Speed and pitch"
+        >
+          <Gauge className="w-5 h-5 text-white" />
+        </button>
+
+        {chapters.length > 0 && (
+          <button
+            onClick={() => setShowChapters(!showChapters)}
+            className={`p-2 rounded-lg transition-colors border border-white/10 ${
+              showChapters ? 'bg-orange-500/30' : 'bg-white/10 hover:bg-white/20'
+            }`}
+            title="Chapters"
+          >
+            <ListOrdered className="w-5 h-5 text-white" />
+          </button>
+        )}
+
+        <SleepTimer />
+
         <button
           onClick={() => fileInputRef.current?.click()}
           className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors border border-white/10"
@@ -135,12 +250,23 @@ const Player = ({
         <input
           ref={fileInputRef}
           type="file"
-          accept="audio/*"
+          accept={ACCEPTED_FILE_TYPES}
           onChange={handleFileUpload}
           className="hidden"
         />
       </div>
 
+      {showTempo && <TempoControls tempo={tempo} />}
+
+      {showChapters && chapters.length > 0 && (
+        <ChapterList
+          chapters={chapters}
+          currentIndex={chapterIndex}
+          currentTime={currentTime}
+          onSeek={(time) => onSeek && onSeek(time)}
+        />
+      )}
+
       {/* Progress Bar */}
       <div className="mb-6">
         <div 
@@ -148,28 +274,74 @@ const Player = ({
           className="relative h-2 bg-white/10 rounded-full cursor-pointer group"
           onClick={handleProgressClick}
           onMouseMove={handleProgressDrag}
-          onMouseDown={() => setIsDragging(true)}
-          onMouseUp={() => setIsDragging(false)}
-          onMouseLeave={() => setIsDragging(false)}
+          onMouseDown={handleProgressDown}
+          onMouseUp={endDrag}
+          onMouseLeave={endDrag}
         >
           <div 
             className="absolute top-0 left-0 h-full bg-gradient-to-r from-orange-400 to-pink-500 rounded-full transition-all duration-150"
             style={{ width: `${progressPercent}%` }}
           />
+          {beatTicks && (
+            <svg
+              className="absolute inset-0 w-full h-full pointer-events-none"
+              viewBox={`0 0 ${duration} 1`}
+              preserveAspectRatio="none"
+            >
+              <path d={beatTicks} stroke="white" strokeOpacity="0.25" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+            </svg>
+          )}
+          {duration > 0 && chapters.map((chapter) => chapter.start > 0 && (
+            <div
+              key={chapter.start}
+              className="absolute top-0 h-full w-0.5 bg-white/40 pointer-events-none"
+              style={{ left: `${toPercent(chapter.start)}%` }}
+            />
+          ))}
+          {loop.start !== null && loop.end !== null && (
+            <div
+              className={`absolute top-0 h-full rounded-sm ${loop.enabled ? 'bg-white/30' : 'bg-white/10'}`}
+              style={{ left: `${toPercent(loop.start)}%`, width: `${toPercent(loop.end - loop.start)}%` }}
+            />
+          )}
           <div 
             className="absolute top-1/2 -translate-y-1/2 w-4 h-4 bg-white rounded-full shadow-lg opacity-0 group-hover:opacity-100 transition-opacity"
             style={{ left: `calc(${progressPercent}% - 8px)` }}
           />
+          {['start', 'end'].map((point) => loop[point] !== null && (
+            <div
+              key={point}
+              onMouseDown={startPointDrag(point)}
+              onClick={(e) => e.stopPropagation()}
+              className="absolute -top-1 h-4 w-1.5 -ml-[3px] rounded-sm bg-orange-200 cursor-ew-resize shadow"
+              style={{ left: `${toPercent(loop[point])}%` }}
+              title={point === 'start' ? 'Loop start (A)' : 'Loop end (B)'}
+            />
+          ))}
         </div>
         
         <div className="flex justify-between text-xs text-white/60 mt-2">
-          <span>{formatTime(currentTime)}</span>
+          <span>{formatTime(shownTime)}</span>
           <span>{formatTime(duration)}</span>
         </div>
+
+        <LoopControls loop={loop} />
       </div>
 
       {/* Controls */}
       <div className="flex items-center justify-center gap-4 mb-6">
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={onShuffle}
+          className={`p-2 rounded-full transition-colors ${
+            isShuffled ? 'bg-orange-500/30 text-orange-200' : 'bg-white/10 hover:bg-white/20 text-white'
+          }`}
+          title="Shuffle"
+        >
+          <Shuffle className="w-4 h-4" />
+        </motion.button>
+
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.95 }}
@@ -221,29 +393,57 @@ const Player = ({
         >
           <SkipForward className="w-5 h-5 text-white" />
         </motion.button>
+
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={onRepeat}
+          className={`p-2 rounded-full transition-colors ${
+            repeatMode !== 'none' ? 'bg-orange-500/30 text-orange-200' : 'bg-white/10 hover:bg-white/20 text-white'
+          }`}
+          title={`Repeat: ${repeatMode}`}
+        >
+          {repeatMode === 'one' ? <Repeat1 className="w-4 h-4" /> : <Repeat className="w-4 h-4" />}
+        </motion.button>
       </div>
 
       {/* Volume Control */}
       <div className="flex items-center gap-3">
-        <Volume2 className="w-5 h-5 text-white/60" />
-        <div className="flex-1 relative">
+        <button
+          onClick={() => engine.toggleMute()}
+          className="text-white/60 hover:text-white transition-colors"
+          title={volume.muted ? 'Unmute' : 'Mute'}
+        >
+          <VolumeIcon className="w-5 h-5" />
+        </button>
+        <div className={`flex-1 relative ${volume.muted ? 'opacity-50' : ''}`}>
           <input
             type="range"
             min="0"
-            max="1"
+            max={maxVolume}
             step="0.01"
-            value={volume}
+            value={volume.level}
             onChange={handleVolumeChange}
             className="w-full h-2 bg-white/10 rounded-full appearance-none cursor-pointer slider"
           />
           <div 
             className="absolute top-0 left-0 h-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-full pointer-events-none"
-            style={{ width: `${volume * 100}%` }}
+            style={{ width: `${(volume.level / maxVolume) * 100}%` }}
           />
+          {volume.boost && (
+            <div
+              className="absolute -top-0.5 h-3 w-px bg-white/50 pointer-events-none"
+              style={{ left: `${100 / maxVolume}%` }}
+            />
+          )}
         </div>
-        <span className="text-xs text-white/60 w-8 text-right">
-          {Math.round(volume * 100)}
+        <span
+          className={`text-xs w-8 text-right ${volume.level > 1 && !volume.muted ? 'text-orange-300' : 'text-white/60'}`}
+          title={Number.isFinite(volume.db) ? `${volume.db.toFixed(1)} dB` : 'Silent'}
+        >
+          {Math.round(shownVolume * 100)}
         </span>
+        <GainReductionMeter isPlaying={isPlaying} />
       </div>
 
       <style jsx>{`
@@ -1,6 +1,17 @@
-import React from 'react';
+import React, { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Play, Pause, Music, Trash2, Clock } from 'lucide-react';
+import { Play, Pause, Music, Trash2, Clock, Pencil, Download, Upload, X, Info } from 'lucide-react';
+import { computeTimeSaved } from '../utils/silence';
+import { compatibleCamelot, camelotOrder } from '../utils/keyDetection';
+import { exportPlaylist, PLAYLIST_FORMATS, PLAYLIST_FILE_TYPES } from '../utils/playlistFormats';
+import { ACCEPTED_FILE_TYPES } from '../utils/formats';
+
+const SORTS = {
+  playlist: null,
+  key: (a, b) => camelotOrder(a.key?.camelot) - camelotOrder(b.key?.camelot),
+  bpm: (a, b) => (a.bpm || Infinity) - (b.bpm || Infinity),
+  name: (a, b) => a.name.localeCompare(b.name)
+};
 
 const Playlist = ({ 
   tracks = [], 
@@ -8,7 +19,13 @@ const Playlist = ({
   isPlaying, 
   onTrackSelect, 
   onTrackRemove,
-  onClearPlaylist 
+  onTrackEdit,
+  onClearPlaylist,
+  onPlaylistImport,
+  missingEntries,
+  onLocateMissing,
+  onDismissMissing,
+  silenceSettings
 }) => {
   const formatDuration = (duration) => {
     if (!duration) return '0:00';
@@ -17,6 +34,54 @@ const Playlist = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
+  const [sortBy, setSortBy] = useState('playlist');
+  const [keyFilter, setKeyFilter] = useState('all');
+  const [showExport, setShowExport] = useState(false);
+  const [locating, setLocating] = useState(null);
+  const importInputRef = useRef(null);
+  const locateInputRef = useRef(null);
+
+  const handleExport = (format) => {
+    const { extension, mime } = PLAYLIST_FORMATS[format];
+    const blob = new Blob([exportPlaylist(tracks, format)], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `playlist.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setShowExport(false);
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onPlaylistImport(file);
+  };
+
+  const handleLocate = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file && locating) onLocateMissing(locating, file);
+    setLocating(null);
+  };
+
+  // Sorting and filtering only change the view; rows keep their playlist index
+  const keysInPlaylist = [...new Set(tracks.map((track) => track.key?.camelot).filter(Boolean))]
+    .sort((a, b) => camelotOrder(a) - camelotOrder(b));
+  let allowedKeys = null;
+  if (keyFilter === 'compatible' && currentTrack?.key) {
+    allowedKeys = compatibleCamelot(currentTrack.key.camelot);
+  } else if (keyFilter !== 'all' && keyFilter !== 'compatible') {
+    allowedKeys = [keyFilter];
+  }
+  const rows = tracks
+    .map((track, index) => ({ track, index }))
+    .filter(({ track }) => !allowedKeys || allowedKeys.includes(track.key?.camelot));
+  if (SORTS[sortBy]) {
+    rows.sort((a, b) => SORTS[sortBy](a.track, b.track) || a.index - b.index);
+  }
+
   const getTotalDuration = () => {
     const total = tracks.reduce((sum, track) => sum + (track.duration || 0), 0);
     return formatDuration(total);
@@ -43,17 +108,141 @@ const Playlist = ({
           </div>
         </div>
         
-        {tracks.length > 0 && (
-          <button
-            onClick={onClearPlaylist}
-            className="p-2 text-white/70 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
-            title="Clear playlist"
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
-        )}
+        <div className="flex gap-1">
+          {onPlaylistImport && (
+            <button
+              onClick={() => importInputRef.current?.click()}
+              className="p-2 text-white/70 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
+              title="Open playlist"
+            >
+              <Upload className="w-4 h-4" />
+            </button>
+          )}
+          {tracks.length > 0 && (
+            <button
+              onClick={() => setShowExport(!showExport)}
+              className={`p-2 rounded-lg transition-all duration-200 ${
+                showExport ? 'text-white bg-white/10' : 'text-white/70 hover:text-white hover:bg-white/10'
+              }`}
+              title="Save playlist"
+            >
+              <Download className="w-4 h-4" />
+            </button>
+          )}
+          {tracks.length > 0 && (
+            <button
+              onClick={onClearPlaylist}
+              className="p-2 text-white/70 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
+              title="Clear playlist"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+          <input
+            ref={importInputRef}
+            type="file"
+            accept={PLAYLIST_FILE_TYPES}
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
       </div>
 
+      {/* Export Formats */}
+      {showExport && tracks.length > 0 && (
+        <div className="flex items-center gap-1 mb-4">
+          <span className="text-xs text-white/60 mr-1">Save as</span>
+          {Object.entries(PLAYLIST_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              className="px-2 py-0.5 rounded-md text-xs bg-white/10 text-white/70 hover:bg-white/20 transition-colors"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Entries of an imported playlist that matched no uploaded file */}
+      {missingEntries && (
+        <div className="mb-4 p-3 rounded-lg border border-orange-300/30 bg-orange-500/10">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-orange-100">
+              {missingEntries.entries.length} {missingEntries.entries.length === 1 ? 'track' : 'tracks'} from {missingEntries.source} not found
+            </p>
+            <button
+              onClick={onDismissMissing}
+              className="p-1 text-white/60 hover:text-white transition-colors"
+              title="Dismiss"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="space-y-1 max-h-32 overflow-y-auto custom-scrollbar">
+            {missingEntries.entries.map((entry, index) => (
+              <div key={`${entry.location}-${index}`} className="flex items-center gap-2">
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs text-white truncate">
+                    {entry.title ? [entry.artist, entry.title].filter(Boolean).join(' - ') : entry.location}
+                  </p>
+                  {entry.title && entry.location && (
+                    <p className="text-xs text-white/40 truncate">{entry.location}</p>
+                  )}
+                </div>
+                <button
+                  onClick={() => {
+                    setLocating(entry);
+                    locateInputRef.current?.click();
+                  }}
+                  className="px-2 py-0.5 rounded-md text-xs bg-white/10 text-white/80 hover:bg-white/20 transition-colors"
+                >
+                  Locate…
+                </button>
+              </div>
+            ))}
+          </div>
+          <input
+            ref={locateInputRef}
+            type="file"
+            accept={ACCEPTED_FILE_TYPES}
+            onChange={handleLocate}
+            className="hidden"
+          />
+        </div>
+      )}
+
+      {/* Sort & Filter */}
+      {tracks.length > 1 && (
+        <div className="flex gap-2 mb-4">
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="flex-1 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-xs text-white"
+          >
+            <option value="playlist" className="text-black">Playlist order</option>
+            <option value="key" className="text-black">Sort by key</option>
+            <option value="bpm" className="text-black">Sort by BPM</option>
+            <option value="name" className="text-black">Sort by name</option>
+          </select>
+          <select
+            value={keyFilter}
+            onChange={(e) => setKeyFilter(e.target.value)}
+            className="flex-1 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-xs text-white"
+          >
+            <option value="all" className="text-black">All keys</option>
+            {currentTrack?.key && (
+              <option value="compatible" className="text-black">
+                Mixes with {currentTrack.key.camelot}
+              </option>
+            )}
+            {keysInPlaylist.map((code) => (
+              <option key={code} value={code} className="text-black">{code}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* Track List */}
       <div className="space-y-2 max-h-80 overflow-y-auto custom-scrollbar">
         <AnimatePresence>
@@ -69,8 +258,10 @@ const Playlist = ({
               <p className="text-white/50 text-sm">No tracks in playlist</p>
               <p className="text-white/30 text-xs mt-1">Upload audio files to get started</p>
             </motion.div>
+          ) : rows.length === 0 ? (
+            <p className="text-center py-6 text-white/50 text-sm">No tracks in this key</p>
           ) : (
-            tracks.map((track, index) => {
+            rows.map(({ track, index }, position) => {
               const isCurrentTrack = currentTrack && currentTrack.id === track.id;
               const isCurrentlyPlaying = isCurrentTrack && isPlaying;
 
@@ -80,13 +271,13 @@ const Playlist = ({
                   initial={{ opacity: 0, x: -20 }}
                   animate={{ opacity: 1, x: 0 }}
                   exit={{ opacity: 0, x: 20 }}
-                  transition={{ duration: 0.3, delay: index * 0.05 }}
+                  transition={{ duration: 0.3, delay: position * 0.05 }}
                   className={`group flex items-center gap-3 p-3 rounded-xl transition-all duration-200 cursor-pointer ${
                     isCurrentTrack
                       ? 'bg-gradient-to-r from-orange-400/20 to-pink-500/20 border border-orange-400/30'
                       : 'hover:bg-white/5 border border-transparent'
                   }`}
-                  onClick={() => onTrackSelect(track)}
+                  onClick={() => onTrackSelect(track, index)}
                 >
                   {/* Play/Pause Button */}
                   <div className="relative">
@@ -119,19 +310,64 @@ const Playlist = ({
                     }`}>
                       {track.name}
                     </p>
+                    {track.artist && (
+                      <p className="text-xs text-white/60 truncate">{track.artist}</p>
+                    )}
                     <div className="flex items-center gap-2 mt-1">
                       <Clock className="w-3 h-3 text-white/40" />
                       <span className="text-xs text-white/60">
                         {formatDuration(track.duration)}
                       </span>
+                      {track.key && (
+                        <span className="text-xs text-white/60 font-mono" title={`Camelot ${track.key.camelot}`}>
+                          • {track.key.name} {track.key.camelot}
+                        </span>
+                      )}
+                      {track.bpm && (
+                        <span className="text-xs text-white/60 font-mono">
+                          • {Math.round(track.bpm)} BPM
+                        </span>
+                      )}
+                      {silenceSettings && computeTimeSaved(track.silence, silenceSettings) >= 1 && (
+                        <span className="text-xs text-orange-200/70" title="Skipped silence">
+                          • −{formatDuration(computeTimeSaved(track.silence, silenceSettings))}
+                        </span>
+                      )}
+                      {track.format && (
+                        <span className="text-xs text-white/40">
+                          • {track.format}
+                        </span>
+                      )}
                       {track.size && (
                         <span className="text-xs text-white/40">
                           • {(track.size / (1024 * 1024)).toFixed(1)} MB
                         </span>
                       )}
+                      {(track.analysisError || track.analysisNotes) && (
+                        <span
+                          className="text-orange-200/70"
+                          title={track.analysisError ? `Analysis failed: ${track.analysisError}` : track.analysisNotes.join('\n')}
+                        >
+                          <Info className="w-3 h-3" />
+                        </span>
+                      )}
                     </div>
                   </div>
 
+                  {/* Edit Tags Button */}
+                  {onTrackEdit && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onTrackEdit(track);
+                      }}
+                      className="opacity-0 group-hover:opacity-100 p-2 text-white/50 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
+                      title="Edit tags"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+
                   {/* Remove Button */}
                   <button
                     onClick={(e) => {
@@ -0,0 +1,104 @@
+import { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Waves, Upload } from 'lucide-react';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+import { REVERB_PRESETS } from '../utils/reverb';
+import { Toggle, Segmented, Slider } from './SettingControls';
+
+const PRESET_OPTIONS = Object.entries(REVERB_PRESETS).map(([value, { label }]) => ({ value, label }));
+
+const ReverbControls = () => {
+  const engine = useAudioEngine();
+  const [settings, setSettings] = useState(() => engine.getReverbSettings());
+  const [loadError, setLoadError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useAudioEngineEvent('reverbchange', setSettings);
+
+  const { enabled, preset, mix, customName } = settings;
+  const options = customName ? [...PRESET_OPTIONS, { value: 'custom', label: 'Custom' }] : PRESET_OPTIONS;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setLoadError(null);
+    try {
+      await engine.loadReverbImpulse(file);
+    } catch (error) {
+      console.error('Failed to load impulse response:', error);
+      setLoadError(error.message || 'Could not read that file');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-xl"
+    >
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-lg">
+          <Waves className="w-5 h-5 text-white" />
+        </div>
+        <h3 className="text-xl font-semibold text-white">Reverb</h3>
+      </div>
+
+      <div className="space-y-4">
+        <Toggle
+          label="Reverb"
+          description="Place the music in a room"
+          checked={enabled}
+          onChange={(value) => engine.setReverb({ enabled: value })}
+        />
+
+        <Segmented
+          options={options}
+          value={preset}
+          onChange={(value) => {
+            // The custom impulse is already loaded; re-selecting it is a no-op
+            if (value !== 'custom') engine.setReverb({ preset: value });
+          }}
+          disabled={!enabled}
+        />
+
+        <Slider
+          label="Mix"
+          value={mix}
+          min={0}
+          max={1}
+          step="0.01"
+          format={(value) => `${Math.round(value * 100)}% wet`}
+          onChange={(value) => engine.setReverb({ mix: value })}
+          disabled={!enabled}
+        />
+
+        <div>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 border border-white/20 text-sm text-white transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Load impulse response…
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".wav,audio/wav,audio/x-wav,audio/*"
+            onChange={handleFile}
+            className="hidden"
+          />
+          {customName && preset === 'custom' && (
+            <p className="text-xs text-white/50 mt-1 truncate">Using {customName}</p>
+          )}
+          {loadError && <p className="text-xs text-red-300 mt-1">{loadError}</p>}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ReverbControls;
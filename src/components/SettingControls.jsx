@@ -0,0 +1,65 @@
+// Shared inputs for the settings panels
+
+export const Toggle = ({ checked, onChange, label, description }) => (
+  <label className="flex items-center justify-between gap-4 cursor-pointer">
+    <div>
+      <p className="text-sm text-white">{label}</p>
+      {description && <p className="text-xs text-white/50">{description}</p>}
+    </div>
+    <button
+      role="switch"
+      aria-checked={checked}
+      onClick={() => onChange(!checked)}
+      className={`relative w-10 h-6 rounded-full transition-colors duration-200 ${
+        checked ? 'bg-gradient-to-r from-orange-400 to-pink-500' : 'bg-white/20'
+      }`}
+    >
+      <span
+        className={`absolute top-1 left-1 w-4 h-4 rounded-full bg-white shadow transition-transform duration-200 ${
+          checked ? 'translate-x-4' : ''
+        }`}
+      />
+    </button>
+  </label>
+);
+
+export const Segmented = ({ options, value, onChange, disabled }) => (
+  <div className="flex gap-2">
+    {options.map((option) => (
+      <button
+        key={option.value}
+        onClick={() => onChange(option.value)}
+        disabled={disabled}
+        className={`flex-1 px-2 py-1 rounded-lg text-xs border transition-all duration-200 disabled:opacity-40 ${
+          value === option.value
+            ? 'bg-orange-500/30 border-orange-400/50 text-orange-200'
+            : 'bg-white/10 border-white/20 text-white/70 hover:bg-white/20'
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Labelled range input with the current value shown on the right
+ */
+export const Slider = ({ label, value, min, max, step, format = (v) => v, onChange, disabled }) => (
+  <div className={disabled ? 'opacity-40' : ''}>
+    <div className="flex items-center justify-between mb-1">
+      <p className="text-xs text-white/70">{label}</p>
+      <span className="text-xs text-white/60 font-mono">{format(value)}</span>
+    </div>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      disabled={disabled}
+      className="w-full cursor-pointer accent-orange-400"
+    />
+  </div>
+);
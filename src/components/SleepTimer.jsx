@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react'
+import { Moon, X } from 'lucide-react'
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine'
+import { MAX_SLEEP_FADE } from '../utils/audioContext'
+import { Slider } from './SettingControls'
+
+const DURATIONS = [5, 10, 15, 30, 45, 60, 90, 120]
+
+const MODE_LABELS = {
+  track: 'End of track',
+  playlist: 'End of playlist'
+}
+
+const formatRemaining = (seconds) => {
+  const total = Math.ceil(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = (total % 60).toString().padStart(2, '0')
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`
+}
+
+// Next time the clock shows "HH:MM", today or tomorrow
+const nextOccurrence = (value) => {
+  const [hours, minutes] = value.split(':').map(Number)
+  const target = new Date()
+  target.setHours(hours, minutes, 0, 0)
+  if (target.getTime() <= Date.now()) target.setDate(target.getDate() + 1)
+  return target.getTime()
+}
+
+const optionClass = (active) =>
+  `px-2 py-1 rounded-lg text-xs border transition-colors ${
+    active
+      ? 'bg-orange-500/30 border-orange-400/50 text-orange-200'
+      : 'bg-white/10 border-white/20 text-white/70 hover:bg-white/20'
+  }`
+
+// Sleep timer button for the player, with its menu and countdown
+const SleepTimer = () => {
+  const engine = useAudioEngine()
+  const [timer, setTimer] = useState(() => engine.getSleepTimer())
+  const [isOpen, setIsOpen] = useState(false)
+  const [clockTime, setClockTime] = useState('23:00')
+  const [fade, setFade] = useState(() => engine.getSleepFade())
+
+  useAudioEngineEvent('sleeptimerchange', (next) => {
+    setTimer(next)
+    if (next) setFade(next.fade)
+  })
+
+  const isActive = timer !== null
+
+  // Count down once a second while a timer is set
+  useEffect(() => {
+    if (!isActive) return
+    const id = setInterval(() => setTimer(engine.getSleepTimer()), 1000)
+    return () => clearInterval(id)
+  }, [engine, isActive])
+
+  const label = timer
+    ? timer.remaining !== null ? formatRemaining(timer.remaining) : MODE_LABELS[timer.mode]
+    : null
+
+  const start = (mode, deadline = null) => {
+    engine.setSleepTimer({ mode, deadline })
+    setIsOpen(false)
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-1 p-2 rounded-lg transition-colors border border-white/10 ${
+          timer ? 'bg-orange-500/30 text-orange-200' : 'bg-white/10 hover:bg-white/20 text-white'
+        }`}
+        title="Sleep timer"
+      >
+        <Moon className="w-5 h-5" />
+        {label && <span className="text-xs font-mono">{label}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="absolute bottom-full right-0 mb-2 w-72 p-4 space-y-3 rounded-xl bg-gray-900/90 backdrop-blur-lg border border-white/20 shadow-2xl z-10">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-white font-semibold">Sleep timer</p>
+            {timer && (
+              <button
+                onClick={() => engine.cancelSleepTimer()}
+                className="flex items-center gap-1 text-xs text-white/70 hover:text-white"
+              >
+                <X className="w-3 h-3" /> Cancel
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-4 gap-2">
+            {DURATIONS.map((minutes) => (
+              <button
+                key={minutes}
+                onClick={() => start('duration', Date.now() + minutes * 60000)}
+                className={optionClass(false)}
+              >
+                {minutes < 60 ? `${minutes}m` : `${minutes / 60}h`}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(MODE_LABELS).map(([mode, text]) => (
+              <button key={mode} onClick={() => start(mode)} className={optionClass(timer?.mode === mode)}>
+                {text}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <input
+              type="time"
+              value={clockTime}
+              onChange={(e) => setClockTime(e.target.value)}
+              className="flex-1 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white"
+            />
+            <button
+              onClick={() => clockTime && start('time', nextOccurrence(clockTime))}
+              className={optionClass(timer?.mode === 'time')}
+            >
+              Stop at time
+            </button>
+          </div>
+
+          <Slider
+            label="Fade out"
+            value={fade}
+            min={0}
+            max={MAX_SLEEP_FADE}
+            step="5"
+            format={(value) => (value ? `${value} s` : 'Off')}
+            onChange={(value) => {
+              setFade(value)
+              engine.setSleepFade(value)
+            }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SleepTimer
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Headphones } from 'lucide-react';
+import { useAudioEngine, useAudioEngineEvent } from '../hooks/useAudioEngine';
+import { MAX_WIDTH } from '../utils/stereo';
+import { CROSSOVER_RANGE } from '../utils/vocalReduction';
+import { Toggle, Segmented, Slider } from './SettingControls';
+
+const formatBalance = (value) => {
+  if (Math.abs(value) < 0.005) return 'Centre';
+  return `${value < 0 ? 'L' : 'R'} ${Math.round(Math.abs(value) * 100)}`;
+};
+
+const VOCAL_MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'karaoke', label: 'Karaoke' },
+  { value: 'vocals', label: 'Vocals only' }
+];
+
+const StereoControls = () => {
+  const engine = useAudioEngine();
+  const [settings, setSettings] = useState(() => engine.getStereoSettings());
+
+  const [karaoke, setKaraoke] = useState(() => engine.getKaraokeSettings());
+
+  useAudioEngineEvent('stereochange', setSettings);
+  useAudioEngineEvent('karaokechange', setKaraoke);
+
+  const { balance, mono, swap, width } = settings;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-xl"
+    >
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-gradient-to-r from-orange-400 to-pink-500 rounded-lg">
+          <Headphones className="w-5 h-5 text-white" />
+        </div>
+        <h3 className="text-xl font-semibold text-white">Sound</h3>
+      </div>
+
+      <div className="space-y-4">
+        <div onDoubleClick={() => engine.setStereo({ balance: 0 })} title="Double-click to centre">
+          <Slider
+            label="Balance"
+            value={balance}
+            min={-1}
+            max={1}
+            step="0.01"
+            format={formatBalance}
+            onChange={(value) => engine.setStereo({ balance: value })}
+          />
+        </div>
+
+        <Slider
+          label="Stereo width"
+          value={width}
+          min={0}
+          max={MAX_WIDTH}
+          step="0.05"
+          format={(value) => `${Math.round(value * 100)}%`}
+          onChange={(value) => engine.setStereo({ width: value })}
+          disabled={mono}
+        />
+
+        <Toggle
+          label="Mono"
+          description="Both channels in each ear, for a single earbud"
+          checked={mono}
+          onChange={(enabled) => engine.setStereo({ mono: enabled })}
+        />
+
+        <Toggle
+          label="Swap channels"
+          description="Exchange left and right"
+          checked={swap}
+          onChange={(enabled) => engine.setStereo({ swap: enabled })}
+        />
+
+        <div className="pt-4 border-t border-white/10 space-y-3">
+          <div>
+            <p className="text-sm text-white">Vocal removal</p>
+            <p className="text-xs text-white/50">Cancel or isolate centre-panned vocals</p>
+          </div>
+          <Segmented
+            options={VOCAL_MODES}
+            value={karaoke.mode}
+            onChange={(mode) => engine.setKaraoke({ mode })}
+          />
+          <Slider
+            label="Strength"
+            value={karaoke.strength}
+            min={0}
+            max={1}
+            step="0.01"
+            format={(value) => `${Math.round(value * 100)}%`}
+            onChange={(value) => engine.setKaraoke({ strength: value })}
+            disabled={karaoke.mode === 'off'}
+          />
+          <Slider
+            label="Keep bass below"
+            value={karaoke.crossover}
+            min={CROSSOVER_RANGE.min}
+            max={CROSSOVER_RANGE.max}
+            step="5"
+            format={(value) => `${value} Hz`}
+            onChange={(value) => engine.setKaraoke({ crossover: value })}
+            disabled={karaoke.mode === 'off'}
+          />
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default StereoControls;
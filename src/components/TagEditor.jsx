@@ -0,0 +1,300 @@
+import { useState, useEffect, useRef } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { ImagePlus, X, Download, Save } from 'lucide-react';
+import { toast } from 'sonner';
+import { Dialog, DialogContent, DialogHeader, DialogFooter, DialogTitle, DialogDescription } from './ui/dialog';
+import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+import { readTags, writeTags, canWriteTags } from '../utils/metadata';
+import { sniffFile, AUDIO_FORMATS } from '../utils/formats';
+
+const schema = z.object({
+  title: z.string(),
+  artist: z.string(),
+  album: z.string(),
+  track: z.string().trim().regex(/^(\d+(\/\d+)?)?$/, 'A number, or number/total'),
+  genre: z.string(),
+  year: z.string().trim().regex(/^(\d{4})?$/, 'A four-digit year'),
+  lyrics: z.string()
+});
+
+const TEXT_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'artist', label: 'Artist' },
+  { name: 'album', label: 'Album' },
+  { name: 'genre', label: 'Genre' }
+];
+
+const SHORT_FIELDS = [
+  { name: 'track', label: 'Track', placeholder: '3/12' },
+  { name: 'year', label: 'Year', placeholder: '1999' }
+];
+
+const inputClass = 'bg-white/10 border-white/20 text-white placeholder:text-white/30';
+
+const buttonClass =
+  'flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-white transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+const valuesFromTags = (tags) => {
+  let track = '';
+  if (tags?.trackNumber) track = tags.trackTotal ? `${tags.trackNumber}/${tags.trackTotal}` : String(tags.trackNumber);
+  return {
+    title: tags?.title || '',
+    artist: tags?.artist || '',
+    album: tags?.album || '',
+    track,
+    genre: tags?.genre || '',
+    year: tags?.year ? String(tags.year) : '',
+    lyrics: tags?.lyrics || ''
+  };
+};
+
+const canSaveToDisk = typeof window !== 'undefined' && 'showSaveFilePicker' in window;
+
+/**
+ * Track properties: edits the file's tags and writes them into a copy,
+ * which can be downloaded or saved over the original
+ */
+const TagEditor = ({ track, onClose, onSaved }) => {
+  const form = useForm({ resolver: zodResolver(schema), defaultValues: valuesFromTags(null) });
+  const [format, setFormat] = useState(null);
+  const [cover, setCover] = useState(null);
+  const [coverChanged, setCoverChanged] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const coverInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!track) return;
+    let cancelled = false;
+    setIsLoading(true);
+
+    Promise.all([readTags(track.file), sniffFile(track.file)])
+      .then(([tags, sniffed]) => {
+        if (cancelled) return;
+        form.reset(valuesFromTags(tags));
+        setFormat(sniffed);
+        setCover(tags?.picture ? { ...tags.picture, url: URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.mime })) } : null);
+        setCoverChanged(false);
+      })
+      .catch((error) => {
+        console.error('Failed to read tags:', error);
+        toast.error(`Could not read the tags of ${track.file.name}`);
+      })
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [track, form]);
+
+  useEffect(() => () => cover && URL.revokeObjectURL(cover.url), [cover]);
+
+  const handleCoverPick = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const data = new Uint8Array(await file.arrayBuffer());
+    const mime = file.type || 'image/jpeg';
+    setCover({ mime, data, url: URL.createObjectURL(file) });
+    setCoverChanged(true);
+  };
+
+  // Only fields that changed are written, so everything else stays exactly as it was
+  const buildFile = (values) => {
+    const initial = form.formState.defaultValues;
+    const changes = Object.fromEntries(
+      Object.entries(values)
+        .map(([name, value]) => [name, name === 'lyrics' ? value : value.trim()])
+        .filter(([name, value]) => value !== initial[name])
+    );
+    if (coverChanged) changes.picture = cover && { mime: cover.mime, data: cover.data };
+    return writeTags(track.file, changes);
+  };
+
+  const handleDownload = async (values) => {
+    setIsSaving(true);
+    try {
+      const file = await buildFile(values);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.name;
+      link.click();
+      URL.revokeObjectURL(url);
+      onSaved(track, file);
+      onClose();
+    } catch (error) {
+      console.error('Failed to write tags:', error);
+      toast.error(error.message || 'Could not write the tags');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveToDisk = async (values) => {
+    setIsSaving(true);
+    try {
+      // Ask for the destination first, while the click still counts as a user gesture
+      const handle = await window.showSaveFilePicker({ suggestedName: track.file.name });
+      const file = await buildFile(values);
+      const writable = await handle.createWritable();
+      await writable.write(file);
+      await writable.close();
+      toast.success(`Saved ${handle.name}`);
+      onSaved(track, file);
+      onClose();
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Failed to save tags:', error);
+      toast.error(error.message || 'Could not save the file');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const writable = canWriteTags(format);
+  const disabled = isLoading || isSaving || !writable;
+
+  return (
+    <Dialog open={Boolean(track)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto bg-gray-900/95 backdrop-blur-lg border-white/20 text-white">
+        <DialogHeader>
+          <DialogTitle>Track properties</DialogTitle>
+          <DialogDescription className="text-white/60 truncate">
+            {track?.file.name}
+            {format && ` · ${AUDIO_FORMATS[format].label}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {format && !writable && (
+          <p className="text-sm text-orange-200/80">
+            Tags in {AUDIO_FORMATS[format].label} files can be read but not written yet.
+          </p>
+        )}
+
+        <Form {...form}>
+          <form className="space-y-4" onSubmit={(e) => e.preventDefault()}>
+            <div className="flex gap-4">
+              {/* Cover art */}
+              <div className="flex flex-col items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => coverInputRef.current?.click()}
+                  disabled={disabled}
+                  className="w-32 h-32 rounded-xl bg-white/10 border border-white/20 flex items-center justify-center overflow-hidden hover:bg-white/20 transition-colors"
+                  title="Choose cover art"
+                >
+                  {cover ? (
+                    <img src={cover.url} alt="Cover art" className="w-full h-full object-cover" />
+                  ) : (
+                    <ImagePlus className="w-8 h-8 text-white/50" />
+                  )}
+                </button>
+                {cover && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setCover(null);
+                      setCoverChanged(true);
+                    }}
+                    disabled={disabled}
+                    className="flex items-center gap-1 text-xs text-white/60 hover:text-red-300 transition-colors"
+                  >
+                    <X className="w-3 h-3" />
+                    Remove cover
+                  </button>
+                )}
+                <input
+                  ref={coverInputRef}
+                  type="file"
+                  accept="image/jpeg,image/png"
+                  onChange={handleCoverPick}
+                  className="hidden"
+                />
+              </div>
+
+              <div className="flex-1 grid grid-cols-2 gap-3">
+                {TEXT_FIELDS.map(({ name, label }) => (
+                  <FormField
+                    key={name}
+                    control={form.control}
+                    name={name}
+                    render={({ field }) => (
+                      <FormItem className={name === 'title' ? 'col-span-2' : ''}>
+                        <FormLabel className="text-white/70">{label}</FormLabel>
+                        <FormControl>
+                          <Input {...field} disabled={disabled} className={inputClass} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                ))}
+                {SHORT_FIELDS.map(({ name, label, placeholder }) => (
+                  <FormField
+                    key={name}
+                    control={form.control}
+                    name={name}
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel className="text-white/70">{label}</FormLabel>
+                        <FormControl>
+                          <Input {...field} placeholder={placeholder} disabled={disabled} className={inputClass} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <FormField
+              control={form.control}
+              name="lyrics"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-white/70">Lyrics</FormLabel>
+                  <FormControl>
+                    <Textarea {...field} rows={6} disabled={disabled} className={inputClass} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+          </form>
+        </Form>
+
+        <DialogFooter className="gap-2">
+          <button
+            type="button"
+            onClick={form.handleSubmit(handleDownload)}
+            disabled={disabled}
+            className={`${buttonClass} bg-white/10 hover:bg-white/20 border border-white/20`}
+          >
+            <Download className="w-4 h-4" />
+            Download copy
+          </button>
+          {canSaveToDisk && (
+            <button
+              type="button"
+              onClick={form.handleSubmit(handleSaveToDisk)}
+              disabled={disabled}
+              className={`${buttonClass} bg-gradient-to-r from-orange-400 to-pink-500 hover:from-orange-500 hover:to-pink-600`}
+            >
+              <Save className="w-4 h-4" />
+              Save to file…
+            </button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TagEditor;
@@ -0,0 +1,73 @@
+import { useAudioEngine } from '../hooks/useAudioEngine'
+import { MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE } from '../utils/audioContext'
+import { MAX_SEMITONES, MAX_CENTS } from '../utils/pitchShift'
+import { Slider } from './SettingControls'
+
+const RATE_PRESETS = [0.5, 0.75, 1, 1.25, 1.5, 2]
+
+// Speed, pitch preservation and transposition, shown inside the player
+const TempoControls = ({ tempo }) => {
+  const engine = useAudioEngine()
+  const { rate, preservesPitch, semitones, cents } = tempo
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6 p-4 rounded-xl bg-white/5 border border-white/10">
+      <div className="space-y-2">
+        <Slider
+          label="Speed"
+          value={rate}
+          min={MIN_PLAYBACK_RATE}
+          max={MAX_PLAYBACK_RATE}
+          step="0.05"
+          format={(value) => `${value.toFixed(2)}×`}
+          onChange={(value) => engine.setPlaybackRate(value)}
+        />
+        <div className="flex flex-wrap gap-1">
+          {RATE_PRESETS.map((preset) => (
+            <button
+              key={preset}
+              onClick={() => engine.setPlaybackRate(preset)}
+              className={`px-2 py-0.5 rounded-md text-xs transition-colors ${
+                rate === preset ? 'bg-orange-500/30 text-orange-200' : 'bg-white/10 text-white/70 hover:bg-white/20'
+              }`}
+            >
+              {preset}×
+            </button>
+          ))}
+          <button
+            onClick={() => engine.setPreservesPitch(!preservesPitch)}
+            className={`ml-auto px-2 py-0.5 rounded-md text-xs transition-colors ${
+              preservesPitch ? 'bg-orange-500/30 text-orange-200' : 'bg-white/10 text-white/70 hover:bg-white/20'
+            }`}
+            title="Keep the original pitch when changing speed"
+          >
+            Preserve pitch
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Slider
+          label="Transpose"
+          value={semitones}
+          min={-MAX_SEMITONES}
+          max={MAX_SEMITONES}
+          step="1"
+          format={(value) => `${value > 0 ? '+' : ''}${value} st`}
+          onChange={(value) => engine.setPitchShift({ semitones: value })}
+        />
+        <Slider
+          label="Fine tune"
+          value={cents}
+          min={-MAX_CENTS}
+          max={MAX_CENTS}
+          step="1"
+          format={(value) => `${value > 0 ? '+' : ''}${value} ct`}
+          onChange={(value) => engine.setPitchShift({ cents: value })}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default TempoControls
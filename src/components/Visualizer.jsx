@@ -1,55 +1,25 @@
 import { useEffect, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
-import { generateSunsetGradient, interpolateColors } from '../utils/colorUtils';
+import { SUNSET_COLORS } from '../utils/colorUtils';
+import { useAudioEngine } from '../hooks/useAudioEngine';
 
-const Visualizer = ({ audioElement, isPlaying }) => {
+const Visualizer = ({ isPlaying }) => {
+  const engine = useAudioEngine();
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const audioContextRef = useRef(null);
   const analyzerRef = useRef(null);
-  const sourceRef = useRef(null);
   const dataArrayRef = useRef(null);
   const [visualizerType, setVisualizerType] = useState('bars');
   const [isInitialized, setIsInitialized] = useState(false);
 
-  // Initialize audio context and analyzer
+  // Tap the engine's analyser instead of building a second graph
   useEffect(() => {
-    if (!audioElement || isInitialized) return;
+    if (!engine.analyser) return;
 
-    const initializeAudio = async () => {
-      try {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const analyzer = audioContext.createAnalyser();
-        
-        analyzer.fftSize = 256;
-        analyzer.smoothingTimeConstant = 0.8;
-        
-        const source = audioContext.createMediaElementSource(audioElement);
-        source.connect(analyzer);
-        analyzer.connect(audioContext.destination);
-        
-        const bufferLength = analyzer.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        
-        audioContextRef.current = audioContext;
-        analyzerRef.current = analyzer;
-        sourceRef.current = source;
-        dataArrayRef.current = dataArray;
-        
-        setIsInitialized(true);
-      } catch (error) {
-        console.error('Error initializing audio context:', error);
-      }
-    };
-
-    initializeAudio();
-
-    return () => {
-      if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-        audioContextRef.current.close();
-      }
-    };
-  }, [audioElement, isInitialized]);
+    analyzerRef.current = engine.analyser;
+    dataArrayRef.current = new Uint8Array(engine.analyser.frequencyBinCount);
+    setIsInitialized(true);
+  }, [engine]);
 
   // Animation loop
   useEffect(() => {
@@ -79,7 +49,7 @@ const Visualizer = ({ audioElement, isPlaying }) => {
       
       // Clear canvas with gradient background
       const gradient = ctx.createLinearGradient(0, 0, 0, height);
-      const sunsetColors = generateSunsetGradient();
+      const sunsetColors = SUNSET_COLORS.gradients.warm;
       gradient.addColorStop(0, `${sunsetColors[0]}20`);
       gradient.addColorStop(0.5, `${sunsetColors[1]}15`);
       gradient.addColorStop(1, `${sunsetColors[2]}10`);
@@ -87,7 +57,7 @@ const Visualizer = ({ audioElement, isPlaying }) => {
       ctx.fillStyle = gradient;
       ctx.fillRect(0, 0, width, height);
 
-      if (isPlaying && audioContextRef.current?.state === 'running') {
+      if (isPlaying && engine.getContextState() === 'running') {
         switch (visualizerType) {
           case 'bars':
             drawBars(ctx, width, height);
@@ -117,13 +87,13 @@ const Visualizer = ({ audioElement, isPlaying }) => {
       }
       window.removeEventListener('resize', resizeCanvas);
     };
-  }, [isInitialized, isPlaying, visualizerType]);
+  }, [engine, isInitialized, isPlaying, visualizerType]);
 
   const drawBars = (ctx, width, height) => {
     const bufferLength = dataArrayRef.current.length;
     const barWidth = width / bufferLength * 2;
     let x = 0;
-    const sunsetColors = generateSunsetGradient();
+    const sunsetColors = SUNSET_COLORS.gradients.warm;
 
     for (let i = 0; i < bufferLength; i++) {
       const barHeight = (dataArrayRef.current[i] / 255) * height * 0.8;
@@ -146,7 +116,7 @@ const Visualizer = ({ audioElement, isPlaying }) => {
     const bufferLength = dataArrayRef.current.length;
     const sliceWidth = width / bufferLength;
     let x = 0;
-    const sunsetColors = generateSunsetGradient();
+    const sunsetColors = SUNSET_COLORS.gradients.warm;
 
     ctx.lineWidth = 3;
     ctx.strokeStyle = sunsetColors[1];
@@ -179,7 +149,7 @@ const Visualizer = ({ audioElement, isPlaying }) => {
     const centerX = width / 2;
     const centerY = height / 2;
     const radius = Math.min(width, height) / 4;
-    const sunsetColors = generateSunsetGradient();
+    const sunsetColors = SUNSET_COLORS.gradients.warm;
 
     for (let i = 0; i < bufferLength; i++) {
       const angle = (i / bufferLength) * Math.PI * 2;
@@ -205,7 +175,7 @@ const Visualizer = ({ audioElement, isPlaying }) => {
 
   const drawParticles = (ctx, width, height) => {
     const bufferLength = dataArrayRef.current.length;
-    const sunsetColors = generateSunsetGradient();
+    const sunsetColors = SUNSET_COLORS.gradients.warm;
     
     for (let i = 0; i < bufferLength; i++) {
       const amplitude = dataArrayRef.current[i] / 255;
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+import audioContextManager from '@/utils/audioContext';
+
+/**
+ * Access the shared audio engine. The engine is created on first use and
+ * lives for the whole page, so components never build their own graph.
+ */
+export function useAudioEngine() {
+  audioContextManager.initialize();
+  return audioContextManager;
+}
+
+/**
+ * Subscribe to an engine event for the lifetime of the component.
+ * The latest handler is always called, so callers can pass inline functions.
+ */
+export function useAudioEngineEvent(type, handler) {
+  const engine = useAudioEngine();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    return engine.on(type, (payload) => handlerRef.current?.(payload));
+  }, [engine, type]);
+}
@@ -3,76 +3,6 @@ import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './styles/global.css'
 
-// Initialize Web Audio Context
-let audioContext = null;
-
-const initializeAudioContext = () => {
-  if (!audioContext) {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  }
-  return audioContext;
-};
-
-// Audio Context Provider
-export const AudioContextProvider = ({ children }) => {
-  const [context, setContext] = React.useState(null);
-  const [analyser, setAnalyser] = React.useState(null);
-  const [currentTrack, setCurrentTrack] = React.useState(null);
-  const [isPlaying, setIsPlaying] = React.useState(false);
-  const [playlist, setPlaylist] = React.useState([]);
-  const [currentTrackIndex, setCurrentTrackIndex] = React.useState(0);
-  const [volume, setVolume] = React.useState(1);
-  const [duration, setDuration] = React.useState(0);
-  const [currentTime, setCurrentTime] = React.useState(0);
-
-  React.useEffect(() => {
-    const ctx = initializeAudioContext();
-    const analyserNode = ctx.createAnalyser();
-    analyserNode.fftSize = 256;
-    analyserNode.connect(ctx.destination);
-    
-    setContext(ctx);
-    setAnalyser(analyserNode);
-  }, []);
-
-  const value = {
-    audioContext: context,
-    analyser,
-    currentTrack,
-    setCurrentTrack,
-    isPlaying,
-    setIsPlaying,
-    playlist,
-    setPlaylist,
-    currentTrackIndex,
-    setCurrentTrackIndex,
-    volume,
-    setVolume,
-    duration,
-    setDuration,
-    currentTime,
-    setCurrentTime
-  };
-
-  return (
-    <AudioContext.Provider value={value}>
-      {children}
-    </AudioContext.Provider>
-  );
-};
-
-// Create Audio Context
-export const AudioContext = React.createContext();
-
-// Custom hook to use audio context
-export const useAudioContext = () => {
-  const context = React.useContext(AudioContext);
-  if (!context) {
-    throw new Error('useAudioContext must be used within AudioContextProvider');
-  }
-  return context;
-};
-
 // Error Boundary Component
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -114,9 +44,7 @@ class ErrorBoundary extends React.Component {
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ErrorBoundary>
-      <AudioContextProvider>
-        <App />
-      </AudioContextProvider>
+      <App />
     </ErrorBoundary>
   </React.StrictMode>
 )
\ No newline at end of file
@@ -0,0 +1,14 @@
+// Helpers for keeping long-running work off the critical path
+
+/**
+ * Let the browser handle input and paint between chunks of heavy work.
+ * A message round-trip is not throttled in background tabs like timers.
+ */
+export const yieldToMain = () => new Promise((resolve) => {
+  const channel = new MessageChannel();
+  channel.port1.onmessage = () => {
+    channel.port1.close();
+    resolve();
+  };
+  channel.port2.postMessage(null);
+});
@@ -1,22 +1,195 @@
-// Audio context management and analysis utilities
+import { Equalizer, createDefaultBands } from './equalizer';
+import { Dynamics, createLimiter, createClipper } from './dynamics';
+import { StereoImage, DEFAULT_STEREO } from './stereo';
+import { Reverb, DEFAULT_REVERB, decodeImpulseResponse } from './reverb';
+import { VocalReduction, DEFAULT_VOCAL_REDUCTION } from './vocalReduction';
+import { PitchShifter } from './pitchShift';
+import { EffectChain, parseChainJSON } from './effectChain';
+import { EFFECT_TYPES, BUILT_IN_EFFECTS } from './effects';
+import { Deck, FADE_CURVES, createFadeCurve, decodeTrack, copySegment, createLoopSegment } from './deck';
+import { computeNormalizationGain, dbToGain, DEFAULT_TARGET_LUFS } from './loudness';
+import { DEFAULT_SILENCE } from './silence';
+import { snapToBeat } from './beatDetection';
+import { LevelMeter, EMPTY_READING } from './meter';
+import { DEFAULT_VOLUME, volumeToDb, volumeToGain, clampVolume } from './volume';
+import { loadSetting, saveSetting } from './storage';
+
+// Audio engine: owns the single AudioContext, the playback decks and the
+// whole processing graph. Everything that needs audio goes through here.
+//
+// Graph: deck A/B -> input -> effect chain -> analyser -> volume
+//        -> [boost limiter] -> sleep fade -> destination
+//
+// The effect chain defaults to pitch shift -> karaoke -> equalizer -> stereo
+// -> reverb -> dynamics; users can reorder and bypass those and insert
+// their own effects anywhere in between.
+//
+// The level meter taps the analyser, so it reads the processed signal
+// before the volume control.
+//
+// Without AudioContext.setSinkId the output goes to a MediaStream played by
+// a hidden element instead, which can pick a device with its own setSinkId.
+//
+// Each deck is source -> track gain (loudness normalization) -> fade gain.
+// The shared input doubles as the transport gain: pause and seek fade it
+// out before touching the element, play fades it back in.
+//
+// Each deck's media element source is created exactly once; track changes
+// only swap an element's src, so the graph survives for the page lifetime.
+//
+// Gapless joins are spliced on the audio clock: the tail of the playing
+// track and the head of the next one are decoded ahead of time, the
+// outgoing element hands over to its tail just before the end and the head
+// starts on the exact sample the tail stops. The incoming element takes
+// over from its head once it runs in step with it.
+
+// How long before the active track runs out the next deck is started when
+// the join can't be spliced. It covers the element's own start-up latency.
+const GAPLESS_START_LEAD = 0.03;
+
+// Seconds of decoded audio kept at each end of a track for splicing
+const SPLICE_LENGTH = 4;
+
+// Longer tracks are joined and looped by their elements: decoding them
+// whole just to keep a few seconds costs too much memory
+const MAX_DECODE_DURATION = 600;
+
+// How long before the join the outgoing element hands over to its tail
+const SPLICE_LEAD = 0.25;
+
+// Element <-> segment crossover length, in seconds
+const SPLICE_HANDOVER = 0.02;
+
+// Headroom for scheduling on the audio clock from the main thread
+const SCHEDULE_AHEAD = 0.05;
+
+// How far apart an element and the segments it takes over from may be at
+// the crossover, and how often they are compared until then
+const ALIGN_TOLERANCE = 0.01;
+const ALIGN_INTERVAL = 0.25;
+
+// The handoff timer wakes up this long before the transition to measure
+// the track again and arm the exact moment from there
+const HANDOFF_PREPARE = 1;
+
+// Longest crossfade the settings allow, in seconds
+export const MAX_CROSSFADE = 12;
+
+export const MIN_PLAYBACK_RATE = 0.25;
+export const MAX_PLAYBACK_RATE = 4;
+
+// Pause/resume/seek fade length, in seconds (0 is off)
+export const MAX_TRANSPORT_FADE = 0.5;
+
+// Shortest A-B loop region, in seconds of track time
+export const MIN_LOOP_LENGTH = 0.05;
+
+const EMPTY_LOOP = { start: null, end: null, enabled: false, repeat: 0, count: 0 };
+
+// Seconds decoded either side of an A-B loop, so the points can be nudged
+// without decoding again and playback can carry on past B from the buffer
+const LOOP_MARGIN = 5;
+
+// Crossfade baked in at B so a decoded loop wraps without a click
+const LOOP_SEAM = 0.01;
+
+// Volume changes and mute ramp over this long, in seconds
+const VOLUME_RAMP = 0.03;
+
+// Sleep timer fade-out length, in seconds
+export const MAX_SLEEP_FADE = 120;
+export const SLEEP_TIMER_MODES = ['duration', 'time', 'track', 'playlist'];
+
 class AudioContextManager {
   constructor() {
     this.audioContext = null;
+    this.decks = [];
+    this.activeDeck = null;
     this.analyser = null;
     this.dataArray = null;
     this.bufferLength = null;
-    this.source = null;
+    this.inputNode = null;
     this.gainNode = null;
+    this.boostLimiter = null;
+    this.boostClipper = null;
+    this.volumeRewireTimer = null;
+    this.pendingRewires = [];
+    this.sleepFadeNode = null;
+    this.meter = null;
+    this.meterReading = { ...EMPTY_READING };
+    this.equalizer = null;
+    this.dynamics = null;
+    this.stereo = null;
+    this.reverb = null;
+    this.vocalReduction = null;
+    this.pitchShifter = null;
+    this.effectChain = null;
+    this.volume = { ...DEFAULT_VOLUME, ...loadSetting('volume', {}) };
+    this.volume.level = clampVolume(this.volume.level, this.volume.boost);
+    this.tempo = {
+      rate: 1,
+      preservesPitch: true,
+      semitones: 0,
+      cents: 0,
+      ...loadSetting('tempo', {})
+    };
+    this.gapless = loadSetting('gapless', true);
+    this.crossfade = loadSetting('crossfade', { duration: 0, curve: 'equal-power' });
+    this.transportFade = loadSetting('transport-fade', 0.03);
+    // Bumped by every play, pause and seek; a fade that finds it changed
+    // has been overtaken and leaves the transport gain alone
+    this.transportToken = 0;
+    this.normalization = loadSetting('normalization', { mode: 'track', targetLufs: DEFAULT_TARGET_LUFS });
+    this.trackLoudness = new Map();
+    this.silenceSettings = { ...DEFAULT_SILENCE, ...loadSetting('silence', {}) };
+    this.trackSilence = new Map();
+    this.trackBeats = new Map();
+    this.silenceTimer = null;
+    this.nextUrl = null;
+    this.handoffTimer = null;
+    // Decoded ends of the playing and next track: url -> { start, end, head, tail }
+    this.splices = new Map();
+    this.isDecodingSplice = false;
+    this.splice = null;
+    this.crossfadeTimer = null;
+    this.loopRegion = { ...EMPTY_LOOP };
+    this.loopTimer = null;
+    // Decoded loop region of the playing track and the loop playing from it
+    this.loopAudio = null;
+    this.loopPlayback = null;
+    this.sleepTimer = null;
+    this.sleepFade = loadSetting('sleep-fade', 30);
+    this.sleepTimeout = null;
+    this.isSleepFading = false;
+    // '' is the system default; the preference is kept while the device is away
+    this.preferredOutputDevice = loadSetting('output-device', '');
+    this.outputDevice = '';
+    this.outputDeviceLabels = new Map();
+    this.sinkElement = null;
+    this.streamDestination = null;
+    this.stopWatchingDevices = null;
+    this.listeners = new Map();
     this.isInitialized = false;
   }
 
-  // Initialize audio context and analyzer
-  async initialize() {
+  // Initialize audio context, playback decks and graph (idempotent)
+  initialize() {
+    if (this.isInitialized) return true;
+
     try {
       // Create audio context with fallback for older browsers
       const AudioContext = window.AudioContext || window.webkitAudioContext;
       this.audioContext = new AudioContext();
 
+      // Both decks feed one input so the rest of the chain is shared
+      this.inputNode = this.audioContext.createGain();
+      const onDeckEvent = (deck, type, event) => this.handleDeckEvent(deck, type, event);
+      this.decks = [
+        new Deck(this.audioContext, this.inputNode, onDeckEvent),
+        new Deck(this.audioContext, this.inputNode, onDeckEvent)
+      ];
+      this.activeDeck = this.decks[0];
+
       // Create analyzer node
       this.analyser = this.audioContext.createAnalyser();
       this.analyser.fftSize = 256;
@@ -24,16 +197,56 @@ class AudioContextManager {
 
       // Create gain node for volume control
       this.gainNode = this.audioContext.createGain();
-      this.gainNode.connect(this.audioContext.destination);
+      this.gainNode.gain.value = this.getVolumeGain();
+      this.boostLimiter = createLimiter(this.audioContext);
+      this.boostClipper = createClipper(this.audioContext);
+
+      // Separate from volume so the sleep timer can fade without touching it
+      this.sleepFadeNode = this.audioContext.createGain();
+      this.connectVolume();
+      this.sleepFadeNode.connect(this.audioContext.destination);
 
-      // Connect analyzer to gain node
+      // Karaoke needs the untouched stereo image, so it runs ahead of EQ and stereo
+      this.vocalReduction = new VocalReduction(this.audioContext, loadSetting('karaoke', {}));
+
+      // Persistent EQ stage; band edits never rebuild the graph
+      const eqSettings = loadSetting('equalizer', null);
+      this.equalizer = new Equalizer(this.audioContext, eqSettings?.bands || createDefaultBands());
+      if (this.equalizer.setEnabled(eqSettings?.enabled ?? true)) this.equalizer.connect();
+
+      // Balance, mono, swap and width
+      this.stereo = new StereoImage(this.audioContext, loadSetting('stereo', {}));
+
+      // Convolution reverb; ahead of dynamics so the limiter sees the tail
+      this.reverb = new Reverb(this.audioContext, loadSetting('reverb', {}));
+
+      // Optional compressor / brickwall limiter
+      this.dynamics = new Dynamics(this.audioContext, loadSetting('dynamics', {}));
+
+      // Pitch shift without tempo change (AudioWorklet, loads async)
+      this.pitchShifter = new PitchShifter(this.audioContext, this.tempo);
+      this.decks.forEach((deck) => this.applyTempo(deck));
+
+      // input -> effect chain -> analyser -> gain -> destination
+      this.effectChain = new EffectChain(this.audioContext);
+      this.inputNode.connect(this.effectChain.input);
+      this.effectChain.output.connect(this.analyser);
+      this.restoreEffectChain(loadSetting('effect-chain', null));
       this.analyser.connect(this.gainNode);
 
+      // Broadcast-style meters (AudioWorklet, loads async)
+      this.meter = new LevelMeter(this.audioContext, (reading) => {
+        this.meterReading = reading;
+        this.emit('meter', reading);
+      });
+      this.analyser.connect(this.meter.input);
+
       // Set up data array for frequency data
       this.bufferLength = this.analyser.frequencyBinCount;
       this.dataArray = new Uint8Array(this.bufferLength);
 
       this.isInitialized = true;
+      this.watchOutputDevices();
       return true;
     } catch (error) {
       console.error('Failed to initialize audio context:', error);
@@ -41,30 +254,1239 @@ class AudioContextManager {
     }
   }
 
-  // Connect audio element to analyzer
-  connectAudioElement(audioElement) {
-    if (!this.isInitialized) {
-      console.warn('Audio context not initialized');
-      return false;
+  // The media element currently playing
+  get audioElement() {
+    return this.activeDeck ? this.activeDeck.element : null;
+  }
+
+  get idleDeck() {
+    return this.decks.find((deck) => deck !== this.activeDeck) || null;
+  }
+
+  // Subscribe to engine events; returns an unsubscribe function
+  on(type, handler) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
     }
+    this.listeners.get(type).add(handler);
+    return () => this.listeners.get(type)?.delete(handler);
+  }
 
-    try {
-      // Disconnect previous source if exists
-      if (this.source) {
-        this.source.disconnect();
+  emit(type, payload) {
+    this.listeners.get(type)?.forEach((handler) => handler(payload));
+  }
+
+  // Only the active deck talks to subscribers; the idle one is either
+  // buffering the next track or finishing the previous one
+  handleDeckEvent(deck, type, event) {
+    if (deck !== this.activeDeck) {
+      if (type === 'ended' || type === 'pause') {
+        this.preloadNext();
+      } else if (type === 'durationchange') {
+        this.prepareSplices();
+      }
+      return;
+    }
+
+    // Stop here rather than letting the app move on to the next track
+    if (type === 'ended' && this.sleepEndsWithTrack()) {
+      this.sleep();
+      return;
+    }
+
+    if (['play', 'seeked', 'ratechange', 'durationchange'].includes(type)) {
+      this.scheduleHandoff();
+      this.scheduleLoop();
+      this.scheduleSilence();
+      this.scheduleSleep();
+    } else if (type === 'pause') {
+      this.cancelHandoff();
+      this.cancelLoop();
+      this.stopLoopSegment();
+      this.cancelSilence();
+      this.interruptSleepFade();
+      // Wall-clock timers keep counting while paused
+      if (!this.sleepEndsWithTrack()) this.scheduleSleep();
+    }
+
+    this.emit(type, event);
+  }
+
+  // Point the active deck at a track without touching the graph. When the
+  // track is already buffered on the idle deck the decks are swapped.
+  // With { crossfade: true } a playing track fades into the new one; any
+  // other change away from a playing track gets a transport-length fade.
+  loadTrack(url, { crossfade = false } = {}) {
+    if (!this.initialize()) return false;
+    if (this.activeDeck.url === url) return true;
+
+    const outgoing = this.activeDeck;
+    const idle = this.idleDeck;
+    this.cancelHandoff();
+    this.cancelSplice();
+    this.stopLoopSegment();
+    this.clearLoopRegion();
+    this.resetMeter();
+
+    const fadeLength = crossfade && this.crossfade.duration > 0 ? this.crossfade.duration : this.transportFade;
+    if (url && fadeLength > 0 && !outgoing.element.paused) {
+      // Cut off whatever the idle deck was still fading out
+      this.cancelCrossfade();
+      idle.load(url);
+      this.applyTrackBounds(idle);
+      idle.reset();
+      this.activeDeck = idle;
+      this.startCrossfade(outgoing, idle, fadeLength);
+      this.play();
+      this.emit('durationchange');
+      this.emit('timeupdate');
+    } else if (url && idle.url === url && !idle.isBusy()) {
+      outgoing.reset();
+      this.activeDeck = idle;
+      idle.setGain(1);
+      this.emit('durationchange');
+      this.emit('timeupdate');
+    } else {
+      outgoing.load(url);
+      this.applyTrackBounds(outgoing);
+      outgoing.setGain(1);
+    }
+
+    this.applyNormalization(this.activeDeck);
+    this.preloadNext();
+    return true;
+  }
+
+  // Tell the engine what plays after the current track (null for nothing).
+  // It is buffered on the idle deck for a gapless transition.
+  setNextTrack(url) {
+    this.nextUrl = url || null;
+    if (!this.isInitialized) return;
+
+    this.preloadNext();
+    this.scheduleHandoff();
+    this.scheduleSleep();
+  }
+
+  preloadNext() {
+    const idle = this.idleDeck;
+    // Never cut off a deck that is still playing out its last samples
+    if (!idle || idle.isBusy() || this.nextUrl === this.activeDeck.url) return;
+
+    if (this.nextUrl) {
+      idle.load(this.nextUrl);
+      this.applyTrackBounds(idle);
+      idle.reset();
+      this.applyNormalization(idle);
+    }
+  }
+
+  // Loudness info for a track: { integrated, truePeak, album }
+  setTrackLoudness(url, loudness) {
+    this.trackLoudness.set(url, loudness);
+    this.decks
+      .filter((deck) => deck.url === url)
+      .forEach((deck) => this.applyNormalization(deck));
+  }
+
+  // { mode: 'off' | 'track' | 'album', targetLufs }
+  setNormalization(settings) {
+    this.normalization = { ...this.normalization, ...settings };
+    saveSetting('normalization', this.normalization);
+    this.decks.forEach((deck) => this.applyNormalization(deck));
+    this.emit('playbackchange', this.getPlaybackSettings());
+  }
+
+  // Gain in dB currently applied to the playing track
+  getNormalizationGain(url = this.activeDeck?.url) {
+    return computeNormalizationGain(this.trackLoudness.get(url), this.normalization);
+  }
+
+  applyNormalization(deck) {
+    if (!deck || !deck.url) return;
+    deck.setTrackGain(dbToGain(this.getNormalizationGain(deck.url)));
+  }
+
+  // Silence found in a track: { leading, trailing, gaps, duration }
+  setTrackSilence(url, silence) {
+    this.trackSilence.set(url, silence);
+    this.decks
+      .filter((deck) => deck.url === url)
+      .forEach((deck) => this.applyTrackBounds(deck));
+    this.scheduleSilence();
+    this.scheduleHandoff();
+  }
+
+  // Beat positions (seconds) found by analysis
+  setTrackBeats(url, beats) {
+    this.trackBeats.set(url, beats);
+  }
+
+  // Beat grid of a track (the playing one by default), or null
+  getBeatGrid(url = this.activeDeck?.url) {
+    return this.trackBeats.get(url) || null;
+  }
+
+  // Nearest beat of the playing track, for snapping loops and the like
+  snapToBeat(time) {
+    return snapToBeat(this.getBeatGrid(), time);
+  }
+
+  getSilenceSettings() {
+    return { ...this.silenceSettings };
+  }
+
+  // { trimBoundaries, compressGaps, thresholdDb, minGap, keepGap }
+  setSilenceSettings(settings) {
+    this.silenceSettings = { ...this.silenceSettings, ...settings };
+    saveSetting('silence', this.silenceSettings);
+    this.decks.forEach((deck) => this.applyTrackBounds(deck));
+    this.scheduleSilence();
+    this.scheduleHandoff();
+    this.emit('silencechange', this.getSilenceSettings());
+  }
+
+  // Skip the silent lead-in and tail of a track when trimming is on
+  applyTrackBounds(deck) {
+    if (!deck || !deck.url) return;
+
+    const silence = this.trackSilence.get(deck.url);
+    if (silence && this.silenceSettings.trimBoundaries) {
+      deck.setBounds(silence.leading, silence.trailing);
+    } else {
+      deck.setBounds(0, null);
+    }
+  }
+
+  // Arm a clock timer for the next jump: over an internal gap (keeping
+  // keepGap seconds of it) or past the trimmed tail. Without a buffered
+  // next track the tail jump lands on the real end so 'ended' fires.
+  scheduleSilence() {
+    this.cancelSilence();
+
+    const deck = this.activeDeck;
+    const silence = deck && this.trackSilence.get(deck.url);
+    if (!silence || deck.element.paused || deck.element.playbackRate <= 0) return;
+
+    const { element } = deck;
+    const now = element.currentTime;
+    const { compressGaps, trimBoundaries, keepGap } = this.silenceSettings;
+    let jump = null;
+
+    if (compressGaps) {
+      const gap = silence.gaps.find((candidate) =>
+        candidate.end - candidate.start > keepGap && candidate.end - keepGap / 2 > now);
+      if (gap) jump = { at: Math.max(now, gap.start + keepGap / 2), to: gap.end - keepGap / 2 };
+    }
+    if (!jump && trimBoundaries && now < silence.trailing) {
+      jump = { at: silence.trailing, to: element.loop ? deck.startTime : element.duration };
+    }
+    if (!jump) return;
+
+    // Never jump out of an A-B loop
+    const loop = this.loopRegion;
+    if (loop.enabled && jump.at < loop.end && jump.to > loop.end) return;
+
+    this.silenceTimer = this.setClockTimeout(() => {
+      this.silenceTimer = null;
+      if (this.activeDeck !== deck) return;
+
+      if (jump.at - element.currentTime > 0.02) {
+        this.scheduleSilence();
+      } else {
+        element.currentTime = jump.to;
+      }
+    }, (jump.at - now) / element.playbackRate);
+  }
+
+  cancelSilence() {
+    if (this.silenceTimer) {
+      const cancel = this.silenceTimer;
+      this.silenceTimer = null;
+      cancel();
+    }
+  }
+
+  setGapless(enabled) {
+    this.gapless = enabled;
+    saveSetting('gapless', enabled);
+    this.scheduleHandoff();
+    this.emit('playbackchange', this.getPlaybackSettings());
+  }
+
+  getPlaybackSettings() {
+    return {
+      gapless: this.gapless,
+      crossfade: { ...this.crossfade },
+      transportFade: this.transportFade,
+      normalization: { ...this.normalization }
+    };
+  }
+
+  // Fade length around pause, resume, seek and manual track changes; 0 is off
+  setTransportFade(seconds) {
+    this.transportFade = Math.max(0, Math.min(MAX_TRANSPORT_FADE, Number(seconds) || 0));
+    saveSetting('transport-fade', this.transportFade);
+    this.emit('playbackchange', this.getPlaybackSettings());
+  }
+
+  // Ramp the transport gain and resolve once it is there. Nothing is
+  // audible while the context is not running, so then it just jumps.
+  fadeTransport(value) {
+    const { gain } = this.inputNode;
+    const now = this.audioContext.currentTime;
+    const length = this.audioContext.state === 'running' ? this.transportFade : 0;
+
+    gain.cancelScheduledValues(now);
+    if (length <= 0) {
+      gain.setValueAtTime(value, now);
+      return Promise.resolve();
+    }
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(value, now + length);
+    return new Promise((resolve) => this.setClockTimeout(resolve, length));
+  }
+
+  // Repeat-one is handled by the element itself, which loops seamlessly
+  setLoop(loop) {
+    this.decks.forEach((deck) => {
+      deck.element.loop = loop;
+    });
+    this.scheduleHandoff();
+  }
+
+  // setTimeout on the audio clock. A scheduled source's onended is not
+  // throttled in background tabs the way setTimeout is, so transitions
+  // stay on time while the page is hidden. Returns a cancel function.
+  setClockTimeout(callback, delay) {
+    const timer = this.audioContext.createConstantSource();
+    const silent = this.audioContext.createGain();
+    let cancelled = false;
+
+    silent.gain.value = 0;
+    timer.connect(silent);
+    silent.connect(this.audioContext.destination);
+    timer.onended = () => {
+      silent.disconnect();
+      if (!cancelled) callback();
+    };
+    timer.start();
+    timer.stop(this.audioContext.currentTime + Math.max(0, delay));
+
+    return () => {
+      cancelled = true;
+      timer.stop();
+    };
+  }
+
+  // Seconds before the end of the active track the next one must start
+  getTransitionLead() {
+    const { duration } = this.crossfade;
+    if (duration <= 0) return GAPLESS_START_LEAD;
+
+    // Never fade over more than half of a short track
+    return Math.max(GAPLESS_START_LEAD, Math.min(duration, this.getDuration() / 2));
+  }
+
+  // Arm a timer that fires just before the active track runs out, either
+  // to join the buffered track or to start crossfading into it. It wakes
+  // up early and measures again, so drift between the element and the
+  // context clock is caught whichever way it goes.
+  scheduleHandoff() {
+    this.cancelHandoff();
+    this.prepareSplices();
+
+    const active = this.activeDeck;
+    const idle = this.idleDeck;
+    const transitions = this.gapless || this.crossfade.duration > 0;
+    if (!transitions || !active || active.element.paused || active.element.loop) return;
+    if (!idle || !this.nextUrl || idle.url !== this.nextUrl) return;
+
+    const remaining = active.getRemainingTime();
+    if (!Number.isFinite(remaining)) return;
+
+    const lead = Math.max(SPLICE_LEAD, this.getTransitionLead());
+    this.handoffTimer = this.setClockTimeout(() => {
+      const exactLead = this.canSplice(active, idle) ? SPLICE_LEAD : this.getTransitionLead();
+      const wait = active.getRemainingTime() - exactLead;
+      if (wait > HANDOFF_PREPARE * 2) {
+        this.handoffTimer = null;
+        this.scheduleHandoff();
+        return;
+      }
+      this.handoffTimer = this.setClockTimeout(() => {
+        this.handoffTimer = null;
+        this.handoff();
+      }, wait);
+    }, remaining - lead - HANDOFF_PREPARE);
+  }
+
+  cancelHandoff() {
+    if (this.handoffTimer) {
+      const cancel = this.handoffTimer;
+      this.handoffTimer = null;
+      cancel();
+    }
+  }
+
+  // Start the buffered deck and make it active. Without a crossfade the
+  // join is spliced when both ends are decoded; otherwise the outgoing deck
+  // plays out its final samples on its own, fading out when crossfading.
+  handoff() {
+    const outgoing = this.activeDeck;
+    const incoming = this.idleDeck;
+    if (!incoming || incoming.url !== this.nextUrl) return;
+
+    if (this.sleepEndsWithTrack()) {
+      this.sleep();
+      return;
+    }
+
+    this.stopLoopSegment();
+    const spliced = this.crossfade.duration <= 0 && this.startSplice(outgoing, incoming);
+    this.activeDeck = incoming;
+    this.clearLoopRegion();
+    this.resetMeter();
+    if (!spliced) {
+      if (this.crossfade.duration > 0) {
+        this.startCrossfade(outgoing, incoming, Math.min(this.crossfade.duration, outgoing.getRemainingTime()));
+      } else {
+        incoming.setGain(1);
+      }
+
+      incoming.element.play().catch((error) => {
+        console.error('Failed to start next track:', error);
+      });
+    }
+
+    this.emit('trackadvance', { url: incoming.url });
+    this.emit('durationchange');
+    this.emit('timeupdate');
+  }
+
+  // Decode the ends of the playing and the buffered track, one track at a
+  // time, so the join between them can be spliced. Ends cut for other
+  // bounds or for tracks no longer involved are dropped.
+  prepareSplices() {
+    if (!this.isInitialized) return;
+
+    const decks = this.decks.filter((deck) => deck.url && (deck === this.activeDeck || deck.url === this.nextUrl));
+    this.splices.forEach((splice, url) => {
+      const deck = decks.find((candidate) => candidate.url === url);
+      if (!deck || (splice.head && (splice.start !== deck.startTime || splice.end !== deck.endTime))) {
+        this.splices.delete(url);
+      }
+    });
+    if (!this.gapless || this.crossfade.duration > 0 || this.isDecodingSplice) return;
+
+    const deck = decks.find(({ url, element }) =>
+      !this.splices.has(url) && Number.isFinite(element.duration) && element.duration <= MAX_DECODE_DURATION);
+    if (!deck) return;
+
+    const { url } = deck;
+    this.isDecodingSplice = true;
+    decodeTrack(this.audioContext, url)
+      .then((buffer) => {
+        // Cut with the bounds the track has now; they may have moved meanwhile
+        const current = this.decks.find((candidate) => candidate.url === url);
+        if (!current || !this.audioContext) return;
+        const start = current.startTime;
+        const end = Math.min(buffer.duration, current.endTime ?? buffer.duration);
+        this.splices.set(url, {
+          start: current.startTime,
+          end: current.endTime,
+          head: copySegment(this.audioContext, buffer, start, start + SPLICE_LENGTH),
+          tail: copySegment(this.audioContext, buffer, end - SPLICE_LENGTH, end)
+        });
+      })
+      .catch((error) => {
+        console.warn(`Failed to decode "${url}" for a gapless join:`, error);
+        // Remembered so it is not retried; the elements join it instead
+        this.splices.set(url, {});
+      })
+      .finally(() => {
+        this.isDecodingSplice = false;
+        this.prepareSplices();
+      });
+  }
+
+  // The tail of one deck and the head of the other are decoded for the
+  // bounds they have now. Segments play at normal speed only.
+  canSplice(outgoing, incoming) {
+    if (!this.gapless || this.crossfade.duration > 0 || outgoing.element.playbackRate !== 1) return false;
+
+    const matches = (deck, part) => {
+      const splice = this.splices.get(deck.url);
+      return Boolean(splice?.[part]) && splice.start === deck.startTime && splice.end === deck.endTime;
+    };
+    return matches(outgoing, 'tail') && matches(incoming, 'head');
+  }
+
+  // Schedule the join on the audio clock; false when it can't be spliced
+  startSplice(outgoing, incoming) {
+    if (!this.canSplice(outgoing, incoming) || this.audioContext.state !== 'running') return false;
+
+    const { tail } = this.splices.get(outgoing.url);
+    const { head } = this.splices.get(incoming.url);
+    const now = this.audioContext.currentTime;
+    const switchAt = now + SCHEDULE_AHEAD;
+    const from = outgoing.element.currentTime + SCHEDULE_AHEAD;
+    if (from < tail.from || from >= tail.to) return false;
+
+    // The sample the tail stops on is the one the head starts on
+    const joinAt = switchAt + (tail.to - from);
+    outgoing.playSegment(tail, switchAt, from, tail.to);
+    outgoing.handover('segments', switchAt, SPLICE_HANDOVER);
+    incoming.setGain(1);
+    incoming.handover('segments', now);
+    incoming.playSegment(head, joinAt, head.from, head.to);
+
+    this.splice = { outgoing, incoming, timer: null };
+    this.splice.timer = this.setClockTimeout(() => {
+      outgoing.reset();
+      incoming.element.play().catch((error) => {
+        console.error('Failed to start next track:', error);
+      });
+      this.splice.timer = this.alignElement(
+        incoming,
+        (time) => head.from + (time - joinAt),
+        joinAt + (head.to - head.from),
+        () => {
+          this.splice = null;
+        }
+      );
+    }, joinAt - now);
+    return true;
+  }
+
+  // Cross over from a deck's segments to its element once the two are in
+  // step, seeking the still silent element into line until then. `timeAt`
+  // maps a context time to the track time the segments play; before they
+  // run out at `until` it crosses over regardless. The element lags each
+  // seek by about the same start-up delay, so that is learned as it goes.
+  // Returns a cancel function.
+  alignElement(deck, timeAt, until, onDone) {
+    const { element } = deck;
+    let lag = 0;
+    let cancel = null;
+
+    const check = () => {
+      const now = this.audioContext.currentTime;
+      const offset = element.currentTime - timeAt(now);
+      const lastChance = now + ALIGN_INTERVAL + SCHEDULE_AHEAD + SPLICE_HANDOVER >= until;
+
+      if ((!element.paused && Math.abs(offset) <= ALIGN_TOLERANCE) || lastChance) {
+        deck.handover('element', now + SCHEDULE_AHEAD, SPLICE_HANDOVER);
+        cancel = this.setClockTimeout(() => {
+          deck.stopSegments();
+          onDone();
+        }, SCHEDULE_AHEAD + SPLICE_HANDOVER);
+        return;
+      }
+
+      if (!element.paused && !element.seeking) {
+        lag -= offset;
+        element.currentTime = timeAt(now) + lag;
+      }
+      cancel = this.setClockTimeout(check, ALIGN_INTERVAL);
+    };
+
+    cancel = this.setClockTimeout(check, ALIGN_INTERVAL);
+    return () => cancel();
+  }
+
+  // Abandon a join in progress and leave each deck to its element; one
+  // that had not started yet starts now
+  cancelSplice() {
+    if (!this.splice) return;
+
+    const { outgoing, incoming, timer } = this.splice;
+    this.splice = null;
+    timer?.();
+    incoming.stopSegments();
+    if (outgoing.isBusy()) {
+      outgoing.reset();
+      incoming.element.play().catch((error) => {
+        if (error.name !== 'AbortError') console.error('Failed to start next track:', error);
+      });
+    }
+  }
+
+  // Fade between two decks over `length` seconds; the outgoing one is
+  // stopped when it is silent
+  startCrossfade(outgoing, incoming, length) {
+    const { curve } = this.crossfade;
+
+    this.cancelCrossfade();
+    incoming.fade('in', length, curve);
+    outgoing.fade('out', length, curve);
+
+    this.crossfadeTimer = this.setClockTimeout(() => {
+      this.crossfadeTimer = null;
+      outgoing.reset();
+      outgoing.setGain(1);
+    }, length);
+  }
+
+  cancelCrossfade() {
+    if (this.crossfadeTimer) {
+      const cancel = this.crossfadeTimer;
+      this.crossfadeTimer = null;
+      cancel();
+    }
+  }
+
+  // { duration: 0-12 seconds (0 is off), curve: 'equal-power' | 'linear' }
+  setCrossfade(settings) {
+    const next = { ...this.crossfade, ...settings };
+    this.crossfade = {
+      duration: Math.max(0, Math.min(MAX_CROSSFADE, Number(next.duration) || 0)),
+      curve: FADE_CURVES.includes(next.curve) ? next.curve : 'equal-power'
+    };
+    saveSetting('crossfade', this.crossfade);
+    this.scheduleHandoff();
+    this.emit('playbackchange', this.getPlaybackSettings());
+  }
+
+  // { start, end, enabled, repeat, count } in track seconds. repeat is how
+  // many times the region plays before playback carries on (0 = forever).
+  getLoopRegion() {
+    return { ...this.loopRegion };
+  }
+
+  // Update the A-B loop. Points are kept in order and inside the track; the
+  // loop engages once both are set. Moving a point of a loop that is off,
+  // e.g. one that finished its repeats, leaves it off. Any change restarts
+  // the count.
+  setLoopRegion(region) {
+    const previous = this.loopRegion;
+    const next = { ...previous, ...region };
+    const duration = this.getDuration();
+    const clamp = (time) => {
+      if (time === null || !Number.isFinite(Number(time))) return null;
+      return Math.max(0, duration ? Math.min(duration, Number(time)) : Number(time));
+    };
+
+    let start = clamp(next.start);
+    let end = clamp(next.end);
+    if (start !== null && end !== null) {
+      if (start > end) [start, end] = [end, start];
+      if (end - start < MIN_LOOP_LENGTH) {
+        end = duration ? Math.min(duration, start + MIN_LOOP_LENGTH) : start + MIN_LOOP_LENGTH;
+        start = end - MIN_LOOP_LENGTH;
+      }
+    }
+
+    const isNewRegion = previous.start === null || previous.end === null ||
+      (region.start !== undefined && region.end !== undefined);
+    this.loopRegion = {
+      start,
+      end,
+      enabled: start !== null && end !== null && (region.enabled ?? (isNewRegion || previous.enabled)),
+      repeat: Math.max(0, Math.round(Number(next.repeat) || 0)),
+      count: 0
+    };
+    this.scheduleLoop();
+    this.emit('loopchange', this.getLoopRegion());
+  }
+
+  // Set A ('start') or B ('end') on its own; B without A loops from the top
+  setLoopPoint(point, time) {
+    const region = { [point]: time };
+    if (point === 'end' && this.loopRegion.start === null) region.start = 0;
+    this.setLoopRegion(region);
+  }
+
+  // A decoded loop plays on past B from its buffer while the element takes
+  // over again
+  clearLoopRegion() {
+    const { start, end, repeat } = this.loopRegion;
+    this.cancelLoop();
+    this.loopAudio = null;
+    if (start === null && end === null) return;
+
+    this.loopRegion = { ...EMPTY_LOOP, repeat };
+    if (this.loopPlayback) this.scheduleLoop();
+    this.emit('loopchange', this.getLoopRegion());
+  }
+
+  // Loop on the audio clock when the region is decoded, otherwise arm a
+  // clock timer that jumps back from B with a transport fade. The timer
+  // re-checks the element time when it fires, like the handoff.
+  scheduleLoop() {
+    this.cancelLoop();
+    if (this.loopPlayback) {
+      this.retargetLoopSegment();
+      return;
+    }
+
+    const { start, end, enabled } = this.loopRegion;
+    const element = this.audioElement;
+    if (!enabled || !element || element.paused || element.playbackRate <= 0) return;
+    this.prepareLoopAudio();
+
+    // Playback that was moved past B is left alone
+    const remaining = end - element.currentTime;
+    if (remaining < 0) return;
+
+    const rate = element.playbackRate;
+    if (this.canLoopSegment()) {
+      // Wait until the element is inside the decoded part
+      const early = this.loopAudio.segment.from - element.currentTime;
+      if (early <= 0) {
+        this.startLoopSegment();
+        return;
+      }
+      this.loopTimer = this.setClockTimeout(() => {
+        this.loopTimer = null;
+        this.scheduleLoop();
+      }, early / rate);
+      return;
+    }
+
+    const fade = this.transportFade * rate;
+    this.loopTimer = this.setClockTimeout(() => {
+      this.loopTimer = null;
+      if (end - element.currentTime > fade + MIN_LOOP_LENGTH / 2) {
+        this.scheduleLoop();
+        return;
+      }
+
+      const count = this.loopRegion.count + 1;
+      const { repeat } = this.loopRegion;
+      if (repeat > 0 && count >= repeat) {
+        // Done practising: keep the points but let the track play on
+        this.loopRegion = { ...this.loopRegion, enabled: false, count };
+      } else {
+        this.loopRegion = { ...this.loopRegion, count };
+        this.seek(start);
+      }
+      this.emit('loopchange', this.getLoopRegion());
+    }, Math.max(0, remaining - fade) / rate);
+  }
+
+  cancelLoop() {
+    if (this.loopTimer) {
+      const cancel = this.loopTimer;
+      this.loopTimer = null;
+      cancel();
+    }
+  }
+
+  // Decode the loop region of the playing track, with LOOP_MARGIN either
+  // side, unless the decoded part already covers it
+  prepareLoopAudio() {
+    const { start, end } = this.loopRegion;
+    const deck = this.activeDeck;
+    const duration = deck?.element.duration;
+    if (start === null || end === null || !Number.isFinite(duration) || duration > MAX_DECODE_DURATION) return;
+
+    const current = this.loopAudio;
+    if (current?.url === deck.url && (current.pending || current.failed || this.loopAudioCovers(current))) return;
+
+    const { url } = deck;
+    const pending = { url, pending: true };
+    this.loopAudio = pending;
+    decodeTrack(this.audioContext, url)
+      .then((buffer) => {
+        const region = this.loopRegion;
+        if (this.loopAudio !== pending) return;
+        if (region.start === null || region.end === null) {
+          this.loopAudio = null;
+          return;
+        }
+        this.loopAudio = {
+          url,
+          trackEnd: buffer.duration,
+          segment: copySegment(this.audioContext, buffer, region.start - LOOP_MARGIN, region.end + LOOP_MARGIN)
+        };
+        this.scheduleLoop();
+      })
+      .catch((error) => {
+        console.warn(`Failed to decode "${url}" for looping:`, error);
+        if (this.loopAudio === pending) this.loopAudio = { url, failed: true };
+      });
+  }
+
+  // The decoded part holds the region and enough after B to carry on from
+  loopAudioCovers({ segment, trackEnd }) {
+    const { start, end } = this.loopRegion;
+    return Boolean(segment) && segment.from <= start && segment.to >= Math.min(trackEnd, end + LOOP_MARGIN / 2);
+  }
+
+  // Segments play the time-stretched speeds of the element only at 1x
+  canLoopSegment() {
+    const { enabled } = this.loopRegion;
+    const deck = this.activeDeck;
+    const audio = this.loopAudio;
+    if (!enabled || !deck || audio?.url !== deck.url || !this.loopAudioCovers(audio)) return false;
+    return deck.element.playbackRate === 1 || !this.tempo.preservesPitch;
+  }
+
+  // Track time the looping segment plays at a context time
+  loopTimeAt(time) {
+    const { at, from, start, end, rate } = this.loopPlayback;
+    const position = from + (time - at) * rate;
+    return position < end ? position : start + ((position - start) % (end - start));
+  }
+
+  // Hand the active deck over to its decoded region, looping between A and
+  // B on the audio clock. The element keeps playing silently alongside so
+  // the position and events stay live, and is sent back to A on each pass.
+  startLoopSegment() {
+    const deck = this.activeDeck;
+    const { element } = deck;
+    const { end } = this.loopRegion;
+    const { segment } = this.loopAudio;
+    const rate = element.playbackRate;
+    const at = this.audioContext.currentTime + SCHEDULE_AHEAD;
+    const from = element.currentTime + SCHEDULE_AHEAD * rate;
+    if (from >= end || from < segment.from) return;
+
+    this.loopPlayback = { deck, segment, rate, timer: null };
+    this.playLoopFrom(at, from);
+    deck.handover('segments', at, SPLICE_HANDOVER);
+  }
+
+  // Start the loop with the current points at context time `at`, from track
+  // time `from`, replacing the running one on the same sample
+  playLoopFrom(at, from) {
+    const playback = this.loopPlayback;
+    const { deck, segment, rate } = playback;
+    const { start, end } = this.loopRegion;
+    const loop = createLoopSegment(this.audioContext, segment, start, end, LOOP_SEAM);
+
+    playback.timer?.();
+    playback.source?.stop(at);
+    Object.assign(playback, {
+      source: deck.playSegment(loop, at, from, null, { loopStart: start, loopEnd: end, rate }),
+      at,
+      from,
+      start,
+      end,
+      seam: loop.seam,
+      wrapAt: at + (end - from) / rate
+    });
+    this.armLoopPass();
+  }
+
+  // Count each pass as the loop wraps. The last one leaves the loop just
+  // before its seam, on the exact sample, and carries on through B.
+  armLoopPass() {
+    const playback = this.loopPlayback;
+    const { repeat, count } = this.loopRegion;
+    const now = this.audioContext.currentTime;
+
+    if (repeat > 0 && count + 1 >= repeat) {
+      const exitAt = playback.wrapAt - playback.seam / playback.rate;
+      playback.timer = this.setClockTimeout(() => {
+        playback.timer = null;
+        // Done practising: keep the points but let the track play on
+        this.loopRegion = { ...this.loopRegion, enabled: false, count: count + 1 };
+        this.exitLoopSegment(exitAt, playback.end - playback.seam);
+        this.emit('loopchange', this.getLoopRegion());
+      }, exitAt - SCHEDULE_AHEAD - now);
+      return;
+    }
+
+    playback.timer = this.setClockTimeout(() => {
+      playback.timer = null;
+      playback.wrapAt += (playback.end - playback.start) / playback.rate;
+      this.loopRegion = { ...this.loopRegion, count: this.loopRegion.count + 1 };
+      playback.deck.element.currentTime = this.loopTimeAt(this.audioContext.currentTime);
+      this.armLoopPass();
+      this.emit('loopchange', this.getLoopRegion());
+    }, playback.wrapAt - now);
+  }
+
+  // Follow a change to the region, the speed or the track. New points the
+  // decoded part still covers take over on the same sample; anything else
+  // carries on seamlessly from where the loop is and lets the element take
+  // over again. A pass about to wrap is let through first so it is counted.
+  retargetLoopSegment() {
+    const playback = this.loopPlayback;
+    if (playback.exiting) return;
+
+    const untilWrap = playback.wrapAt - this.audioContext.currentTime;
+    if (untilWrap < SCHEDULE_AHEAD * 2) {
+      this.loopTimer = this.setClockTimeout(() => {
+        this.loopTimer = null;
+        this.scheduleLoop();
+      }, Math.max(0, untilWrap) + SCHEDULE_AHEAD);
+      return;
+    }
+
+    this.prepareLoopAudio();
+    const at = this.audioContext.currentTime + SCHEDULE_AHEAD;
+    const from = this.loopTimeAt(at);
+    const fits = this.canLoopSegment() &&
+      this.loopAudio.segment === playback.segment &&
+      playback.deck === this.activeDeck &&
+      playback.rate === playback.deck.element.playbackRate &&
+      from < this.loopRegion.end;
+
+    if (!fits) {
+      this.exitLoopSegment(at, from);
+    } else if (playback.start !== this.loopRegion.start || playback.end !== this.loopRegion.end) {
+      this.playLoopFrom(at, from);
+    }
+  }
+
+  // Stop looping at context time `at` and play on from track time `from`
+  // in the same instant, until the element has taken over again
+  exitLoopSegment(at, from) {
+    const playback = this.loopPlayback;
+    const { deck, segment, source, rate } = playback;
+    playback.timer?.();
+    playback.exiting = true;
+
+    source.stop(at);
+    deck.playSegment(segment, at, from, segment.to, { rate });
+    deck.element.currentTime = from;
+    playback.timer = this.alignElement(
+      deck,
+      (time) => from + (time - at) * rate,
+      at + (segment.to - from) / rate,
+      () => {
+        this.loopPlayback = null;
+        this.scheduleLoop();
+      }
+    );
+  }
+
+  // Drop decoded loop playback at once, for when the transport is silent
+  // or the deck is being reused
+  stopLoopSegment() {
+    const playback = this.loopPlayback;
+    if (!playback) return;
+
+    this.loopPlayback = null;
+    playback.timer?.();
+    playback.deck.stopSegments();
+  }
+
+  // Sleep timer: { mode, deadline } where deadline (epoch ms) is used by the
+  // 'duration' and 'time' modes; 'track' and 'playlist' follow playback.
+  // Returns the timer with the seconds left until the stop, or null.
+  getSleepTimer() {
+    if (!this.sleepTimer) return null;
+    return { ...this.sleepTimer, fade: this.sleepFade, remaining: this.getSleepRemaining() };
+  }
+
+  setSleepTimer(timer) {
+    if (!SLEEP_TIMER_MODES.includes(timer.mode)) return;
+    this.interruptSleepFade();
+    this.sleepTimer = { mode: timer.mode, deadline: timer.deadline ?? null };
+    this.scheduleSleep();
+    this.emit('sleeptimerchange', this.getSleepTimer());
+  }
+
+  cancelSleepTimer() {
+    if (!this.sleepTimer) return;
+    this.interruptSleepFade();
+    this.sleepTimer = null;
+    this.emit('sleeptimerchange', null);
+  }
+
+  getSleepFade() {
+    return this.sleepFade;
+  }
+
+  // Length of the fade before the stop, 0 - MAX_SLEEP_FADE seconds
+  setSleepFade(seconds) {
+    this.sleepFade = Math.max(0, Math.min(MAX_SLEEP_FADE, Number(seconds) || 0));
+    saveSetting('sleep-fade', this.sleepFade);
+    if (this.sleepTimer) {
+      this.interruptSleepFade();
+      this.scheduleSleep();
+      this.emit('sleeptimerchange', this.getSleepTimer());
+    }
+  }
+
+  // True when the timer is due at the end of the track that is playing
+  sleepEndsWithTrack() {
+    if (!this.sleepTimer) return false;
+    return this.sleepTimer.mode === 'track' || (this.sleepTimer.mode === 'playlist' && !this.nextUrl);
+  }
+
+  // Seconds until playback stops, or null while that cannot be known
+  // (track-based modes while paused, or with more of the playlist to go)
+  getSleepRemaining() {
+    const timer = this.sleepTimer;
+    if (!timer) return null;
+
+    if (timer.mode === 'duration' || timer.mode === 'time') {
+      return Math.max(0, (timer.deadline - Date.now()) / 1000);
+    }
+
+    const active = this.activeDeck;
+    if (!this.sleepEndsWithTrack() || !active || active.element.paused) return null;
+
+    let remaining = active.getRemainingTime();
+    // A gapless or crossfaded handoff ends the track early
+    if (this.nextUrl && !active.element.loop && (this.gapless || this.crossfade.duration > 0)) {
+      remaining -= this.getTransitionLead();
+    }
+    return Number.isFinite(remaining) ? Math.max(0, remaining) : null;
+  }
+
+  // Arm a clock timer for the start of the fade; it re-evaluates when it
+  // fires, so seeks, rate changes and clock drift are all absorbed
+  scheduleSleep() {
+    if (!this.sleepTimer || this.isSleepFading || !this.isInitialized) return;
+    if (this.sleepTimeout) {
+      this.sleepTimeout();
+      this.sleepTimeout = null;
+    }
+
+    const remaining = this.getSleepRemaining();
+    if (remaining === null) return;
+
+    const untilFade = remaining - this.sleepFade;
+    if (untilFade <= 0) {
+      this.startSleepFade(remaining);
+    } else {
+      this.sleepTimeout = this.setClockTimeout(() => {
+        this.sleepTimeout = null;
+        this.scheduleSleep();
+      }, untilFade);
+    }
+  }
+
+  startSleepFade(length) {
+    const { gain } = this.sleepFadeNode;
+    const now = this.audioContext.currentTime;
+
+    this.isSleepFading = true;
+    gain.cancelScheduledValues(now);
+    if (length > 0) {
+      gain.setValueCurveAtTime(createFadeCurve('equal-power', 'out', gain.value), now, length);
+    }
+    this.sleepTimeout = this.setClockTimeout(() => {
+      this.sleepTimeout = null;
+      this.sleep();
+    }, length);
+  }
+
+  // Disarm the timer and undo a fade in progress (timer changed or
+  // cancelled, or the user paused mid-fade)
+  interruptSleepFade() {
+    if (this.sleepTimeout) {
+      this.sleepTimeout();
+      this.sleepTimeout = null;
+    }
+    if (this.isSleepFading) {
+      this.isSleepFading = false;
+      const { gain } = this.sleepFadeNode;
+      gain.cancelScheduledValues(this.audioContext.currentTime);
+      gain.setTargetAtTime(1, this.audioContext.currentTime, 0.05);
+    }
+  }
+
+  // The timer is up: pause everything, restore the fade gain for next time
+  // and suspend the context so the audio device can idle
+  sleep() {
+    if (this.sleepTimeout) {
+      this.sleepTimeout();
+      this.sleepTimeout = null;
+    }
+    this.sleepTimer = null;
+    this.isSleepFading = false;
+    this.cancelHandoff();
+    this.pause({ fade: false });
+
+    this.emit('sleeptimerchange', null);
+    this.emit('sleep');
+
+    // Restoring the gain before the context stops could let the last few
+    // samples through at full level
+    const context = this.audioContext;
+    const { gain } = this.sleepFadeNode;
+    context.suspend()
+      .catch((error) => console.error('Failed to suspend audio context:', error))
+      .finally(() => {
+        gain.cancelScheduledValues(context.currentTime);
+        gain.value = 1;
+      });
+  }
+
+  supportsOutputSelection() {
+    return (typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype)
+      || (typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype);
+  }
+
+  // { deviceId (in use), preferred (remembered choice) }
+  getOutputDevice() {
+    return { deviceId: this.outputDevice, preferred: this.preferredOutputDevice };
+  }
+
+  // Audio outputs as { deviceId, label }. Browsers hide labels until the
+  // page has had media permission, so unnamed devices get a number.
+  async listOutputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+    const devices = (await navigator.mediaDevices.enumerateDevices())
+      .filter((device) => device.kind === 'audiooutput' && device.deviceId !== 'default');
+    return devices.map((device, index) => {
+      const label = device.label || `Output ${index + 1}`;
+      this.outputDeviceLabels.set(device.deviceId, label);
+      return { deviceId: device.deviceId, label };
+    });
+  }
+
+  // Route the output to a device ('' for the default) and remember it
+  async setOutputDevice(deviceId) {
+    if (!this.initialize()) return;
+
+    await this.applyOutputDevice(deviceId);
+    this.preferredOutputDevice = deviceId;
+    saveSetting('output-device', deviceId);
+  }
+
+  async applyOutputDevice(deviceId) {
+    if ('setSinkId' in this.audioContext) {
+      await this.audioContext.setSinkId(deviceId);
+    } else {
+      await this.getSinkElement().setSinkId(deviceId);
+    }
+    this.outputDevice = deviceId;
+    this.emit('outputdevicechange', this.getOutputDevice());
+  }
+
+  // Fallback path: reroute the graph's tail into a stream the first time
+  // an element-based sink is needed
+  getSinkElement() {
+    if (!this.sinkElement) {
+      this.streamDestination = this.audioContext.createMediaStreamDestination();
+      this.sleepFadeNode.disconnect();
+      this.sleepFadeNode.connect(this.streamDestination);
+
+      this.sinkElement = new Audio();
+      this.sinkElement.srcObject = this.streamDestination.stream;
+      this.sinkElement.play().catch((error) => {
+        console.error('Failed to start output element:', error);
+      });
+    }
+    return this.sinkElement;
+  }
+
+  // Apply the remembered device and follow devices coming and going: fall
+  // back to the default when ours is unplugged, return when it is back
+  watchOutputDevices() {
+    if (!this.supportsOutputSelection() || !navigator.mediaDevices) return;
+
+    const sync = async () => {
+      const devices = await this.listOutputDevices();
+      const preferred = this.preferredOutputDevice;
+      const available = !preferred || devices.some((device) => device.deviceId === preferred);
+
+      if (!available && this.outputDevice === preferred) {
+        await this.applyOutputDevice('');
+        this.emit('outputdevicelost', { deviceId: preferred, label: this.outputDeviceLabels.get(preferred) });
+      } else if (available && this.outputDevice !== preferred) {
+        await this.applyOutputDevice(preferred);
       }
+    };
+
+    const handleChange = () => sync().catch((error) => {
+      console.error('Failed to update output device:', error);
+    });
+    navigator.mediaDevices.addEventListener('devicechange', handleChange);
+    this.stopWatchingDevices = () => navigator.mediaDevices.removeEventListener('devicechange', handleChange);
+    handleChange();
+  }
 
-      // Create new source from audio element
-      this.source = this.audioContext.createMediaElementSource(audioElement);
-      this.source.connect(this.analyser);
+  // Start playback, resuming the context first (autoplay policy). From
+  // silence the transport gain starts at 0 and fades in once it plays.
+  async play() {
+    if (!this.initialize() || !this.activeDeck.url) return false;
+
+    const token = ++this.transportToken;
+    const element = this.audioElement;
+    await this.resumeContext();
+    if (token !== this.transportToken) return false;
+
+    if (this.transportFade > 0 && this.decks.every((deck) => deck.element.paused)) {
+      const { gain } = this.inputNode;
+      gain.cancelScheduledValues(this.audioContext.currentTime);
+      gain.setValueAtTime(0, this.audioContext.currentTime);
+    }
 
+    try {
+      await element.play();
+      if (token === this.transportToken) this.fadeTransport(1);
       return true;
     } catch (error) {
-      console.error('Failed to connect audio element:', error);
+      // A newer load() interrupts a pending play(); that is not a failure
+      if (error.name !== 'AbortError') {
+        console.error('Failed to start playback:', error);
+      }
       return false;
     }
   }
 
+  // Fade out, then pause. { fade: false } stops at once, for callers that
+  // have already faded (the sleep timer).
+  async pause({ fade = true } = {}) {
+    const token = ++this.transportToken;
+    if (fade && this.decks.some((deck) => !deck.element.paused)) {
+      await this.fadeTransport(0);
+      if (token !== this.transportToken) return;
+    }
+    this.cancelSplice();
+    this.stopLoopSegment();
+    this.decks.forEach((deck) => deck.element.pause());
+  }
+
+  // A playing element fades out, jumps and fades back in once it has
+  // data for the new position; a paused one just jumps
+  async seek(time) {
+    const element = this.audioElement;
+    if (!element || !Number.isFinite(time)) return;
+
+    const target = Math.max(0, time);
+    if (element.paused || this.transportFade <= 0) {
+      this.cancelSplice();
+      this.stopLoopSegment();
+      element.currentTime = target;
+      return;
+    }
+
+    const token = ++this.transportToken;
+    await this.fadeTransport(0);
+    if (token !== this.transportToken) return;
+    this.cancelSplice();
+    this.stopLoopSegment();
+
+    // The track may have changed meanwhile; it still needs the fade back in
+    if (element === this.audioElement) {
+      element.currentTime = target;
+      await new Promise((resolve) => {
+        const done = () => {
+          element.removeEventListener('seeked', done);
+          element.removeEventListener('emptied', done);
+          resolve();
+        };
+        element.addEventListener('seeked', done);
+        element.addEventListener('emptied', done);
+      });
+    }
+    if (token === this.transportToken) this.fadeTransport(1);
+  }
+
+  getCurrentTime() {
+    return this.audioElement ? this.audioElement.currentTime : 0;
+  }
+
+  getDuration() {
+    const duration = this.audioElement ? this.audioElement.duration : 0;
+    return Number.isFinite(duration) ? duration : 0;
+  }
+
+  isPaused() {
+    return this.audioElement ? this.audioElement.paused : true;
+  }
+
   // Get frequency data for visualization
   getFrequencyData() {
     if (!this.analyser || !this.dataArray) {
@@ -86,16 +1508,109 @@ class AudioContextManager {
     return timeData;
   }
 
-  // Set volume (0-1)
-  setVolume(volume) {
-    if (this.gainNode) {
-      this.gainNode.gain.value = Math.max(0, Math.min(1, volume));
+  // volume -> [boost limiter -> clipper] -> sleep fade. The guard is only in
+  // the path while boost is allowed, so normal playback is left untouched.
+  connectVolume() {
+    this.gainNode.disconnect();
+    this.boostLimiter.disconnect();
+    this.boostClipper.disconnect();
+
+    if (this.volume.boost) {
+      this.gainNode.connect(this.boostLimiter);
+      this.boostLimiter.connect(this.boostClipper);
+      this.boostClipper.connect(this.sleepFadeNode);
+    } else {
+      this.gainNode.connect(this.sleepFadeNode);
     }
   }
 
+  // Output gain for the current volume settings
+  getVolumeGain() {
+    return this.volume.muted ? 0 : volumeToGain(this.volume.level);
+  }
+
+  // Ramp the volume node instead of jumping, which would click
+  rampVolume(value) {
+    const param = this.gainNode.gain;
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(value, now + VOLUME_RAMP);
+  }
+
+  applyVolume() {
+    // A pending rewire ramps back to the latest volume itself
+    if (!this.gainNode || this.volumeRewireTimer) return;
+    this.rampVolume(this.getVolumeGain());
+  }
+
+  // { level: slider position 0..1 (1.5 with boost), muted, boost, db }
+  getVolumeSettings() {
+    return { ...this.volume, db: volumeToDb(this.volume.level) };
+  }
+
+  // Slider position; see volume.js for the curve. Moving it unmutes.
+  setVolume(level) {
+    this.volume.level = clampVolume(level, this.volume.boost);
+    this.volume.muted = false;
+    this.applyVolume();
+    this.saveVolume();
+  }
+
   // Get current volume
   getVolume() {
-    return this.gainNode ? this.gainNode.gain.value : 1;
+    return this.volume.level;
+  }
+
+  setMuted(muted) {
+    this.volume.muted = muted;
+    this.applyVolume();
+    this.saveVolume();
+  }
+
+  toggleMute() {
+    this.setMuted(!this.volume.muted);
+  }
+
+  // Allow the slider past 100%. Turning it off pulls the level back to 100%.
+  setVolumeBoost(boost) {
+    this.volume.boost = boost;
+    this.volume.level = clampVolume(this.volume.level, boost);
+    this.saveVolume();
+    if (!this.gainNode) return;
+
+    if (this.audioContext.state !== 'running') {
+      this.connectVolume();
+      this.gainNode.gain.value = this.getVolumeGain();
+      return;
+    }
+
+    this.rewireDucked(() => this.connectVolume());
+  }
+
+  // Patch nodes in or out with the output faded down, since switching between
+  // differently processed signals clicks. Rewires asked for while the output
+  // is already down run together before it comes back up.
+  rewireDucked(rewire) {
+    if (!this.gainNode || this.audioContext.state !== 'running') {
+      rewire();
+      return;
+    }
+
+    this.pendingRewires.push(rewire);
+    if (this.volumeRewireTimer) return;
+    this.rampVolume(0);
+    this.volumeRewireTimer = setTimeout(() => {
+      this.volumeRewireTimer = null;
+      this.pendingRewires.splice(0).forEach((pending) => pending());
+      this.applyVolume();
+    }, VOLUME_RAMP * 1000 + 10);
+  }
+
+  saveVolume() {
+    const { level, muted, boost } = this.volume;
+    saveSetting('volume', { level, muted, boost });
+    this.emit('volumechange', this.getVolumeSettings());
   }
 
   // Resume audio context (required for user interaction)
@@ -119,9 +1634,38 @@ class AudioContextManager {
 
   // Cleanup resources
   cleanup() {
-    if (this.source) {
-      this.source.disconnect();
-      this.source = null;
+    this.cancelHandoff();
+    this.cancelSplice();
+    this.splices.clear();
+    this.cancelCrossfade();
+    this.cancelLoop();
+    this.stopLoopSegment();
+    this.loopAudio = null;
+    this.cancelSilence();
+    this.cancelSleepTimer();
+    this.decks.forEach((deck) => deck.disconnect());
+    this.decks = [];
+    this.activeDeck = null;
+
+    if (this.inputNode) {
+      this.inputNode.disconnect();
+      this.inputNode = null;
+    }
+
+    if (this.effectChain) {
+      this.effectChain.disconnect();
+      this.effectChain = null;
+    }
+    this.equalizer = null;
+    this.dynamics = null;
+    this.stereo = null;
+    this.reverb = null;
+    this.vocalReduction = null;
+    this.pitchShifter = null;
+
+    if (this.meter) {
+      this.meter.disconnect();
+      this.meter = null;
     }
 
     if (this.analyser) {
@@ -134,6 +1678,33 @@ class AudioContextManager {
       this.gainNode = null;
     }
 
+    clearTimeout(this.volumeRewireTimer);
+    this.volumeRewireTimer = null;
+    this.pendingRewires = [];
+    if (this.boostLimiter) {
+      this.boostLimiter.disconnect();
+      this.boostLimiter = null;
+      this.boostClipper.disconnect();
+      this.boostClipper = null;
+    }
+
+    if (this.sleepFadeNode) {
+      this.sleepFadeNode.disconnect();
+      this.sleepFadeNode = null;
+    }
+
+    if (this.stopWatchingDevices) {
+      this.stopWatchingDevices();
+      this.stopWatchingDevices = null;
+    }
+
+    if (this.sinkElement) {
+      this.sinkElement.pause();
+      this.sinkElement.srcObject = null;
+      this.sinkElement = null;
+      this.streamDestination = null;
+    }
+
     if (this.audioContext && this.audioContext.state !== 'closed') {
       this.audioContext.close();
       this.audioContext = null;
@@ -141,6 +1712,7 @@ class AudioContextManager {
 
     this.dataArray = null;
     this.bufferLength = null;
+    this.listeners.clear();
     this.isInitialized = false;
   }
 
@@ -188,40 +1760,371 @@ class AudioContextManager {
     return Math.max(...frequencyData);
   }
 
-  // Apply audio filters (basic EQ simulation)
-  applyEqualizer(bass = 0, mid = 0, treble = 0) {
-    if (!this.audioContext || !this.source) return;
+  // Current equalizer state ({ enabled, bands })
+  getEqualizerSettings() {
+    return this.equalizer ? this.equalizer.getSettings() : { enabled: false, bands: [] };
+  }
+
+  // Replace the whole band layout (preset load, band added/removed)
+  setEqualizerBands(bands) {
+    if (!this.equalizer) return;
+    if (this.equalizer.setBands(bands)) this.rewireDucked(() => this.equalizer.connect());
+    this.saveEqualizer();
+  }
 
-    try {
-      // Create filter nodes
-      const lowFilter = this.audioContext.createBiquadFilter();
-      const midFilter = this.audioContext.createBiquadFilter();
-      const highFilter = this.audioContext.createBiquadFilter();
-
-      // Configure filters
-      lowFilter.type = 'lowshelf';
-      lowFilter.frequency.value = 200;
-      lowFilter.gain.value = bass;
-
-      midFilter.type = 'peaking';
-      midFilter.frequency.value = 1000;
-      midFilter.Q.value = 1;
-      midFilter.gain.value = mid;
-
-      highFilter.type = 'highshelf';
-      highFilter.frequency.value = 3000;
-      highFilter.gain.value = treble;
-
-      // Connect filters in series
-      this.source.disconnect();
-      this.source.connect(lowFilter);
-      lowFilter.connect(midFilter);
-      midFilter.connect(highFilter);
-      highFilter.connect(this.analyser);
+  // Update one band in place: { type, frequency, gain, q }
+  setEqualizerBand(index, params) {
+    if (!this.equalizer) return;
+    this.equalizer.setBand(index, params);
+    this.saveEqualizer();
+  }
+
+  setEqualizerEnabled(enabled) {
+    if (!this.equalizer) return;
+    // A non-flat curve would click in or out
+    if (this.equalizer.setEnabled(enabled)) this.rewireDucked(() => this.equalizer.connect());
+    this.saveEqualizer();
+  }
+
+  // Combined response in dB at the given frequencies, for drawing the curve
+  getEqualizerResponse(frequencies) {
+    return this.equalizer
+      ? this.equalizer.getFrequencyResponse(frequencies)
+      : new Float32Array(frequencies.length);
+  }
+
+  saveEqualizer() {
+    const settings = this.equalizer.getSettings();
+    saveSetting('equalizer', settings);
+    this.emit('equalizerchange', settings);
+  }
+
+  // Compressor / limiter state ({ compressorEnabled, limiterEnabled, params })
+  getDynamicsSettings() {
+    return this.dynamics ? this.dynamics.getSettings() : { compressorEnabled: false, limiterEnabled: false, params: {} };
+  }
+
+  // Accepts any of compressorEnabled, limiterEnabled and params
+  setDynamics({ compressorEnabled, limiterEnabled, params } = {}) {
+    if (!this.dynamics) return;
+
+    if (params) this.dynamics.setParams(params);
+    const compressorChanged = compressorEnabled !== undefined && this.dynamics.setCompressorEnabled(compressorEnabled);
+    const limiterChanged = limiterEnabled !== undefined && this.dynamics.setLimiterEnabled(limiterEnabled);
+    // Makeup gain and the limiter ceiling would jump in or out
+    if (compressorChanged || limiterChanged) this.rewireDucked(() => this.dynamics.connect());
+    this.saveDynamics();
+  }
+
+  saveDynamics() {
+    const settings = this.dynamics.getSettings();
+    saveSetting('dynamics', settings);
+    this.emit('dynamicschange', settings);
+  }
+
+  // { balance: -1..1, mono, swap, width: 0..2 }
+  getStereoSettings() {
+    return this.stereo ? this.stereo.getSettings() : { ...DEFAULT_STEREO };
+  }
+
+  setStereo(settings) {
+    if (!this.stereo) return;
+
+    this.stereo.setSettings(settings);
+    const next = this.stereo.getSettings();
+    saveSetting('stereo', next);
+    this.emit('stereochange', next);
+  }
+
+  // { mode: 'off' | 'karaoke' | 'vocals', strength: 0..1, crossover: Hz }
+  getKaraokeSettings() {
+    return this.vocalReduction ? this.vocalReduction.getSettings() : { ...DEFAULT_VOCAL_REDUCTION };
+  }
+
+  setKaraoke(settings) {
+    if (!this.vocalReduction) return;
+
+    if (this.vocalReduction.setSettings(settings)) {
+      this.rewireDucked(() => this.vocalReduction.connect());
+    }
+    const next = this.vocalReduction.getSettings();
+    saveSetting('karaoke', next);
+    this.emit('karaokechange', next);
+  }
+
+  // { enabled, preset, mix: 0..1, customName }
+  getReverbSettings() {
+    return this.reverb ? this.reverb.getSettings() : { ...DEFAULT_REVERB, customName: null };
+  }
+
+  setReverb({ enabled, preset, mix } = {}) {
+    if (!this.reverb) return;
+
+    if (preset !== undefined) this.reverb.setPreset(preset);
+    if (mix !== undefined) this.reverb.setMix(mix);
+    if (enabled !== undefined) this.reverb.setEnabled(enabled);
+    this.saveReverb();
+  }
+
+  // Use an impulse response from a WAV (or any decodable) file. It is kept
+  // for this session only; the saved preset is restored after a reload.
+  async loadReverbImpulse(file) {
+    if (!this.initialize()) return;
+
+    const buffer = await decodeImpulseResponse(this.audioContext, file);
+    this.reverb.setCustomImpulse(buffer, file.name);
+    this.reverb.setEnabled(true);
+    this.saveReverb();
+  }
+
+  saveReverb() {
+    const { enabled, preset, mix } = this.reverb.getSettings();
+    saveSetting('reverb', { enabled, preset, mix });
+    this.emit('reverbchange', this.reverb.getSettings());
+  }
+
+  // The engine's own stage behind a built-in chain entry
+  getBuiltInEffect(type) {
+    return {
+      pitch: this.pitchShifter,
+      karaoke: this.vocalReduction,
+      equalizer: this.equalizer,
+      stereo: this.stereo,
+      reverb: this.reverb,
+      dynamics: this.dynamics
+    }[type];
+  }
+
+  // Effects in chain order: { id, type, label, builtIn, bypassed, params, settings }.
+  // Built-ins have no params; they are edited in their own panels.
+  getEffectChain() {
+    if (!this.effectChain) return [];
+
+    return this.effectChain.slots.map(({ id, type, bypassed, effect }) => {
+      const builtIn = BUILT_IN_EFFECTS[type];
+      return {
+        id,
+        type,
+        label: (builtIn || EFFECT_TYPES[type]).label,
+        builtIn: Boolean(builtIn),
+        bypassed,
+        params: builtIn ? null : EFFECT_TYPES[type].params,
+        settings: effect.getSettings()
+      };
+    });
+  }
 
+  // Insert a new effect (at the end by default); returns its id
+  addEffect(type, index) {
+    if (!this.effectChain || !EFFECT_TYPES[type]) return null;
+
+    const id = this.effectChain.createId(type);
+    const effect = EFFECT_TYPES[type].create(this.audioContext, {});
+    this.effectChain.insert({ id, type, effect }, index);
+    this.saveEffectChain();
+    return id;
+  }
+
+  // Built-in stages stay in the chain; bypass them instead
+  removeEffect(id) {
+    const slot = this.effectChain?.getSlot(id);
+    if (!slot || BUILT_IN_EFFECTS[slot.type]) return;
+
+    this.effectChain.remove(id);
+    this.saveEffectChain();
+  }
+
+  moveEffect(id, index) {
+    if (!this.effectChain?.getSlot(id)) return;
+    this.effectChain.move(id, index);
+    this.saveEffectChain();
+  }
+
+  setEffectBypassed(id, bypassed) {
+    if (!this.effectChain?.getSlot(id)) return;
+    this.effectChain.setBypassed(id, bypassed);
+    this.saveEffectChain();
+  }
+
+  setEffectSettings(id, settings) {
+    const slot = this.effectChain?.getSlot(id);
+    if (!slot) return;
+
+    if (BUILT_IN_EFFECTS[slot.type]) {
+      this.applyBuiltInSettings(slot.type, settings);
+      return;
+    }
+    slot.effect.setSettings(settings);
+    this.saveEffectChain();
+  }
+
+  // Route built-in settings through the panels' own setters, so they are
+  // saved and announced exactly like edits made there
+  applyBuiltInSettings(type, settings) {
+    switch (type) {
+      case 'pitch':
+        this.setPitchShift({ semitones: Number(settings.semitones) || 0, cents: Number(settings.cents) || 0 });
+        break;
+      case 'karaoke':
+        this.setKaraoke(settings);
+        break;
+      case 'equalizer':
+        if (Array.isArray(settings.bands)) this.setEqualizerBands(settings.bands);
+        if (typeof settings.enabled === 'boolean') this.setEqualizerEnabled(settings.enabled);
+        break;
+      case 'stereo':
+        this.setStereo(settings);
+        break;
+      case 'reverb': {
+        // A custom impulse response cannot travel with the settings
+        const { enabled, preset, mix } = settings;
+        this.setReverb({ enabled, mix, preset: preset === 'custom' ? undefined : preset });
+        break;
+      }
+      case 'dynamics':
+        this.setDynamics(settings);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Rebuild the chain from parsed entries. Inserted effects are replaced,
+   * built-ins are moved into place; a built-in the entries leave out goes
+   * back to its default position and unknown types are skipped.
+   */
+  buildEffectChain(entries, { applyBuiltInSettings = false } = {}) {
+    const chain = this.effectChain;
+    chain.slots
+      .filter((slot) => !BUILT_IN_EFFECTS[slot.type])
+      .forEach((slot) => chain.remove(slot.id));
+
+    const order = [];
+    entries.forEach((entry) => {
+      const isBuiltIn = Boolean(BUILT_IN_EFFECTS[entry.type]);
+      if (isBuiltIn && order.some((other) => other.type === entry.type)) return;
+      if (isBuiltIn || EFFECT_TYPES[entry.type]) order.push(entry);
+    });
+    Object.keys(BUILT_IN_EFFECTS).forEach((type, index) => {
+      if (!order.some((entry) => entry.type === type)) {
+        order.splice(Math.min(index, order.length), 0, { type, bypassed: false, settings: null });
+      }
+    });
+
+    order.forEach(({ type, bypassed, settings }, index) => {
+      if (!BUILT_IN_EFFECTS[type]) {
+        const effect = EFFECT_TYPES[type].create(this.audioContext, settings);
+        chain.insert({ id: chain.createId(type), type, effect, bypassed }, index);
+        return;
+      }
+
+      if (chain.getSlot(type)) {
+        chain.move(type, index);
+        chain.setBypassed(type, bypassed);
+      } else {
+        chain.insert({ id: type, type, effect: this.getBuiltInEffect(type), bypassed }, index);
+      }
+      if (applyBuiltInSettings && settings) this.applyBuiltInSettings(type, settings);
+    });
+  }
+
+  // Saved layout from a previous session; built-in settings have their own keys
+  restoreEffectChain(saved) {
+    try {
+      this.buildEffectChain(saved ? parseChainJSON(saved) : []);
     } catch (error) {
-      console.error('Failed to apply equalizer:', error);
+      console.warn('Ignoring saved effect chain:', error);
+      this.buildEffectChain([]);
+    }
+  }
+
+  // The whole chain, built-in settings included, as shareable JSON
+  exportEffectChain() {
+    return JSON.stringify(this.effectChain ? this.effectChain.toJSON() : { effects: [] }, null, 2);
+  }
+
+  // Load a shared setup (JSON string or object); throws when it is not one
+  importEffectChain(json) {
+    if (!this.initialize()) return;
+
+    const entries = parseChainJSON(json);
+    this.buildEffectChain(entries, { applyBuiltInSettings: true });
+    this.saveEffectChain();
+  }
+
+  saveEffectChain() {
+    const { version, effects } = this.effectChain.toJSON();
+    saveSetting('effect-chain', {
+      version,
+      effects: effects.map(({ settings, ...entry }) => (BUILT_IN_EFFECTS[entry.type] ? entry : { ...entry, settings }))
+    });
+    this.emit('effectchainchange', this.getEffectChain());
+  }
+
+  // Latest level meter reading; subscribe to 'meter' for updates
+  getMeterReading() {
+    return this.meterReading;
+  }
+
+  // Restart integrated loudness; done automatically on every track change
+  resetMeter() {
+    if (!this.meter) return;
+    this.meter.reset();
+    this.emit('meterreset');
+  }
+
+  // Live gain reduction in dB (0 or negative), for metering
+  getGainReduction() {
+    return this.dynamics ? this.dynamics.getReduction() : 0;
+  }
+
+  // { rate, preservesPitch, semitones, cents }
+  getTempoSettings() {
+    return { ...this.tempo };
+  }
+
+  // Playback speed, 0.25x - 4x; both decks follow so transitions keep it
+  setPlaybackRate(rate) {
+    this.tempo.rate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, Number(rate) || 1));
+    // Decoded segments only play at normal speed
+    this.cancelSplice();
+    this.decks.forEach((deck) => this.applyTempo(deck));
+    this.saveTempo();
+  }
+
+  // When off, speeding up raises the pitch like a tape machine
+  setPreservesPitch(preservesPitch) {
+    this.tempo.preservesPitch = preservesPitch;
+    this.decks.forEach((deck) => this.applyTempo(deck));
+    // A decoded loop can only follow a tape-style speed change
+    this.scheduleLoop();
+    this.saveTempo();
+  }
+
+  // Transpose by semitones and cents without changing tempo
+  setPitchShift(shift) {
+    if (!this.pitchShifter) return;
+    if (this.pitchShifter.setShift(shift)) {
+      this.rewireDucked(() => this.pitchShifter.connect());
     }
+    Object.assign(this.tempo, this.pitchShifter.getSettings());
+    this.saveTempo();
+  }
+
+  applyTempo(deck) {
+    const { element } = deck;
+    // Loading a new src resets playbackRate to the default rate
+    element.defaultPlaybackRate = this.tempo.rate;
+    element.playbackRate = this.tempo.rate;
+    element.preservesPitch = this.tempo.preservesPitch;
+    element.mozPreservesPitch = this.tempo.preservesPitch;
+    element.webkitPreservesPitch = this.tempo.preservesPitch;
+  }
+
+  saveTempo() {
+    saveSetting('tempo', this.tempo);
+    this.emit('tempochange', this.getTempoSettings());
   }
 }
 
@@ -231,8 +2134,13 @@ const audioContextManager = new AudioContextManager();
 // Utility functions for audio processing
 export const initializeAudio = () => audioContextManager.initialize();
 
-export const connectAudio = (audioElement) => 
-  audioContextManager.connectAudioElement(audioElement);
+export const loadTrack = (url) => audioContextManager.loadTrack(url);
+
+export const playAudio = () => audioContextManager.play();
+
+export const pauseAudio = () => audioContextManager.pause();
+
+export const seekAudio = (time) => audioContextManager.seek(time);
 
 export const getFrequencyData = () => audioContextManager.getFrequencyData();
 
@@ -257,8 +2165,13 @@ export const isAudioActive = () => audioContextManager.isAudioActive();
 
 export const getContextState = () => audioContextManager.getContextState();
 
-export const applyEqualizer = (bass, mid, treble) => 
-  audioContextManager.applyEqualizer(bass, mid, treble);
+export const setEqualizerBands = (bands) => audioContextManager.setEqualizerBands(bands);
+
+export const setEqualizerBand = (index, params) => 
+  audioContextManager.setEqualizerBand(index, params);
+
+export const setEqualizerEnabled = (enabled) => 
+  audioContextManager.setEqualizerEnabled(enabled);
 
 export const cleanupAudio = () => audioContextManager.cleanup();
 
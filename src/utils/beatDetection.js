@@ -0,0 +1,201 @@
+// Tempo estimation and beat tracking.
+//
+// An onset strength envelope (spectral flux of the log spectrum) is
+// autocorrelated to find the dominant beat period, weighted towards
+// ~120 BPM. Beats are then placed by dynamic programming (Ellis, 2007):
+// each beat sits on a strong onset roughly one period after the last.
+import { fft, hannWindow, downmix } from './fft';
+import { yieldToMain } from './async';
+
+// The envelope is computed on a decimated signal; rhythm lives well below 6 kHz
+const DECIMATION = 4;
+const FRAME_SIZE = 512;
+const HOP_SIZE = 128;
+
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+// Centre and spread (octaves) of the tempo preference
+const PREFERRED_BPM = 120;
+const PREFERENCE_WIDTH = 1;
+// How strictly beats keep to the period when tracking
+const TIGHTNESS = 100;
+
+/**
+ * Onset strength per hop: summed positive change of the log magnitude
+ * spectrum, with the local mean removed
+ */
+const computeOnsetEnvelope = async (signal, frameRate) => {
+  const frameCount = Math.max(0, Math.floor((signal.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const bins = FRAME_SIZE / 2;
+  const window = hannWindow(FRAME_SIZE);
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  let previous = new Float32Array(bins);
+  let current = new Float32Array(bins);
+  const envelope = new Float32Array(frameCount);
+
+  for (let f = 0; f < frameCount; f++) {
+    const offset = f * HOP_SIZE;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = signal[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    let flux = 0;
+    for (let k = 1; k < bins; k++) {
+      current[k] = Math.log(1 + 1000 * Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+      const rise = current[k] - previous[k];
+      if (rise > 0 && f > 0) flux += rise;
+    }
+    envelope[f] = flux;
+    [previous, current] = [current, previous];
+
+    if (f % 2000 === 1999) await yieldToMain();
+  }
+
+  // Subtract a ~1 s moving average so only the peaks remain
+  const radius = Math.round(frameRate / 2);
+  const detrended = new Float32Array(frameCount);
+  let sum = 0;
+  for (let f = 0; f < Math.min(radius, frameCount); f++) sum += envelope[f];
+  for (let f = 0; f < frameCount; f++) {
+    if (f + radius < frameCount) sum += envelope[f + radius];
+    if (f - radius - 1 >= 0) sum -= envelope[f - radius - 1];
+    const count = Math.min(frameCount - 1, f + radius) - Math.max(0, f - radius) + 1;
+    detrended[f] = Math.max(0, envelope[f] - sum / count);
+  }
+
+  // Unit standard deviation keeps the tracker's weights meaningful
+  const mean = detrended.reduce((acc, value) => acc + value, 0) / (frameCount || 1);
+  const variance = detrended.reduce((acc, value) => acc + (value - mean) ** 2, 0) / (frameCount || 1);
+  const scale = variance > 0 ? 1 / Math.sqrt(variance) : 0;
+  return detrended.map((value) => value * scale);
+};
+
+/**
+ * Beat period in frames: the autocorrelation peak between MIN_BPM and
+ * MAX_BPM, weighted by a log-Gaussian around PREFERRED_BPM to settle
+ * half/double tempo ambiguity, refined by parabolic interpolation
+ */
+const estimatePeriod = (envelope, frameRate) => {
+  const minLag = Math.floor((60 * frameRate) / MAX_BPM);
+  const maxLag = Math.ceil((60 * frameRate) / MIN_BPM);
+  const preferredLag = (60 * frameRate) / PREFERRED_BPM;
+  const scores = new Float32Array(maxLag + 2);
+
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) {
+      sum += envelope[i] * envelope[i - lag];
+    }
+    const octaves = Math.log2(lag / preferredLag) / PREFERENCE_WIDTH;
+    scores[lag] = (sum / envelope.length) * Math.exp(-0.5 * octaves * octaves);
+  }
+
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[best]) best = lag;
+  }
+
+  const [a, b, c] = [scores[best - 1], scores[best], scores[best + 1]];
+  const denominator = a - 2 * b + c;
+  const shift = denominator !== 0 ? (0.5 * (a - c)) / denominator : 0;
+  return best + Math.max(-0.5, Math.min(0.5, shift));
+};
+
+/**
+ * Dynamic-programming beat tracker; returns beat frames in order
+ */
+const trackBeats = (envelope, period) => {
+  const length = envelope.length;
+  const score = new Float32Array(length);
+  const backlink = new Int32Array(length).fill(-1);
+  const searchStart = Math.round(period / 2);
+  const searchEnd = Math.round(period * 2);
+
+  for (let t = 0; t < length; t++) {
+    let best = 0;
+    let bestFrom = -1;
+    for (let prev = t - searchEnd; prev <= t - searchStart; prev++) {
+      if (prev < 0) continue;
+      const deviation = Math.log((t - prev) / period);
+      const candidate = score[prev] - TIGHTNESS * deviation * deviation;
+      if (bestFrom === -1 || candidate > best) {
+        best = candidate;
+        bestFrom = prev;
+      }
+    }
+    score[t] = envelope[t] + (bestFrom === -1 ? 0 : best);
+    backlink[t] = bestFrom;
+  }
+
+  // Start from the best-scoring frame within the last period
+  let t = length - 1;
+  for (let i = Math.max(0, length - Math.round(period)); i < length; i++) {
+    if (score[i] > score[t]) t = i;
+  }
+
+  const beats = [];
+  while (t >= 0) {
+    beats.push(t);
+    t = backlink[t];
+  }
+  beats.reverse();
+
+  // The chain always reaches back to the first frames, through silence if
+  // need be; trim beats at either end that have no onset under them
+  const strengths = beats.map((frame) => envelope[frame]).sort((x, y) => x - y);
+  const floor = strengths[Math.floor(strengths.length / 2)] / 2;
+  while (beats.length > 1 && envelope[beats[0]] < floor) beats.shift();
+  while (beats.length > 1 && envelope[beats[beats.length - 1]] < floor) beats.pop();
+  return beats;
+};
+
+/**
+ * Estimate the tempo of a decoded track.
+ * Returns { bpm, beats } with beat positions in seconds, or null when the
+ * track is too short or has no rhythm to speak of.
+ */
+export const detectBeats = async (audioBuffer) => {
+  const frameRate = audioBuffer.sampleRate / DECIMATION / HOP_SIZE;
+  const signal = downmix(audioBuffer, DECIMATION);
+  await yieldToMain();
+
+  const envelope = await computeOnsetEnvelope(signal, frameRate);
+  // Need a few bars at the slowest tempo for the autocorrelation
+  if (envelope.length < (60 * frameRate * 8) / MIN_BPM) return null;
+  if (!envelope.some((value) => value > 0)) return null;
+
+  const period = estimatePeriod(envelope, frameRate);
+  await yieldToMain();
+  const beatFrames = trackBeats(envelope, period);
+
+  // Frame f covers audio from f * hop; its onset is centred in the window
+  const offset = FRAME_SIZE / 2 / frameRate / HOP_SIZE;
+  const beats = new Float32Array(beatFrames.map((frame) => frame / frameRate + offset));
+
+  return { bpm: Math.round((600 * frameRate) / period) / 10, beats };
+};
+
+/**
+ * Nearest beat to a time, or the time itself when there is no grid
+ */
+export const snapToBeat = (beats, time) => {
+  if (!beats || beats.length === 0) return time;
+
+  // Binary search for the first beat after `time`
+  let low = 0;
+  let high = beats.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (beats[mid] <= time) low = mid + 1;
+    else high = mid;
+  }
+
+  const before = beats[low - 1];
+  const after = beats[low];
+  if (before === undefined) return after;
+  if (after === undefined) return before;
+  return time - before <= after - time ? before : after;
+};
@@ -0,0 +1,269 @@
+// Playback deck: one media element with its own source and gain.
+// The engine keeps two decks so the next track can be buffered on the idle
+// one while the active one plays.
+//
+// A deck can also play decoded segments of its track on the audio clock,
+// for joins that must land on an exact sample. Element and segments have
+// their own gain so one can take over from the other mid-track.
+
+// Media element events forwarded to the engine
+export const MEDIA_EVENTS = [
+  'play',
+  'pause',
+  'ended',
+  'seeked',
+  'ratechange',
+  'timeupdate',
+  'durationchange',
+  'loadedmetadata',
+  'error'
+];
+
+export const FADE_CURVES = ['equal-power', 'linear'];
+
+const CURVE_POINTS = 128;
+
+/**
+ * Gain curve for a fade. Equal-power keeps the summed loudness of two
+ * uncorrelated tracks constant; linear dips in the middle but suits
+ * material that is close to identical.
+ */
+export const createFadeCurve = (type, direction, from = 1) => {
+  const curve = new Float32Array(CURVE_POINTS);
+  for (let i = 0; i < CURVE_POINTS; i++) {
+    const t = i / (CURVE_POINTS - 1);
+    const x = direction === 'in' ? t : 1 - t;
+    const value = type === 'linear' ? x : Math.sin((x * Math.PI) / 2);
+    curve[i] = direction === 'in' ? value : from * value;
+  }
+  return curve;
+};
+
+/**
+ * Decode a track url with the given context, at its sample rate
+ */
+export const decodeTrack = async (audioContext, url) => {
+  const response = await fetch(url);
+  return audioContext.decodeAudioData(await response.arrayBuffer());
+};
+
+/**
+ * Copy of track seconds from..to of a decoded track, as
+ * { buffer, from, to } with the bounds rounded to whole samples
+ */
+export const copySegment = (audioContext, buffer, from, to) => {
+  const { sampleRate } = buffer;
+  const first = Math.max(0, Math.round(from * sampleRate));
+  const last = Math.max(first + 1, Math.min(buffer.length, Math.round(to * sampleRate)));
+  const segment = audioContext.createBuffer(buffer.numberOfChannels, last - first, sampleRate);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    segment.copyToChannel(buffer.getChannelData(channel).subarray(first, last), channel);
+  }
+  return { buffer: segment, from: first / sampleRate, to: last / sampleRate };
+};
+
+/**
+ * Copy of a segment for looping between track seconds start and end. Its
+ * last `seam` seconds before the end fade over into the audio that leads
+ * up to the start, so the wrap is continuous wherever the points fall.
+ */
+export const createLoopSegment = (audioContext, segment, start, end, seam) => {
+  const { buffer } = segment;
+  const { sampleRate } = buffer;
+  const startIndex = Math.round((start - segment.from) * sampleRate);
+  const endIndex = Math.round((end - segment.from) * sampleRate);
+  const length = Math.max(0, Math.min(Math.round(seam * sampleRate), startIndex, endIndex - startIndex));
+  const copy = audioContext.createBuffer(buffer.numberOfChannels, buffer.length, sampleRate);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel).slice();
+    for (let i = 0; i < length; i++) {
+      const x = ((i + 0.5) / length) * (Math.PI / 2);
+      const position = endIndex - length + i;
+      data[position] = data[position] * Math.cos(x) + data[startIndex - length + i] * Math.sin(x);
+    }
+    copy.copyToChannel(data, channel);
+  }
+  return { buffer: copy, from: segment.from, to: segment.to, seam: length / sampleRate };
+};
+
+export class Deck {
+  constructor(audioContext, destination, onEvent) {
+    this.audioContext = audioContext;
+    this.element = new Audio();
+    this.element.crossOrigin = 'anonymous';
+    this.element.preload = 'auto';
+    this.url = null;
+    // Playable span of the track; silence outside it can be skipped
+    this.startTime = 0;
+    this.endTime = null;
+
+    // Created once per element; createMediaElementSource throws on reuse.
+    // source -> elementGain -> trackGain (normalization) -> gain (fades)
+    // -> destination, with decoded segments -> segmentGain -> trackGain
+    this.source = audioContext.createMediaElementSource(this.element);
+    this.elementGain = audioContext.createGain();
+    this.segmentGain = audioContext.createGain();
+    this.segmentGain.gain.value = 0;
+    this.segments = new Set();
+    this.trackGain = audioContext.createGain();
+    this.gain = audioContext.createGain();
+    this.source.connect(this.elementGain);
+    this.elementGain.connect(this.trackGain);
+    this.segmentGain.connect(this.trackGain);
+    this.trackGain.connect(this.gain);
+    this.gain.connect(destination);
+
+    MEDIA_EVENTS.forEach((type) => {
+      this.element.addEventListener(type, (event) => onEvent(this, type, event));
+    });
+  }
+
+  // Load a url; returns false when it is already loaded
+  load(url) {
+    if (this.url === url) return false;
+
+    this.stopSegments();
+    this.url = url || null;
+    this.startTime = 0;
+    this.endTime = null;
+    if (url) {
+      this.element.src = url;
+      this.element.load();
+    } else {
+      this.element.pause();
+      this.element.removeAttribute('src');
+      this.element.load();
+    }
+    return true;
+  }
+
+  // Stop and rewind without unloading, so a buffered track stays buffered
+  reset() {
+    this.stopSegments();
+    this.element.pause();
+    if (this.element.currentTime !== this.startTime) {
+      this.element.currentTime = this.startTime;
+    }
+  }
+
+  // Limit playback to start..end (null end = natural end). A track still
+  // in its lead-in is moved up to the new start.
+  setBounds(start = 0, end = null) {
+    this.startTime = start;
+    this.endTime = end;
+    if (this.element.currentTime < start) {
+      this.element.currentTime = start;
+    }
+  }
+
+  // Where the track is considered finished
+  getEndTime() {
+    const { duration } = this.element;
+    return this.endTime !== null && this.endTime < duration ? this.endTime : duration;
+  }
+
+  // Per-track loudness correction, smoothed so a late result is not a jump
+  setTrackGain(value) {
+    this.trackGain.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.05);
+  }
+
+  // Cancel any running fade and jump to a gain value
+  setGain(value) {
+    const param = this.gain.gain;
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(value, now);
+  }
+
+  // Fade in from silence or out from the current gain, starting now
+  fade(direction, duration, curveType = 'equal-power') {
+    const param = this.gain.gain;
+    const now = this.audioContext.currentTime;
+    const from = param.value;
+
+    param.cancelScheduledValues(now);
+    if (duration <= 0) {
+      param.setValueAtTime(direction === 'in' ? 1 : 0, now);
+      return;
+    }
+    param.setValueCurveAtTime(createFadeCurve(curveType, direction, from), now, duration);
+  }
+
+  // Play a decoded segment from track second `from` at context time `when`,
+  // up to `to` or, with loopStart/loopEnd, around that span until stopped.
+  // A rate other than 1 changes the pitch as well, like a tape machine.
+  playSegment(segment, when, from, to = null, { loopStart, loopEnd, rate = 1 } = {}) {
+    const source = this.audioContext.createBufferSource();
+    source.buffer = segment.buffer;
+    source.playbackRate.value = rate;
+    if (loopEnd !== undefined) {
+      source.loop = true;
+      source.loopStart = loopStart - segment.from;
+      source.loopEnd = loopEnd - segment.from;
+    }
+    source.connect(this.segmentGain);
+    source.onended = () => {
+      source.disconnect();
+      this.segments.delete(source);
+    };
+
+    const offset = Math.max(0, from - segment.from);
+    if (to === null) {
+      source.start(when, offset);
+    } else {
+      source.start(when, offset, Math.max(0, to - from));
+    }
+    this.segments.add(source);
+    return source;
+  }
+
+  // Cross over to the element or the segments at context time `when`. Both
+  // play the same audio, so a linear fade keeps the level constant.
+  handover(to, when, length = 0) {
+    const [rising, falling] = to === 'element'
+      ? [this.elementGain.gain, this.segmentGain.gain]
+      : [this.segmentGain.gain, this.elementGain.gain];
+    const now = this.audioContext.currentTime;
+
+    [[rising, 1], [falling, 0]].forEach(([param, value]) => {
+      param.cancelScheduledValues(now);
+      if (length <= 0) {
+        param.setValueAtTime(value, Math.max(now, when));
+        return;
+      }
+      param.setValueAtTime(1 - value, Math.max(now, when));
+      param.linearRampToValueAtTime(value, Math.max(now, when) + length);
+    });
+  }
+
+  // Stop decoded playback and give the output back to the element
+  stopSegments() {
+    this.segments.forEach((source) => source.stop());
+    this.segments.clear();
+    this.handover('element', this.audioContext.currentTime);
+  }
+
+  // Seconds of real time left until the element runs out
+  getRemainingTime() {
+    const { duration, currentTime, playbackRate } = this.element;
+    if (!Number.isFinite(duration) || playbackRate <= 0) return Infinity;
+    return Math.max(0, this.getEndTime() - currentTime) / playbackRate;
+  }
+
+  // Still producing sound (e.g. the tail of a track after a handoff)
+  isBusy() {
+    return this.segments.size > 0 || (!this.element.paused && !this.element.ended);
+  }
+
+  disconnect() {
+    this.stopSegments();
+    this.element.pause();
+    this.element.removeAttribute('src');
+    this.source.disconnect();
+    this.elementGain.disconnect();
+    this.segmentGain.disconnect();
+    this.trackGain.disconnect();
+    this.gain.disconnect();
+  }
+}
@@ -0,0 +1,173 @@
+// Dynamics stage: compressor with makeup gain followed by a brickwall limiter
+// (a fast limiter with a hard clip at its ceiling)
+
+export const DEFAULT_COMPRESSOR = {
+  threshold: -24,
+  ratio: 4,
+  knee: 6,
+  attack: 0.01,
+  release: 0.25,
+  makeup: 0
+};
+
+/**
+ * Built-in compressor presets
+ */
+export const DYNAMICS_PRESETS = {
+  Gentle: { threshold: -18, ratio: 2, knee: 10, attack: 0.02, release: 0.3, makeup: 2 },
+  'Night mode': { threshold: -36, ratio: 8, knee: 12, attack: 0.005, release: 0.4, makeup: 10 },
+  'Vocal leveler': { threshold: -24, ratio: 3, knee: 8, attack: 0.01, release: 0.2, makeup: 4 },
+  Broadcast: { threshold: -20, ratio: 6, knee: 4, attack: 0.003, release: 0.15, makeup: 6 },
+  Heavy: { threshold: -30, ratio: 12, knee: 2, attack: 0.002, release: 0.1, makeup: 9 }
+};
+
+// Parameter ranges, matching what DynamicsCompressorNode accepts
+export const COMPRESSOR_RANGES = {
+  threshold: { min: -60, max: 0, step: 1, unit: 'dB' },
+  ratio: { min: 1, max: 20, step: 0.5, unit: ':1' },
+  knee: { min: 0, max: 40, step: 1, unit: 'dB' },
+  attack: { min: 0, max: 1, step: 0.001, unit: 's' },
+  release: { min: 0, max: 1, step: 0.01, unit: 's' },
+  makeup: { min: 0, max: 24, step: 0.5, unit: 'dB' }
+};
+
+// Limiter settings: fastest attack, hard knee, maximum ratio
+const LIMITER = { threshold: -1, ratio: 20, knee: 0, attack: 0.001, release: 0.05 };
+
+// Points in the clipper's transfer curve, over input -1..1
+const CLIPPER_CURVE_LENGTH = 4097;
+
+const PARAM_SMOOTHING = 0.02;
+
+/**
+ * Fast limiter node. With no lookahead it lets the start of transients
+ * through, so it is followed by createClipper() wherever peaks must stay
+ * under the ceiling; together they also guard the volume boost.
+ */
+export const createLimiter = (audioContext) => {
+  const limiter = audioContext.createDynamicsCompressor();
+  Object.entries(LIMITER).forEach(([key, value]) => {
+    limiter[key].value = value;
+  });
+  return limiter;
+};
+
+/**
+ * Hard clip at the limiter's ceiling for whatever overshoots it.
+ * Oversampled so the clipped edges alias less.
+ */
+export const createClipper = (audioContext) => {
+  const ceiling = Math.pow(10, LIMITER.threshold / 20);
+  const curve = new Float32Array(CLIPPER_CURVE_LENGTH);
+  for (let i = 0; i < curve.length; i++) {
+    const x = (2 * i) / (curve.length - 1) - 1;
+    curve[i] = Math.min(ceiling, Math.max(-ceiling, x));
+  }
+
+  const clipper = audioContext.createWaveShaper();
+  clipper.curve = curve;
+  clipper.oversample = '4x';
+  return clipper;
+};
+
+const clampParams = (params) =>
+  Object.fromEntries(
+    Object.entries(COMPRESSOR_RANGES).map(([key, range]) => {
+      const value = Number(params[key]);
+      return [key, Number.isFinite(value) ? Math.min(range.max, Math.max(range.min, value)) : DEFAULT_COMPRESSOR[key]];
+    })
+  );
+
+/**
+ * input -> [compressor -> makeup] -> [limiter -> clipper] -> output
+ * Disabled parts are routed around, never destroyed.
+ */
+export class Dynamics {
+  constructor(audioContext, settings = {}) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.compressor = audioContext.createDynamicsCompressor();
+    this.makeup = audioContext.createGain();
+    this.limiter = createLimiter(audioContext);
+    this.clipper = createClipper(audioContext);
+
+    this.compressorEnabled = Boolean(settings.compressorEnabled);
+    this.limiterEnabled = Boolean(settings.limiterEnabled);
+    this.params = clampParams({ ...DEFAULT_COMPRESSOR, ...settings.params });
+    this.applyParams(true);
+    this.connect();
+  }
+
+  applyParams(immediate = false) {
+    const now = this.audioContext.currentTime;
+    ['threshold', 'ratio', 'knee', 'attack', 'release'].forEach((key) => {
+      if (immediate) {
+        this.compressor[key].value = this.params[key];
+      } else {
+        this.compressor[key].setTargetAtTime(this.params[key], now, PARAM_SMOOTHING);
+      }
+    });
+
+    const makeup = Math.pow(10, this.params.makeup / 20);
+    if (immediate) {
+      this.makeup.gain.value = makeup;
+    } else {
+      this.makeup.gain.setTargetAtTime(makeup, now, PARAM_SMOOTHING);
+    }
+  }
+
+  setParams(params) {
+    this.params = clampParams({ ...this.params, ...params });
+    this.applyParams();
+  }
+
+  // Toggles only record the state and return whether the routing changed;
+  // connect() applies it, so the owner can fade the output around the switch
+  setCompressorEnabled(enabled) {
+    const changed = enabled !== this.compressorEnabled;
+    this.compressorEnabled = enabled;
+    return changed;
+  }
+
+  setLimiterEnabled(enabled) {
+    const changed = enabled !== this.limiterEnabled;
+    this.limiterEnabled = enabled;
+    return changed;
+  }
+
+  connect() {
+    [this.input, this.compressor, this.makeup, this.limiter, this.clipper].forEach((node) => node.disconnect());
+
+    let tail = this.input;
+    if (this.compressorEnabled) {
+      tail.connect(this.compressor);
+      this.compressor.connect(this.makeup);
+      tail = this.makeup;
+    }
+    if (this.limiterEnabled) {
+      tail.connect(this.limiter);
+      this.limiter.connect(this.clipper);
+      tail = this.clipper;
+    }
+    tail.connect(this.output);
+  }
+
+  // Current gain reduction in dB (0 or negative) across both processors
+  getReduction() {
+    return (this.compressorEnabled ? this.compressor.reduction : 0)
+      + (this.limiterEnabled ? this.limiter.reduction : 0);
+  }
+
+  getSettings() {
+    return {
+      compressorEnabled: this.compressorEnabled,
+      limiterEnabled: this.limiterEnabled,
+      params: { ...this.params }
+    };
+  }
+
+  disconnect() {
+    [this.input, this.compressor, this.makeup, this.limiter, this.clipper, this.output].forEach((node) => node.disconnect());
+  }
+}
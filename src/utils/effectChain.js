@@ -0,0 +1,250 @@
+// Ordered effect chain between the decks and the analyser.
+//
+// Each effect sits in a slot:  input -> [effect] -> wet -> output
+//                              input -> dry ------------> output
+// so bypassing is a short dry/wet crossfade instead of a rewire. Inserting,
+// removing and reordering do rewire, but only while the chain output is
+// briefly ducked, so none of these click.
+
+export const CHAIN_FORMAT_VERSION = 1;
+
+// Dry/wet crossfade when an effect is bypassed or brought back, in seconds
+const BYPASS_TIME = 0.02;
+
+// Duck before and after a structural change, in seconds
+const REWIRE_FADE = 0.01;
+
+// Ramp a gain to a value from wherever it currently is; a zero duration jumps
+const rampTo = (param, value, duration, audioContext) => {
+  const now = audioContext.currentTime;
+  param.cancelScheduledValues(now);
+  if (duration <= 0) {
+    param.setValueAtTime(value, now);
+    return;
+  }
+  param.setValueAtTime(param.value, now);
+  param.linearRampToValueAtTime(value, now + duration);
+};
+
+/**
+ * Entries of a serialized chain as [{ type, bypassed, settings }], from a
+ * JSON string or an already parsed object. Throws when it is not a chain.
+ */
+export const parseChainJSON = (value) => {
+  let data = value;
+  if (typeof value === 'string') {
+    try {
+      data = JSON.parse(value);
+    } catch {
+      throw new Error('Not a valid JSON file');
+    }
+  }
+
+  if (!data || !Array.isArray(data.effects)) {
+    throw new Error('Not an effect chain');
+  }
+  if (data.version > CHAIN_FORMAT_VERSION) {
+    throw new Error(`Effect chain format ${data.version} is newer than this player supports`);
+  }
+
+  return data.effects
+    .filter((entry) => entry && typeof entry.type === 'string')
+    .map(({ type, bypassed, settings }) => ({
+      type,
+      bypassed: Boolean(bypassed),
+      settings: settings && typeof settings === 'object' ? settings : {}
+    }));
+};
+
+class EffectSlot {
+  constructor(audioContext, { id, type, effect, bypassed = false }) {
+    this.audioContext = audioContext;
+    this.id = id;
+    this.type = type;
+    this.effect = effect;
+    this.bypassed = bypassed;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.dry = audioContext.createGain();
+    this.wet = audioContext.createGain();
+    this.bypassTimer = null;
+
+    this.dry.gain.value = bypassed ? 1 : 0;
+    this.wet.gain.value = bypassed ? 0 : 1;
+    this.input.connect(this.dry);
+    this.dry.connect(this.output);
+    this.effect.output.connect(this.wet);
+    this.wet.connect(this.output);
+
+    // A bypassed effect is left out of the path so it costs nothing
+    this.effectConnected = !bypassed;
+    if (this.effectConnected) this.input.connect(this.effect.input);
+  }
+
+  // Dry and wet carry the same music, so a linear crossfade holds the level.
+  // Nothing is audible while the context is not running, so it just switches.
+  setBypassed(bypassed) {
+    if (bypassed === this.bypassed) return;
+    this.bypassed = bypassed;
+    clearTimeout(this.bypassTimer);
+    this.bypassTimer = null;
+
+    const duration = this.audioContext.state === 'running' ? BYPASS_TIME : 0;
+    rampTo(this.dry.gain, bypassed ? 1 : 0, duration, this.audioContext);
+    rampTo(this.wet.gain, bypassed ? 0 : 1, duration, this.audioContext);
+
+    // Connections are only changed when they differ, so an effect brought
+    // back before its crossfade finished is simply left connected
+    if (!bypassed) {
+      if (!this.effectConnected) this.input.connect(this.effect.input);
+      this.effectConnected = true;
+    } else if (duration === 0) {
+      this.disconnectEffect();
+    } else {
+      this.bypassTimer = setTimeout(() => {
+        this.bypassTimer = null;
+        this.disconnectEffect();
+      }, duration * 1000 + 20);
+    }
+  }
+
+  disconnectEffect() {
+    if (this.effectConnected) this.input.disconnect(this.effect.input);
+    this.effectConnected = false;
+  }
+
+  disconnect() {
+    clearTimeout(this.bypassTimer);
+    [this.input, this.dry, this.wet, this.output].forEach((node) => node.disconnect());
+    this.effect.output.disconnect(this.wet);
+  }
+}
+
+/**
+ * input -> slot -> slot -> ... -> output
+ * Effects are any objects with persistent input and output nodes and
+ * getSettings() / disconnect(); the chain owns the slots around them.
+ */
+export class EffectChain {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.slots = [];
+    this.retired = [];
+    this.rewireTimer = null;
+    this.connect();
+  }
+
+  getSlot(id) {
+    return this.slots.find((slot) => slot.id === id) || null;
+  }
+
+  // Free id for a new effect of a type: "delay-1", "delay-2", ...
+  createId(type) {
+    let n = 1;
+    while (this.getSlot(`${type}-${n}`)) n++;
+    return `${type}-${n}`;
+  }
+
+  insert({ id, type, effect, bypassed }, index = this.slots.length) {
+    const slot = new EffectSlot(this.audioContext, { id, type, effect, bypassed });
+    const position = Math.max(0, Math.min(this.slots.length, index));
+    this.slots.splice(position, 0, slot);
+    this.rewire();
+    return slot;
+  }
+
+  // Take an effect out of the chain; it is disconnected once the chain is rewired
+  remove(id) {
+    const slot = this.getSlot(id);
+    if (!slot) return;
+
+    this.slots = this.slots.filter((other) => other !== slot);
+    this.retired.push(slot);
+    this.rewire();
+  }
+
+  move(id, index) {
+    const slot = this.getSlot(id);
+    if (!slot) return;
+
+    const rest = this.slots.filter((other) => other !== slot);
+    rest.splice(Math.max(0, Math.min(rest.length, index)), 0, slot);
+    this.slots = rest;
+    this.rewire();
+  }
+
+  setBypassed(id, bypassed) {
+    const slot = this.getSlot(id);
+    if (slot) slot.setBypassed(bypassed);
+  }
+
+  /**
+   * Apply the current slot order. Changes made in the same task share one
+   * duck; while the context is not running nothing is audible, so the
+   * nodes are reconnected straight away.
+   */
+  rewire() {
+    if (this.rewireTimer) return;
+
+    if (this.audioContext.state !== 'running') {
+      this.connect();
+      return;
+    }
+
+    rampTo(this.output.gain, 0, REWIRE_FADE, this.audioContext);
+    this.rewireTimer = setTimeout(() => {
+      this.rewireTimer = null;
+      this.connect();
+      rampTo(this.output.gain, 1, REWIRE_FADE, this.audioContext);
+    }, REWIRE_FADE * 1000 + 10);
+  }
+
+  connect() {
+    this.input.disconnect();
+    this.slots.forEach((slot) => slot.output.disconnect());
+
+    this.retired.forEach((slot) => {
+      slot.disconnect();
+      slot.effect.disconnect();
+    });
+    this.retired = [];
+
+    let tail = this.input;
+    this.slots.forEach((slot) => {
+      tail.connect(slot.input);
+      tail = slot.output;
+    });
+    tail.connect(this.output);
+  }
+
+  /**
+   * Serializable description of the chain:
+   * { version, effects: [{ id, type, bypassed, settings }] }
+   */
+  toJSON() {
+    return {
+      version: CHAIN_FORMAT_VERSION,
+      effects: this.slots.map(({ id, type, bypassed, effect }) => ({
+        id,
+        type,
+        bypassed,
+        settings: effect.getSettings()
+      }))
+    };
+  }
+
+  disconnect() {
+    clearTimeout(this.rewireTimer);
+    this.rewireTimer = null;
+    [...this.slots, ...this.retired].forEach((slot) => {
+      slot.disconnect();
+      slot.effect.disconnect();
+    });
+    this.slots = [];
+    this.retired = [];
+    this.input.disconnect();
+    this.output.disconnect();
+  }
+}
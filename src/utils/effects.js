@@ -0,0 +1,257 @@
+// Effect types for the effect chain. Every type declares its parameters,
+// which is all the chain UI needs to render controls for it and all the
+// serializer needs to validate a shared setup.
+import { dbToGain } from './loudness';
+
+const PARAM_SMOOTHING = 0.02;
+
+// Longest echo the delay effect can hold, in seconds
+const MAX_DELAY_TIME = 2;
+
+/**
+ * Parameter declarations:
+ *   { key, label, type: 'number', min, max, step, unit, scale?: 'log', default }
+ *     ('%' values are stored as fractions of 1)
+ *   { key, label, type: 'boolean', default }
+ *   { key, label, type: 'select', options: [{ value, label }], default }
+ */
+const sanitizeParam = (param, value) => {
+  if (param.type === 'boolean') {
+    return typeof value === 'boolean' ? value : param.default;
+  }
+  if (param.type === 'select') {
+    return param.options.some((option) => option.value === value) ? value : param.default;
+  }
+
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? Math.max(param.min, Math.min(param.max, number)) : param.default;
+};
+
+/**
+ * Settings object with every declared parameter valid and present
+ */
+export const sanitizeSettings = (params, settings = {}) =>
+  Object.fromEntries(params.map((param) => [param.key, sanitizeParam(param, settings[param.key])]));
+
+const GAIN_PARAMS = [
+  { key: 'gain', label: 'Gain', type: 'number', min: -24, max: 24, step: 0.5, unit: 'dB', default: 0 }
+];
+
+const FILTER_PARAMS = [
+  {
+    key: 'type',
+    label: 'Type',
+    type: 'select',
+    options: [
+      { value: 'lowpass', label: 'Low-pass' },
+      { value: 'highpass', label: 'High-pass' },
+      { value: 'bandpass', label: 'Band-pass' },
+      { value: 'notch', label: 'Notch' }
+    ],
+    default: 'lowpass'
+  },
+  { key: 'frequency', label: 'Frequency', type: 'number', min: 20, max: 20000, step: 1, unit: 'Hz', scale: 'log', default: 1000 },
+  { key: 'q', label: 'Q', type: 'number', min: 0.1, max: 20, step: 0.1, unit: '', default: 0.7 }
+];
+
+const DELAY_PARAMS = [
+  { key: 'time', label: 'Time', type: 'number', min: 0.01, max: MAX_DELAY_TIME, step: 0.01, unit: 's', default: 0.35 },
+  { key: 'feedback', label: 'Feedback', type: 'number', min: 0, max: 0.9, step: 0.01, unit: '%', default: 0.35 },
+  { key: 'mix', label: 'Echo level', type: 'number', min: 0, max: 1, step: 0.01, unit: '%', default: 0.4 }
+];
+
+const TREMOLO_PARAMS = [
+  { key: 'rate', label: 'Rate', type: 'number', min: 0.1, max: 20, step: 0.1, unit: 'Hz', default: 5 },
+  { key: 'depth', label: 'Depth', type: 'number', min: 0, max: 1, step: 0.01, unit: '%', default: 0.5 },
+  { key: 'stereo', label: 'Stereo', type: 'boolean', default: false }
+];
+
+/**
+ * Shared plumbing: persistent input/output nodes, settings kept sanitized
+ * against the declaration and smoothed parameter changes. Subclasses build
+ * their nodes between input and output and implement apply().
+ */
+class ParamEffect {
+  constructor(audioContext, params, settings) {
+    this.audioContext = audioContext;
+    this.params = params;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.nodes = [this.input, this.output];
+    this.settings = sanitizeSettings(params, settings);
+  }
+
+  setValue(param, value, immediate) {
+    if (immediate) {
+      param.value = value;
+    } else {
+      param.setTargetAtTime(value, this.audioContext.currentTime, PARAM_SMOOTHING);
+    }
+  }
+
+  setSettings(settings) {
+    this.settings = sanitizeSettings(this.params, { ...this.settings, ...settings });
+    this.apply();
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  disconnect() {
+    this.nodes.forEach((node) => node.disconnect());
+  }
+}
+
+// input -> output, with the output gain as the trim
+class GainEffect extends ParamEffect {
+  constructor(audioContext, settings) {
+    super(audioContext, GAIN_PARAMS, settings);
+    this.input.connect(this.output);
+    this.apply(true);
+  }
+
+  apply(immediate = false) {
+    this.setValue(this.output.gain, dbToGain(this.settings.gain), immediate);
+  }
+}
+
+// input -> biquad -> output
+class FilterEffect extends ParamEffect {
+  constructor(audioContext, settings) {
+    super(audioContext, FILTER_PARAMS, settings);
+    this.filter = audioContext.createBiquadFilter();
+    this.nodes.push(this.filter);
+    this.input.connect(this.filter);
+    this.filter.connect(this.output);
+    this.apply(true);
+  }
+
+  apply(immediate = false) {
+    this.filter.type = this.settings.type;
+    this.setValue(this.filter.frequency, this.settings.frequency, immediate);
+    this.setValue(this.filter.Q, this.settings.q, immediate);
+  }
+}
+
+/**
+ * input -> output, plus input -> delay -> echo level -> output with the
+ * delay fed back into itself
+ */
+class DelayEffect extends ParamEffect {
+  constructor(audioContext, settings) {
+    super(audioContext, DELAY_PARAMS, settings);
+    this.delay = audioContext.createDelay(MAX_DELAY_TIME);
+    this.feedback = audioContext.createGain();
+    this.wet = audioContext.createGain();
+    this.nodes.push(this.delay, this.feedback, this.wet);
+
+    this.input.connect(this.output);
+    this.input.connect(this.delay);
+    this.delay.connect(this.feedback);
+    this.feedback.connect(this.delay);
+    this.delay.connect(this.wet);
+    this.wet.connect(this.output);
+    this.apply(true);
+  }
+
+  apply(immediate = false) {
+    this.setValue(this.delay.delayTime, this.settings.time, immediate);
+    this.setValue(this.feedback.gain, this.settings.feedback, immediate);
+    this.setValue(this.wet.gain, this.settings.mix, immediate);
+  }
+}
+
+/**
+ * input -> splitter -> per-channel amplitude -> merger -> output, each
+ * amplitude modulated by a sine LFO. In stereo mode the right channel's
+ * LFO is inverted so the sound moves between the speakers.
+ */
+class TremoloEffect extends ParamEffect {
+  constructor(audioContext, settings) {
+    super(audioContext, TREMOLO_PARAMS, settings);
+    this.input.channelCount = 2;
+    this.input.channelCountMode = 'explicit';
+    this.input.channelInterpretation = 'speakers';
+
+    this.splitter = audioContext.createChannelSplitter(2);
+    this.merger = audioContext.createChannelMerger(2);
+    this.lfo = audioContext.createOscillator();
+    this.amplitudes = [audioContext.createGain(), audioContext.createGain()];
+    this.depths = [audioContext.createGain(), audioContext.createGain()];
+    this.nodes.push(this.splitter, this.merger, this.lfo, ...this.amplitudes, ...this.depths);
+
+    this.input.connect(this.splitter);
+    this.amplitudes.forEach((amplitude, channel) => {
+      this.splitter.connect(amplitude, channel);
+      amplitude.connect(this.merger, 0, channel);
+      this.lfo.connect(this.depths[channel]);
+      this.depths[channel].connect(amplitude.gain);
+    });
+    this.merger.connect(this.output);
+
+    this.apply(true);
+    this.lfo.start();
+  }
+
+  apply(immediate = false) {
+    const { rate, depth, stereo } = this.settings;
+    this.setValue(this.lfo.frequency, rate, immediate);
+
+    // Gain swings between 1 - depth and 1
+    this.amplitudes.forEach((amplitude) => this.setValue(amplitude.gain, 1 - depth / 2, immediate));
+    this.depths.forEach((depthGain, channel) => {
+      const sign = stereo && channel === 1 ? -1 : 1;
+      this.setValue(depthGain.gain, (sign * depth) / 2, immediate);
+    });
+  }
+
+  disconnect() {
+    this.lfo.stop();
+    super.disconnect();
+  }
+}
+
+/**
+ * Effects users can insert, remove and configure freely
+ */
+export const EFFECT_TYPES = {
+  gain: {
+    label: 'Gain',
+    description: 'Trim or boost the level',
+    params: GAIN_PARAMS,
+    create: (audioContext, settings) => new GainEffect(audioContext, settings)
+  },
+  filter: {
+    label: 'Filter',
+    description: 'Cut lows, highs or a band',
+    params: FILTER_PARAMS,
+    create: (audioContext, settings) => new FilterEffect(audioContext, settings)
+  },
+  delay: {
+    label: 'Delay',
+    description: 'Repeating echo',
+    params: DELAY_PARAMS,
+    create: (audioContext, settings) => new DelayEffect(audioContext, settings)
+  },
+  tremolo: {
+    label: 'Tremolo',
+    description: 'Pulsing volume',
+    params: TREMOLO_PARAMS,
+    create: (audioContext, settings) => new TremoloEffect(audioContext, settings)
+  }
+};
+
+/**
+ * Stages the engine always has. They keep their own panels and storage
+ * keys, so the chain can move and bypass them but not remove them. The
+ * key doubles as the chain id; the order is the default chain.
+ */
+export const BUILT_IN_EFFECTS = {
+  pitch: { label: 'Pitch shift', panel: 'tempo controls' },
+  karaoke: { label: 'Vocal removal', panel: 'Sound panel' },
+  equalizer: { label: 'Equalizer', panel: 'Equalizer panel' },
+  stereo: { label: 'Stereo image', panel: 'Sound panel' },
+  reverb: { label: 'Reverb', panel: 'Reverb panel' },
+  dynamics: { label: 'Dynamics', panel: 'Dynamics panel' }
+};
@@ -0,0 +1,205 @@
+// Parametric equalizer stage and preset definitions
+import { loadSetting, saveSetting } from './storage';
+
+/**
+ * ISO octave centre frequencies used by the default 10-band layout
+ */
+export const DEFAULT_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+export const FILTER_TYPES = ['lowshelf', 'peaking', 'highshelf', 'lowpass', 'highpass', 'notch'];
+
+export const MIN_GAIN = -12;
+export const MAX_GAIN = 12;
+
+/**
+ * Build the default band layout: shelves at the edges, peaking in between
+ */
+export const createDefaultBands = (gains = []) =>
+  DEFAULT_FREQUENCIES.map((frequency, index) => ({
+    type: index === 0 ? 'lowshelf' : index === DEFAULT_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking',
+    frequency,
+    gain: gains[index] || 0,
+    q: 1.4
+  }));
+
+/**
+ * Built-in presets, expressed as gains for the default 10 bands
+ */
+export const EQ_PRESETS = {
+  Flat: createDefaultBands(),
+  'Bass Boost': createDefaultBands([6, 5, 4, 2, 0, 0, 0, 0, 0, 0]),
+  'Bass Cut': createDefaultBands([-6, -5, -3, -1, 0, 0, 0, 0, 0, 0]),
+  'Treble Boost': createDefaultBands([0, 0, 0, 0, 0, 1, 2, 4, 5, 6]),
+  Vocal: createDefaultBands([-2, -2, -1, 1, 3, 4, 3, 1, 0, -1]),
+  Rock: createDefaultBands([5, 4, 2, -1, -2, -1, 2, 3, 4, 4]),
+  Pop: createDefaultBands([-1, 1, 3, 4, 3, 0, -1, -1, 1, 2]),
+  Jazz: createDefaultBands([3, 2, 1, 2, -1, -1, 0, 1, 2, 3]),
+  Classical: createDefaultBands([4, 3, 2, 1, -1, -1, 0, 2, 3, 4]),
+  Electronic: createDefaultBands([5, 4, 1, 0, -2, 2, 1, 1, 4, 5]),
+  Loudness: createDefaultBands([6, 4, 0, 0, -2, 0, -1, -4, 4, 2])
+};
+
+const USER_PRESETS_KEY = 'eq-presets';
+
+/**
+ * User-saved presets, keyed by name
+ */
+export const loadUserPresets = () => loadSetting(USER_PRESETS_KEY, {});
+
+export const saveUserPreset = (name, bands) => {
+  const presets = { ...loadUserPresets(), [name]: bands.map(sanitizeBand) };
+  saveSetting(USER_PRESETS_KEY, presets);
+  return presets;
+};
+
+export const deleteUserPreset = (name) => {
+  const presets = { ...loadUserPresets() };
+  delete presets[name];
+  saveSetting(USER_PRESETS_KEY, presets);
+  return presets;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Normalize a band description coming from storage or the UI
+ */
+export const sanitizeBand = (band = {}) => ({
+  type: FILTER_TYPES.includes(band.type) ? band.type : 'peaking',
+  frequency: clamp(Number(band.frequency) || 1000, 20, 20000),
+  gain: clamp(Number(band.gain) || 0, MIN_GAIN, MAX_GAIN),
+  q: clamp(Number(band.q) || 1, 0.1, 18)
+});
+
+// Time constant for parameter changes; short enough to feel live, long
+// enough to avoid zipper noise while dragging a slider
+const PARAM_SMOOTHING = 0.015;
+
+/**
+ * Persistent chain of BiquadFilterNodes between a fixed input and output.
+ * Band edits are applied to the existing nodes; only changing the number
+ * of bands rebuilds the filters, and never the surrounding graph.
+ * Changes that reroute the signal (band count, bypass) take effect on
+ * connect(), so the owner can fade the output around them.
+ */
+export class Equalizer {
+  constructor(audioContext, bands = createDefaultBands()) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.probe = audioContext.createBiquadFilter();
+    this.filters = [];
+    // Replaced filters, still wired until the next connect()
+    this.retiredFilters = [];
+    this.bands = [];
+    this.enabled = true;
+
+    this.setBands(bands);
+    this.connect();
+  }
+
+  // Replace all bands, reusing filter nodes where possible. Returns true
+  // when the band count changed and the chain needs connect().
+  setBands(bands) {
+    const nextBands = bands.map(sanitizeBand);
+
+    if (nextBands.length !== this.filters.length) {
+      this.retiredFilters.push(...this.filters);
+      this.filters = nextBands.map(() => this.audioContext.createBiquadFilter());
+      this.bands = nextBands;
+      this.filters.forEach((filter, index) => this.applyBand(filter, nextBands[index], true));
+      return true;
+    }
+
+    this.bands = nextBands;
+    this.filters.forEach((filter, index) => this.applyBand(filter, nextBands[index]));
+    return false;
+  }
+
+  // Update a single band in place
+  setBand(index, params) {
+    if (!this.filters[index]) return;
+
+    this.bands[index] = sanitizeBand({ ...this.bands[index], ...params });
+    this.applyBand(this.filters[index], this.bands[index]);
+  }
+
+  applyBand(filter, band, immediate = false) {
+    const now = this.audioContext.currentTime;
+
+    filter.type = band.type;
+    if (immediate) {
+      filter.frequency.value = band.frequency;
+      filter.gain.value = band.gain;
+      filter.Q.value = band.q;
+    } else {
+      filter.frequency.setTargetAtTime(band.frequency, now, PARAM_SMOOTHING);
+      filter.gain.setTargetAtTime(band.gain, now, PARAM_SMOOTHING);
+      filter.Q.setTargetAtTime(band.q, now, PARAM_SMOOTHING);
+    }
+  }
+
+  // Bypass routes input straight to output, keeping the filters alive.
+  // Returns true when the chain needs connect().
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return false;
+    this.enabled = enabled;
+    return true;
+  }
+
+  connect() {
+    this.input.disconnect();
+    [...this.retiredFilters, ...this.filters].forEach((filter) => filter.disconnect());
+    this.retiredFilters = [];
+
+    if (!this.enabled || this.filters.length === 0) {
+      this.input.connect(this.output);
+      return;
+    }
+
+    this.input.connect(this.filters[0]);
+    for (let i = 0; i < this.filters.length - 1; i++) {
+      this.filters[i].connect(this.filters[i + 1]);
+    }
+    this.filters[this.filters.length - 1].connect(this.output);
+  }
+
+  /**
+   * Combined magnitude response in dB of all bands at the given frequencies
+   */
+  getFrequencyResponse(frequencies) {
+    const freqArray = Float32Array.from(frequencies);
+    const magnitude = new Float32Array(freqArray.length);
+    const phase = new Float32Array(freqArray.length);
+    const totalDb = new Float32Array(freqArray.length);
+
+    if (!this.enabled) return totalDb;
+
+    // Response is computed on an unconnected probe from the target values,
+    // so the curve does not lag behind the UI while a parameter is ramping
+    const probe = this.probe;
+    this.bands.forEach((band) => {
+      probe.type = band.type;
+      probe.frequency.value = band.frequency;
+      probe.gain.value = band.gain;
+      probe.Q.value = band.q;
+      probe.getFrequencyResponse(freqArray, magnitude, phase);
+
+      for (let i = 0; i < totalDb.length; i++) {
+        totalDb[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+      }
+    });
+
+    return totalDb;
+  }
+
+  getSettings() {
+    return { enabled: this.enabled, bands: this.bands.map((band) => ({ ...band })) };
+  }
+
+  disconnect() {
+    this.input.disconnect();
+    this.filters.forEach((filter) => filter.disconnect());
+    this.output.disconnect();
+  }
+}
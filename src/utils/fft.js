@@ -0,0 +1,69 @@
+// DSP helpers for offline analysis: radix-2 FFT, window, down-mixing
+
+/**
+ * Transform re/im (Float32Array or Float64Array, power-of-two length)
+ */
+export const fft = (re, im) => {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+};
+
+/**
+ * Periodic Hann window of the given length
+ */
+export const hannWindow = (length) => {
+  const window = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / length);
+  }
+  return window;
+};
+
+/**
+ * Down-mix to mono and decimate by `factor`, averaging each group of
+ * samples as a crude anti-alias filter
+ */
+export const downmix = (audioBuffer, factor) => {
+  const length = Math.floor(audioBuffer.length / factor);
+  const mono = new Float32Array(length);
+  const channels = audioBuffer.numberOfChannels;
+
+  for (let channel = 0; channel < channels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let k = 0; k < factor; k++) sum += data[i * factor + k];
+      mono[i] += sum / (factor * channels);
+    }
+  }
+  return mono;
+};
@@ -0,0 +1,109 @@
+// Audio format detection for imported files. The MIME type a browser
+// reports is often empty (FLAC, Opus) or generic, so the first bytes are
+// sniffed and the file name is only a fallback.
+import { id3v2Size } from './id3';
+
+// Enough to get past an ID3 tag's header and see the first audio frame
+const SNIFF_BYTES = 4096;
+
+/**
+ * Formats the player knows how to probe. `codec` is what canPlayType is
+ * asked about; an empty answer means this browser cannot play the file.
+ */
+export const AUDIO_FORMATS = {
+  mp3: { label: 'MP3', codec: 'audio/mpeg', extensions: ['mp3', 'mp2', 'mpga'] },
+  aac: { label: 'AAC', codec: 'audio/aac', extensions: ['aac', 'adts'] },
+  mp4: { label: 'M4A', codec: 'audio/mp4', extensions: ['m4a', 'm4b', 'mp4', 'aac'] },
+  flac: { label: 'FLAC', codec: 'audio/flac', extensions: ['flac'] },
+  vorbis: { label: 'Ogg Vorbis', codec: 'audio/ogg; codecs="vorbis"', extensions: ['ogg', 'oga'] },
+  opus: { label: 'Opus', codec: 'audio/ogg; codecs="opus"', extensions: ['opus'] },
+  'ogg-flac': { label: 'Ogg FLAC', codec: 'audio/ogg; codecs="flac"', extensions: ['oga'] },
+  wav: { label: 'WAV', codec: 'audio/wav', extensions: ['wav', 'wave'] },
+  aiff: { label: 'AIFF', codec: 'audio/aiff', extensions: ['aif', 'aiff'] },
+  webm: { label: 'WebM', codec: 'audio/webm', extensions: ['webm', 'weba'] }
+};
+
+// For the file picker: anything audio, plus extensions browsers do not map
+export const ACCEPTED_FILE_TYPES = [
+  'audio/*',
+  ...new Set(Object.values(AUDIO_FORMATS).flatMap(({ extensions }) => extensions.map((ext) => `.${ext}`)))
+].join(',');
+
+const matches = (bytes, offset, text) =>
+  [...text].every((char, i) => bytes[offset + i] === char.charCodeAt(0));
+
+/**
+ * Format id from a file's first bytes, or null when nothing matches.
+ * `bytes` must start after any ID3v2 tag (see sniffFile).
+ */
+export const sniffFormat = (bytes) => {
+  if (matches(bytes, 0, 'fLaC')) return 'flac';
+  if (matches(bytes, 0, 'RIFF') && matches(bytes, 8, 'WAVE')) return 'wav';
+  if (matches(bytes, 0, 'FORM') && (matches(bytes, 8, 'AIFF') || matches(bytes, 8, 'AIFC'))) return 'aiff';
+  if (matches(bytes, 4, 'ftyp')) return 'mp4';
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm';
+
+  if (matches(bytes, 0, 'OggS')) {
+    // The first packet of the first page names the codec
+    const packet = 27 + bytes[26];
+    if (matches(bytes, packet, 'OpusHead')) return 'opus';
+    if (matches(bytes, packet + 1, 'vorbis')) return 'vorbis';
+    if (matches(bytes, packet + 1, 'FLAC')) return 'ogg-flac';
+    return null;
+  }
+
+  // Frame sync: ADTS has layer bits 00, MPEG audio anything else
+  if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) {
+    return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  }
+  return null;
+};
+
+/**
+ * Sniff a file, skipping a leading ID3v2 tag (MP3, AAC and sometimes FLAC)
+ */
+export const sniffFile = async (file) => {
+  let bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  const start = id3v2Size(bytes);
+  if (start) {
+    bytes = new Uint8Array(await file.slice(start, start + SNIFF_BYTES).arrayBuffer());
+    // An ID3 tag followed by something unrecognisable is still most likely MP3
+    return sniffFormat(bytes) || 'mp3';
+  }
+  return sniffFormat(bytes);
+};
+
+const formatFromName = (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  return Object.keys(AUDIO_FORMATS).find((id) => AUDIO_FORMATS[id].extensions.includes(extension)) || null;
+};
+
+let probeElement = null;
+
+const canPlay = (codec) => {
+  probeElement = probeElement || new Audio();
+  return probeElement.canPlayType(codec) !== '';
+};
+
+/**
+ * Work out what a file is and whether this browser can play it:
+ * { format, label, playable, reason }. `reason` explains a refusal.
+ */
+export const probeFile = async (file) => {
+  let format = null;
+  try {
+    format = await sniffFile(file);
+  } catch (error) {
+    console.warn(`Failed to read "${file.name}":`, error);
+  }
+  format = format || formatFromName(file);
+
+  if (!format) {
+    return { format: null, label: null, playable: false, reason: 'Not a recognised audio file' };
+  }
+
+  const { label, codec } = AUDIO_FORMATS[format];
+  return canPlay(codec)
+    ? { format, label, playable: true, reason: null }
+    : { format, label, playable: false, reason: `${label} is not supported by this browser` };
+};
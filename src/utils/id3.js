@@ -0,0 +1,458 @@
+// ID3 tag reader: ID3v2.2, v2.3 and v2.4 at the start of a file, with the
+// ID3v1 tag at its end as a fallback for anything v2 does not have.
+
+// Cover art can be large, but nothing legitimate is bigger than this
+const MAX_TAG_BYTES = 32 * 1024 * 1024;
+
+const ID3V1_BYTES = 128;
+
+// ID3v1 genre list, including the Winamp extensions (80-191)
+export const GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+  'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+  'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+  'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+  'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes',
+  'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival', 'Celtic', 'Bluegrass',
+  'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus', 'Easy Listening', 'Acoustic',
+  'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music', 'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove',
+  'Satire', 'Slow Jam', 'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle',
+  'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall', 'Goa', 'Drum & Bass', 'Club-House', 'Hardcore Techno',
+  'Terror', 'Indie', 'BritPop', 'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal', 'Crossover',
+  'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa', 'Thrash Metal', 'Anime', 'Jpop', 'Synthpop', 'Abstract', 'Art Rock',
+  'Baroque', 'Bhangra', 'Big Beat', 'Breakbeat', 'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic', 'Electro',
+  'Electroclash', 'Emo', 'Experimental', 'Garage', 'Global', 'IDM', 'Illbient', 'Industro-Goth', 'Jam Band', 'Krautrock',
+  'Leftfield', 'Lounge', 'Math Rock', 'New Romantic', 'Nu-Breakz', 'Post-Punk', 'Post-Rock', 'Psytrance', 'Shoegaze', 'Space Rock',
+  'Trop Rock', 'World Music', 'Neoclassical', 'Audiobook', 'Audio Theatre', 'Neue Deutsche Welle', 'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep',
+  'Garage Rock', 'Psybient'
+];
+
+// ID3v2.2 three-letter frame ids and their v2.3/v2.4 equivalents
+const V22_FRAME_IDS = {
+  TT2: 'TIT2',
+  TP1: 'TPE1',
+  TP2: 'TPE2',
+  TAL: 'TALB',
+  TRK: 'TRCK',
+  TPA: 'TPOS',
+  TYE: 'TYER',
+  TCO: 'TCON',
+  COM: 'COMM',
+  PIC: 'APIC',
+  TXX: 'TXXX'
+};
+
+const TEXT_FIELDS = {
+  TIT2: 'title',
+  TPE1: 'artist',
+  TPE2: 'albumArtist',
+  TALB: 'album'
+};
+
+// Picture type 3 is the front cover
+export const FRONT_COVER = 3;
+
+const syncsafe = (bytes, offset) =>
+  (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+const uint32 = (bytes, offset) =>
+  ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+/**
+ * Undo unsynchronisation: every 0xFF 0x00 pair was written for a lone 0xFF
+ */
+export const removeUnsynchronisation = (bytes) => {
+  const out = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    out[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, length);
+};
+
+/**
+ * Decode ID3 text. Encodings: 0 ISO-8859-1, 1 UTF-16 with BOM,
+ * 2 UTF-16BE, 3 UTF-8.
+ */
+export const decodeText = (bytes, encoding) => {
+  let label = 'latin1';
+  let start = 0;
+  if (encoding === 1) {
+    // Without a BOM little-endian is by far the most common
+    label = bytes[0] === 0xfe && bytes[1] === 0xff ? 'utf-16be' : 'utf-16le';
+    if ((bytes[0] === 0xfe && bytes[1] === 0xff) || (bytes[0] === 0xff && bytes[1] === 0xfe)) start = 2;
+  } else if (encoding === 2) {
+    label = 'utf-16be';
+  } else if (encoding === 3) {
+    label = 'utf-8';
+  }
+  // Every value in a multi-value UTF-16 frame carries its own BOM
+  return new TextDecoder(label).decode(bytes.subarray(start)).replace(/\ufeff/g, '').replace(/\0+$/, '');
+};
+
+/**
+ * Split at the first string terminator: one zero byte, or an aligned pair
+ * for the UTF-16 encodings. Returns [string bytes, rest].
+ */
+const splitTerminated = (bytes, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+  const step = wide ? 2 : 1;
+  for (let i = 0; i + step <= bytes.length; i += step) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return [bytes.subarray(0, i), bytes.subarray(i + step)];
+    }
+  }
+  return [bytes, bytes.subarray(bytes.length)];
+};
+
+// "(17)" and "17" refer to the ID3v1 list, "(17)Rock" refines it in text.
+// v2.4 separates multiple genres with nulls.
+const parseGenre = (value) =>
+  value
+    .split('\0')
+    .map((part) => {
+      const reference = part.match(/^\((\d+)\)(.*)$/) || part.match(/^(\d+)()$/);
+      if (!reference) return part;
+      return reference[2] || GENRES[Number(reference[1])] || part;
+    })
+    .filter(Boolean)
+    .join(', ');
+
+// "3/12" -> [3, 12]
+export const parsePosition = (value) => {
+  const [number, total] = value.split('/').map((part) => parseInt(part, 10));
+  return [Number.isFinite(number) ? number : undefined, Number.isFinite(total) ? total : undefined];
+};
+
+/**
+ * Walk the frames of an ID3v2 tag. `bytes` starts at the "ID3" header and
+ * holds the whole tag. Returns [{ id, data }] with v2.2 ids mapped to v2.3.
+ */
+export const readId3v2Frames = (bytes) => {
+  const version = bytes[3];
+  const flags = bytes[5];
+  const tagSize = Math.min(bytes.length, syncsafe(bytes, 6) + 10);
+  const tagUnsynchronised = Boolean(flags & 0x80);
+  const frames = [];
+
+  // v2.2 and v2.3 unsynchronise the whole tag, frame headers included
+  let body = bytes.subarray(10, tagSize);
+  if (tagUnsynchronised && version < 4) body = removeUnsynchronisation(body);
+
+  let offset = 0;
+  if (version >= 3 && flags & 0x40) {
+    // Extended header: v2.4 counts its own size field, v2.3 does not
+    offset = version === 4 ? syncsafe(body, 0) : uint32(body, 0) + 4;
+  }
+
+  const headerSize = version === 2 ? 6 : 10;
+  while (offset + headerSize <= body.length) {
+    const idLength = version === 2 ? 3 : 4;
+    const id = String.fromCharCode(...body.subarray(offset, offset + idLength));
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let size;
+    if (version === 2) {
+      size = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+    } else if (version === 4 && !(body[offset + 4] & 0x80 || body[offset + 5] & 0x80 || body[offset + 6] & 0x80 || body[offset + 7] & 0x80)) {
+      size = syncsafe(body, offset + 4);
+    } else {
+      // v2.3, or a v2.4 tag written with plain sizes (some old encoders did)
+      size = uint32(body, offset + 4);
+    }
+
+    const formatFlags = version === 2 ? 0 : body[offset + 9];
+    let data = body.subarray(offset + headerSize, offset + headerSize + size);
+    offset += headerSize + size;
+
+    if (version === 3) {
+      // Compressed and encrypted frames are rare enough to skip
+      if (formatFlags & 0xc0) continue;
+      if (formatFlags & 0x20) data = data.subarray(1);
+    } else if (version === 4) {
+      if (formatFlags & 0x0c) continue;
+      if (formatFlags & 0x40) data = data.subarray(1);
+      if (formatFlags & 0x01) data = data.subarray(4);
+      if (formatFlags & 0x02 || tagUnsynchronised) data = removeUnsynchronisation(data);
+    }
+
+    frames.push({ id: version === 2 ? V22_FRAME_IDS[id] || id : id, data });
+  }
+
+  return frames;
+};
+
+/**
+ * Tags from ID3v2 frames, in the shape readId3Tags returns
+ */
+const tagsFromFrames = (frames, version) => {
+  const tags = { userText: {} };
+  const comments = [];
+  const pictures = [];
+
+  frames.forEach(({ id, data }) => {
+    if (data.length < 1) return;
+    const encoding = data[0];
+
+    if (id === 'COMM') {
+      // encoding, language, short description, text
+      const [description, text] = splitTerminated(data.subarray(4), encoding);
+      comments.push({ description: decodeText(description, encoding), text: decodeText(text, encoding) });
+    } else if (id === 'USLT') {
+      // encoding, language, content descriptor, lyrics
+      const [, text] = splitTerminated(data.subarray(4), encoding);
+      if (!tags.lyrics) tags.lyrics = decodeText(text, encoding);
+    } else if (id === 'APIC') {
+      let rest = data.subarray(1);
+      let mime;
+      if (version === 2) {
+        // Three-letter image format instead of a MIME type
+        const format = String.fromCharCode(...rest.subarray(0, 3)).toLowerCase();
+        mime = `image/${format === 'jpg' ? 'jpeg' : format}`;
+        rest = rest.subarray(3);
+      } else {
+        const [mimeBytes, after] = splitTerminated(rest, 0);
+        mime = decodeText(mimeBytes, 0).toLowerCase() || 'image/jpeg';
+        rest = after;
+        // A bare "jpg" or "png" instead of a MIME type
+        if (!mime.includes('/')) mime = `image/${mime === 'jpg' ? 'jpeg' : mime}`;
+      }
+      const type = rest[0];
+      const [description, image] = splitTerminated(rest.subarray(1), encoding);
+      pictures.push({ mime, type, description: decodeText(description, encoding), data: image });
+    } else if (id === 'TXXX') {
+      const [description, value] = splitTerminated(data.subarray(1), encoding);
+      const key = decodeText(description, encoding).toUpperCase();
+      if (key) tags.userText[key] = decodeText(value, encoding);
+    } else if (id[0] === 'T') {
+      const value = decodeText(data.subarray(1), encoding);
+      if (!value) return;
+
+      if (TEXT_FIELDS[id]) {
+        tags[TEXT_FIELDS[id]] = value.split('\0').filter(Boolean).join(', ');
+      } else if (id === 'TRCK') {
+        [tags.trackNumber, tags.trackTotal] = parsePosition(value);
+      } else if (id === 'TPOS') {
+        [tags.discNumber, tags.discTotal] = parsePosition(value);
+      } else if (id === 'TYER' || id === 'TDRC' || (id === 'TDOR' && !tags.year)) {
+        const year = parseInt(value, 10);
+        if (Number.isFinite(year)) tags.year = year;
+      } else if (id === 'TCON') {
+        tags.genre = parseGenre(value);
+      }
+    }
+  });
+
+  // iTunes stores normalization data in described comments; prefer a plain one
+  const comment = comments.find((entry) => !entry.description) || comments.find((entry) => !/^iTun/.test(entry.description));
+  if (comment?.text) tags.comment = comment.text;
+
+  const picture = pictures.find((entry) => entry.type === FRONT_COVER) || pictures[0];
+  if (picture?.data.length) tags.picture = picture;
+
+  return Object.fromEntries(Object.entries(tags).filter(([, value]) => value !== undefined));
+};
+
+const readLatin1Field = (bytes, start, length) =>
+  decodeText(bytes.subarray(start, start + length), 0).replace(/\0.*$/, '').trim();
+
+/**
+ * ID3v1 / v1.1 tag from the last 128 bytes of a file, or null
+ */
+export const parseId3v1 = (bytes) => {
+  if (bytes.length < ID3V1_BYTES || bytes[0] !== 0x54 || bytes[1] !== 0x41 || bytes[2] !== 0x47) return null;
+
+  const tags = {
+    title: readLatin1Field(bytes, 3, 30),
+    artist: readLatin1Field(bytes, 33, 30),
+    album: readLatin1Field(bytes, 63, 30),
+    year: parseInt(readLatin1Field(bytes, 93, 4), 10),
+    comment: readLatin1Field(bytes, 97, 30),
+    genre: GENRES[bytes[127]]
+  };
+
+  // v1.1 keeps the track number in the last two comment bytes
+  if (bytes[125] === 0 && bytes[126] !== 0) {
+    tags.comment = readLatin1Field(bytes, 97, 28);
+    tags.trackNumber = bytes[126];
+  }
+
+  return Object.fromEntries(
+    Object.entries(tags).filter(([, value]) => value !== '' && value !== undefined && !Number.isNaN(value))
+  );
+};
+
+const isId3v2 = (bytes) => bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33 && bytes[3] >= 2 && bytes[3] <= 4;
+
+/**
+ * Length of the ID3v2 tag a file's first ten bytes announce, footer
+ * included, or 0 when it does not start with one
+ */
+export const id3v2Size = (header) => {
+  if (!isId3v2(header)) return 0;
+  return syncsafe(header, 6) + 10 + (header[5] & 0x10 ? 10 : 0);
+};
+
+/**
+ * Tags from a file's ID3v2 and ID3v1 tags, or null when it has neither:
+ * { title, artist, album, albumArtist, trackNumber, trackTotal, discNumber,
+ *   discTotal, year, genre, comment, lyrics, picture: { mime, type, description, data },
+ *   userText: { DESCRIPTION: value } }
+ * Only fields present in the file are set.
+ */
+export const readId3Tags = async (file) => {
+  const header = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+  let tags = null;
+
+  if (isId3v2(header)) {
+    const size = Math.min(MAX_TAG_BYTES, syncsafe(header, 6) + 10);
+    const bytes = new Uint8Array(await file.slice(0, size).arrayBuffer());
+    tags = tagsFromFrames(readId3v2Frames(bytes), bytes[3]);
+  }
+
+  if (file.size >= ID3V1_BYTES) {
+    const v1 = parseId3v1(new Uint8Array(await file.slice(file.size - ID3V1_BYTES).arrayBuffer()));
+    if (v1) tags = { ...v1, ...tags, userText: tags?.userText || {} };
+  }
+
+  return tags;
+};
+
+// Free space left after a written tag, so the next edit can grow in place
+const TAG_PADDING = 2048;
+
+const ENCODING_UTF8 = 3;
+
+// Fields the tag editor changes and the frame each one lives in
+const EDITED_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  track: 'TRCK',
+  genre: 'TCON',
+  year: 'TDRC',
+  lyrics: 'USLT',
+  picture: 'APIC'
+};
+
+// v2.3 frames renamed in v2.4; the other v2.3 date frames have no equivalent
+const V24_FRAME_IDS = { TYER: 'TDRC', TORY: 'TDOR' };
+const V23_ONLY_FRAMES = ['TDAT', 'TIME', 'TRDA', 'TSIZ'];
+
+const utf8 = new TextEncoder();
+
+const latin1 = (text) => Uint8Array.from(text, (char) => (char.charCodeAt(0) < 256 ? char.charCodeAt(0) : 0x3f));
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+const toSyncsafe = (value) => [(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f];
+
+/**
+ * A frame read from an older tag, in its v2.4 form, or null when v2.4
+ * has no place for it
+ */
+const upgradeFrame = (frame, version) => {
+  if (version === 4) return frame;
+  // Unmapped v2.2 frames keep their three-letter ids
+  if (frame.id.length !== 4 || V23_ONLY_FRAMES.includes(frame.id)) return null;
+
+  if (version === 2 && frame.id === 'APIC') {
+    // Three-letter image format instead of a MIME type
+    const format = String.fromCharCode(...frame.data.subarray(1, 4)).toLowerCase();
+    const mime = latin1(`image/${format === 'jpg' ? 'jpeg' : format}`);
+    return { id: 'APIC', data: concat([frame.data.subarray(0, 1), mime, [0], frame.data.subarray(4)]) };
+  }
+  return { id: V24_FRAME_IDS[frame.id] || frame.id, data: frame.data };
+};
+
+// New frame for an edited field; `picture` is { mime, data }
+const createFrame = (field, value) => {
+  if (field === 'lyrics') {
+    // Language, then an empty content descriptor
+    return { id: 'USLT', data: concat([[ENCODING_UTF8], latin1('eng'), [0], utf8.encode(value)]) };
+  }
+  if (field === 'picture') {
+    return { id: 'APIC', data: concat([[ENCODING_UTF8], latin1(value.mime), [0, FRONT_COVER, 0], value.data]) };
+  }
+  return { id: EDITED_FRAMES[field], data: concat([[ENCODING_UTF8], utf8.encode(value)]) };
+};
+
+/**
+ * Serialize frames into an ID3v2.4 tag, with padding
+ */
+const buildId3v24Tag = (frames) => {
+  const body = concat(
+    frames.map(({ id, data }) => concat([latin1(id), toSyncsafe(data.length), [0, 0], data]))
+  );
+  const size = body.length + TAG_PADDING;
+  return concat([latin1('ID3'), [4, 0, 0], toSyncsafe(size), body, new Uint8Array(TAG_PADDING)]);
+};
+
+// Bring an existing ID3v1 tag in line with the edit, so it never contradicts v2
+const updateId3v1 = (bytes, changes) => {
+  const tag = bytes.slice();
+  const setField = (field, start, length) => {
+    if (!(field in changes)) return;
+    tag.fill(0, start, start + length);
+    tag.set(latin1(String(changes[field] || '')).subarray(0, length), start);
+  };
+
+  setField('title', 3, 30);
+  setField('artist', 33, 30);
+  setField('album', 63, 30);
+  setField('year', 93, 4);
+  if ('track' in changes && tag[125] === 0) {
+    const [number] = parsePosition(changes.track || '');
+    tag[126] = number && number < 256 ? number : 0;
+  }
+  if ('genre' in changes) {
+    const index = GENRES.indexOf(changes.genre);
+    tag[127] = index === -1 ? 255 : index;
+  }
+  return tag;
+};
+
+/**
+ * A copy of an MP3 or AAC file with a new ID3v2.4 tag. `changes` holds only
+ * the fields to change: title, artist, album, track ("3" or "3/12"), genre,
+ * year, lyrics and picture ({ mime, data }); an empty value removes the
+ * field. Every other frame is carried over, and a new picture replaces all
+ * embedded ones.
+ */
+export const writeId3Tags = async (file, changes) => {
+  const tagSize = Math.min(file.size, id3v2Size(new Uint8Array(await file.slice(0, 10).arrayBuffer())));
+  let frames = [];
+  if (tagSize) {
+    const bytes = new Uint8Array(await file.slice(0, tagSize).arrayBuffer());
+    frames = readId3v2Frames(bytes).map((frame) => upgradeFrame(frame, bytes[3])).filter(Boolean);
+  }
+
+  Object.entries(changes).forEach(([field, value]) => {
+    frames = frames.filter((frame) => frame.id !== EDITED_FRAMES[field]);
+    if (value) frames.push(createFrame(field, value));
+  });
+
+  let audioEnd = file.size;
+  let v1 = null;
+  if (file.size - tagSize >= ID3V1_BYTES) {
+    const bytes = new Uint8Array(await file.slice(file.size - ID3V1_BYTES).arrayBuffer());
+    if (parseId3v1(bytes)) {
+      audioEnd -= ID3V1_BYTES;
+      v1 = updateId3v1(bytes, changes);
+    }
+  }
+
+  return new Blob([buildId3v24Tag(frames), file.slice(tagSize, audioEnd), ...(v1 ? [v1] : [])], { type: file.type });
+};
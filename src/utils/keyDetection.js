@@ -0,0 +1,145 @@
+// Musical key estimation: a chromagram of the whole track is correlated
+// with the Krumhansl-Kessler key profiles for all 24 major and minor keys
+import { fft, hannWindow, downmix } from './fft';
+import { yieldToMain } from './async';
+
+const DECIMATION = 4;
+const FRAME_SIZE = 8192;
+const HOP_SIZE = 4096;
+// Pitch range that carries harmony; below it is mostly kick, above it noise
+const MIN_FREQUENCY = 55;
+const MAX_FREQUENCY = 2000;
+
+// Probe-tone ratings, index 0 = tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Spelling as usually printed on key charts
+const MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_NAMES = ['Cm', 'C#m', 'Dm', 'Ebm', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'Bbm', 'Bm'];
+
+/**
+ * Camelot wheel code: C major is 8B and each step round the circle of
+ * fifths adds one; a minor key shares its relative major's number (A)
+ */
+export const toCamelot = (tonic, mode) => {
+  const major = mode === 'minor' ? (tonic + 3) % 12 : tonic;
+  const number = (major * 7 + 8) % 12 || 12;
+  return `${number}${mode === 'minor' ? 'A' : 'B'}`;
+};
+
+/**
+ * Keys that mix harmonically with a Camelot code: itself, one step either
+ * way on the wheel and the relative major/minor
+ */
+export const compatibleCamelot = (code) => {
+  const match = /^(\d+)([AB])$/.exec(code || '');
+  if (!match) return [];
+
+  const number = Number(match[1]);
+  const letter = match[2];
+  const wrap = (n) => ((n + 11) % 12) + 1;
+  return [
+    code,
+    `${wrap(number - 1)}${letter}`,
+    `${wrap(number + 1)}${letter}`,
+    `${number}${letter === 'A' ? 'B' : 'A'}`
+  ];
+};
+
+// Sort key for Camelot codes: 1A, 1B, 2A ... 12B
+export const camelotOrder = (code) => {
+  const match = /^(\d+)([AB])$/.exec(code || '');
+  return match ? Number(match[1]) * 2 + (match[2] === 'B' ? 1 : 0) : Infinity;
+};
+
+const correlate = (a, b) => {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let numerator = 0;
+  let sumA = 0;
+  let sumB = 0;
+  for (let i = 0; i < a.length; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    sumA += (a[i] - meanA) ** 2;
+    sumB += (b[i] - meanB) ** 2;
+  }
+  return sumA && sumB ? numerator / Math.sqrt(sumA * sumB) : 0;
+};
+
+/**
+ * Energy per pitch class (0 = C) summed over the whole track
+ */
+export const computeChromagram = async (audioBuffer) => {
+  const signal = downmix(audioBuffer, DECIMATION);
+  const sampleRate = audioBuffer.sampleRate / DECIMATION;
+  const window = hannWindow(FRAME_SIZE);
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  const chroma = new Float64Array(12);
+
+  // Pitch class of every bin in range, -1 outside it
+  const pitchClass = new Int8Array(FRAME_SIZE / 2).fill(-1);
+  for (let k = 1; k < FRAME_SIZE / 2; k++) {
+    const frequency = (k * sampleRate) / FRAME_SIZE;
+    if (frequency >= MIN_FREQUENCY && frequency <= MAX_FREQUENCY) {
+      const midi = 69 + 12 * Math.log2(frequency / 440);
+      pitchClass[k] = ((Math.round(midi) % 12) + 12) % 12;
+    }
+  }
+
+  for (let offset = 0, frame = 0; offset + FRAME_SIZE <= signal.length; offset += HOP_SIZE, frame++) {
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = signal[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    // Compress per frame so loud passages do not dominate the key
+    const frameChroma = new Float64Array(12);
+    for (let k = 1; k < FRAME_SIZE / 2; k++) {
+      if (pitchClass[k] !== -1) {
+        frameChroma[pitchClass[k]] += re[k] * re[k] + im[k] * im[k];
+      }
+    }
+    const peak = Math.max(...frameChroma);
+    if (peak > 0) {
+      frameChroma.forEach((value, pc) => {
+        chroma[pc] += Math.sqrt(value / peak);
+      });
+    }
+
+    if (frame % 200 === 199) await yieldToMain();
+  }
+
+  return Array.from(chroma);
+};
+
+/**
+ * Estimate the key of a decoded track.
+ * Returns { tonic (0 = C), mode, name, camelot, confidence } or null when
+ * there is no tonal content.
+ */
+export const detectKey = async (audioBuffer) => {
+  const chroma = await computeChromagram(audioBuffer);
+  if (!chroma.some((value) => value > 0)) return null;
+
+  let best = null;
+  [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      // Rotate the profile so its tonic lands on `tonic`
+      const rotated = profile.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+      const score = correlate(chroma, rotated);
+      if (!best || score > best.score) best = { tonic, mode, score };
+    }
+  });
+
+  return {
+    tonic: best.tonic,
+    mode: best.mode,
+    name: (best.mode === 'minor' ? MINOR_NAMES : MAJOR_NAMES)[best.tonic],
+    camelot: toCamelot(best.tonic, best.mode),
+    confidence: Math.round(best.score * 100) / 100
+  };
+};
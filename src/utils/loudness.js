@@ -0,0 +1,257 @@
+// Loudness measurement (ITU-R BS.1770-4 / EBU R128) and normalization gain
+import { yieldToMain } from './async';
+
+// Samples filtered between yields to the main thread
+const CHUNK_SECONDS = 1;
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Reference level ReplayGain gains are relative to (89 dB SPL ~ -18 LUFS)
+export const REPLAYGAIN_REFERENCE_LUFS = -18;
+
+export const DEFAULT_TARGET_LUFS = -14;
+
+// Ceiling normalization may not push the true peak above
+const TRUE_PEAK_CEILING = -1;
+
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+export const gainToDb = (gain) => 20 * Math.log10(Math.max(gain, 1e-10));
+
+const energyToLufs = (energy) => -0.691 + 10 * Math.log10(Math.max(energy, 1e-20));
+
+// Channel weights for the 5.1 layout; everything else counts fully
+const channelWeight = (index, count) => {
+  if (count !== 6) return 1;
+  return [1, 1, 1, 0, 1.41, 1.41][index];
+};
+
+// BS.1770 K-weighting for any sample rate: high-shelf pre-filter modelling
+// the acoustic effect of the head, then the RLB high-pass, as biquad
+// coefficients { b0, b1, b2, a1, a2 }. At 48 kHz these are the published ones.
+const kWeightingFilters = (rate) => {
+  let K = Math.tan((Math.PI * 1681.974450955533) / rate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / rate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highPass];
+};
+
+// Direct form I biquad that keeps its state between calls
+const createBiquad = ({ b0, b1, b2, a1, a2 }) => {
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  return (x) => {
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    return y;
+  };
+};
+
+/**
+ * Gated integrated loudness of a decoded buffer, in LUFS. Samples are
+ * K-weighted as they are summed, a second at a time, so no weighted copy
+ * of the track is made.
+ */
+const integrateLoudness = async (audioBuffer) => {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const step = Math.round(STEP_SECONDS * sampleRate);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const stepsPerChunk = Math.round(CHUNK_SECONDS / STEP_SECONDS);
+  const stepCount = Math.floor(length / step);
+  const [shelf, highPass] = kWeightingFilters(sampleRate);
+
+  // Weighted sum of squares for every 100 ms step; 400 ms blocks with 75%
+  // overlap are then just sums of four consecutive steps
+  const stepEnergy = new Float64Array(stepCount);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const weight = channelWeight(channel, numberOfChannels);
+    if (weight === 0) continue;
+
+    const data = audioBuffer.getChannelData(channel);
+    const preFilter = createBiquad(shelf);
+    const rlbFilter = createBiquad(highPass);
+    for (let first = 0; first < stepCount; first += stepsPerChunk) {
+      for (let s = first, last = Math.min(stepCount, first + stepsPerChunk); s < last; s++) {
+        let sum = 0;
+        for (let i = s * step, end = i + step; i < end; i++) {
+          const weighted = rlbFilter(preFilter(data[i]));
+          sum += weighted * weighted;
+        }
+        stepEnergy[s] += weight * sum;
+      }
+      await yieldToMain();
+    }
+  }
+
+  const blockSamples = step * stepsPerBlock;
+  const blocks = [];
+  for (let s = 0; s + stepsPerBlock <= stepCount; s++) {
+    let energy = 0;
+    for (let k = 0; k < stepsPerBlock; k++) {
+      energy += stepEnergy[s + k];
+    }
+    blocks.push(energy / blockSamples);
+  }
+
+  const absoluteGated = blocks.filter((energy) => energyToLufs(energy) > ABSOLUTE_GATE);
+  if (absoluteGated.length === 0) return -Infinity;
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const relativeGate = energyToLufs(mean(absoluteGated)) + RELATIVE_GATE;
+  const relativeGated = absoluteGated.filter((energy) => energyToLufs(energy) > relativeGate);
+
+  return energyToLufs(mean(relativeGated));
+};
+
+// Windowed-sinc interpolation filter, split into polyphase components
+const createInterpolationPhases = () => {
+  const taps = OVERSAMPLING * TAPS_PER_PHASE;
+  const centre = (taps - 1) / 2;
+  const phases = Array.from({ length: OVERSAMPLING }, () => new Float32Array(TAPS_PER_PHASE));
+
+  for (let n = 0; n < taps; n++) {
+    const x = (n - centre) / OVERSAMPLING;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * (n + 0.5)) / taps);
+    phases[n % OVERSAMPLING][Math.floor(n / OVERSAMPLING)] = sinc * window;
+  }
+  return phases;
+};
+
+const INTERPOLATION_PHASES = createInterpolationPhases();
+
+/**
+ * True peak in dBTP using 4x oversampling (BS.1770 Annex 2)
+ */
+export const measureTruePeak = async (audioBuffer) => {
+  let peak = 0;
+  const chunk = audioBuffer.sampleRate;
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+
+    for (let start = 0; start < data.length; start += chunk) {
+      const end = Math.min(data.length, start + chunk);
+      for (let i = start; i < end; i++) {
+        for (let p = 0; p < OVERSAMPLING; p++) {
+          const phase = INTERPOLATION_PHASES[p];
+          let sample = 0;
+          for (let k = 0; k < TAPS_PER_PHASE; k++) {
+            const index = i - k;
+            if (index >= 0) sample += phase[k] * data[index];
+          }
+          const magnitude = Math.abs(sample);
+          if (magnitude > peak) peak = magnitude;
+        }
+      }
+      await yieldToMain();
+    }
+  }
+
+  return gainToDb(peak);
+};
+
+/**
+ * Integrated loudness (LUFS) and true peak (dBTP) of a decoded track
+ */
+export const measureLoudness = async (audioBuffer) => {
+  const integrated = await integrateLoudness(audioBuffer);
+  const truePeak = await measureTruePeak(audioBuffer);
+
+  return { integrated, truePeak, source: 'analysis' };
+};
+
+/**
+ * Convert ReplayGain tags into the same shape as a measurement
+ */
+export const loudnessFromReplayGain = ({ trackGain, trackPeak, albumGain, albumPeak }) => ({
+  integrated: REPLAYGAIN_REFERENCE_LUFS - trackGain,
+  truePeak: trackPeak ? gainToDb(trackPeak) : null,
+  albumIntegrated: albumGain !== undefined ? REPLAYGAIN_REFERENCE_LUFS - albumGain : undefined,
+  albumTruePeak: albumPeak ? gainToDb(albumPeak) : undefined,
+  source: 'replaygain'
+});
+
+/**
+ * Album loudness for every album in the playlist. Tracks are combined by
+ * energy weighted with duration, which matches measuring the album as one
+ * programme closely enough for playback gain. Album tags win when present.
+ */
+export const computeAlbumLoudness = (tracks) => {
+  const albums = new Map();
+
+  tracks.forEach((track) => {
+    if (!track.album || !track.loudness || !Number.isFinite(track.loudness.integrated)) return;
+
+    const entry = albums.get(track.album) || { energy: 0, duration: 0, truePeak: -Infinity, tagged: null };
+    const duration = track.duration || 1;
+    entry.energy += duration * Math.pow(10, track.loudness.integrated / 10);
+    entry.duration += duration;
+    entry.truePeak = Math.max(entry.truePeak, track.loudness.truePeak ?? -Infinity);
+    if (track.loudness.albumIntegrated !== undefined) {
+      entry.tagged = { integrated: track.loudness.albumIntegrated, truePeak: track.loudness.albumTruePeak };
+    }
+    albums.set(track.album, entry);
+  });
+
+  const result = new Map();
+  albums.forEach((entry, album) => {
+    result.set(album, entry.tagged || {
+      integrated: 10 * Math.log10(entry.energy / entry.duration),
+      truePeak: entry.truePeak
+    });
+  });
+  return result;
+};
+
+/**
+ * Playback gain in dB for a track.
+ * settings: { mode: 'off' | 'track' | 'album', targetLufs }
+ * loudness: { integrated, truePeak, album: { integrated, truePeak } }
+ */
+export const computeNormalizationGain = (loudness, settings) => {
+  if (!loudness || settings.mode === 'off') return 0;
+
+  const reference = settings.mode === 'album' && loudness.album ? loudness.album : loudness;
+  if (!Number.isFinite(reference.integrated)) return 0;
+
+  let gain = settings.targetLufs - reference.integrated;
+
+  // Do not boost a track into clipping
+  if (Number.isFinite(reference.truePeak)) {
+    gain = Math.min(gain, TRUE_PEAK_CEILING - reference.truePeak);
+  }
+  return gain;
+};
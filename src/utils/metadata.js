@@ -0,0 +1,84 @@
+// Track metadata from a file's tags, as a patch for the track object
+import { readId3Tags, writeId3Tags } from './id3';
+import { readVorbisTags, writeFlacTags } from './vorbisComment';
+import { readMp4Tags } from './mp4';
+import { sniffFile, AUDIO_FORMATS } from './formats';
+
+const VORBIS_COMMENT_FORMATS = ['flac', 'vorbis', 'opus', 'ogg-flac'];
+
+// Formats whose tags can be written back: ID3v2.4, or Vorbis comments for FLAC
+const ID3_FORMATS = ['mp3', 'aac'];
+
+// Track fields filled from tags, besides the name and artwork
+export const TAG_FIELDS = [
+  'artist',
+  'album',
+  'albumArtist',
+  'trackNumber',
+  'trackTotal',
+  'discNumber',
+  'discTotal',
+  'year',
+  'genre',
+  'comment',
+  'lyrics',
+  'chapters'
+];
+
+/**
+ * A file's tags in the shape readId3Tags returns, from whichever tag format
+ * its container uses, or null when it has none. FLAC files sometimes carry
+ * a stray ID3 tag; their Vorbis comments win when both exist. MP4 tags
+ * may also carry `chapters`.
+ */
+export const readTags = async (file) => {
+  const format = await sniffFile(file);
+  if (VORBIS_COMMENT_FORMATS.includes(format)) {
+    return (await readVorbisTags(file, format)) || readId3Tags(file);
+  }
+  if (format === 'mp4') return readMp4Tags(file);
+  return readId3Tags(file);
+};
+
+/**
+ * Read a file's tags. The title becomes the track name and cover art an
+ * object URL in `artwork`; fields the file does not have are left out, so
+ * the filename-based defaults stay. Pass `pendingTags` to reuse a readTags
+ * call made for something else. Never throws.
+ */
+export const readMetadata = async (file, pendingTags = readTags(file)) => {
+  try {
+    const tags = await pendingTags;
+    if (!tags) return {};
+
+    const patch = {};
+    if (tags.title) patch.name = tags.title;
+    TAG_FIELDS.forEach((field) => {
+      if (tags[field] !== undefined && tags[field] !== '') patch[field] = tags[field];
+    });
+    if (tags.picture) {
+      patch.artwork = URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.mime }));
+    }
+    return patch;
+  } catch (error) {
+    console.warn(`Failed to read tags from "${file.name}":`, error);
+    return {};
+  }
+};
+
+export const canWriteTags = (format) => format === 'flac' || ID3_FORMATS.includes(format);
+
+/**
+ * A copy of a file with edited tags, as a File with the same name. See
+ * writeId3Tags for the shape of `changes`. Throws for formats that cannot
+ * be written.
+ */
+export const writeTags = async (file, changes) => {
+  const format = await sniffFile(file);
+  if (!canWriteTags(format)) {
+    throw new Error(`Tags can't be written to ${AUDIO_FORMATS[format]?.label || 'these'} files yet`);
+  }
+
+  const blob = format === 'flac' ? await writeFlacTags(file, changes) : await writeId3Tags(file, changes);
+  return new File([blob], file.name, { type: file.type, lastModified: Date.now() });
+};
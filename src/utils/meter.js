@@ -0,0 +1,61 @@
+// Level metering backed by the loudness-meter AudioWorklet
+import loudnessMeterUrl from '../worklets/loudnessMeter.js?url';
+
+/**
+ * Silent reading, also used until the worklet has loaded
+ */
+export const EMPTY_READING = {
+  momentary: -Infinity,
+  shortTerm: -Infinity,
+  integrated: -Infinity,
+  truePeak: [-Infinity, -Infinity],
+  rms: [-Infinity, -Infinity],
+  correlation: 0
+};
+
+/**
+ * input -> [loudness-meter worklet]
+ * A tap with no output; onReading is called ten times a second with
+ * { momentary, shortTerm, integrated, truePeak: [l, r], rms: [l, r], correlation }
+ */
+export class LevelMeter {
+  constructor(audioContext, onReading) {
+    this.audioContext = audioContext;
+    this.onReading = onReading;
+    this.input = audioContext.createGain();
+    this.node = null;
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      await this.audioContext.audioWorklet.addModule(loudnessMeterUrl);
+      this.node = new AudioWorkletNode(this.audioContext, 'loudness-meter', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers'
+      });
+      this.node.port.onmessage = (event) => this.onReading(event.data);
+      this.input.connect(this.node);
+      return true;
+    } catch (error) {
+      console.error('Failed to load level meter:', error);
+      return false;
+    }
+  }
+
+  // Start integrating loudness afresh (e.g. for a new track)
+  reset() {
+    if (this.node) this.node.port.postMessage({ type: 'reset' });
+  }
+
+  disconnect() {
+    this.input.disconnect();
+    if (this.node) {
+      this.node.port.onmessage = null;
+      this.node.disconnect();
+    }
+  }
+}
@@ -0,0 +1,273 @@
+// MP4 / M4A / M4B tag reader: iTunes-style `ilst` metadata, plus chapters
+// from either a QuickTime chapter text track or a Nero `chpl` atom.
+import { GENRES, FRONT_COVER } from './id3';
+
+// The moov atom holds the sample tables too, which grow with the length of
+// the file; a day-long audiobook still fits comfortably under this
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+const ITEM_FIELDS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  aART: 'albumArtist',
+  '©alb': 'album',
+  '©gen': 'genre',
+  '©cmt': 'comment',
+  '©lyr': 'lyrics'
+};
+
+// `data` atom type indicators
+const DATA_UTF8 = 1;
+const DATA_UTF16 = 2;
+const COVER_TYPES = {
+  13: 'image/jpeg',
+  14: 'image/png',
+  27: 'image/bmp'
+};
+
+// Nero chapter start times are in 100 ns units
+const NERO_TIMESCALE = 10000000;
+
+const utf8 = new TextDecoder('utf-8');
+
+const uint16 = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+const uint32 = (bytes, offset) =>
+  ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+const uint64 = (bytes, offset) => uint32(bytes, offset) * 2 ** 32 + uint32(bytes, offset + 4);
+
+const typeAt = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+const readBytes = async (file, start, length) =>
+  new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+
+/**
+ * Child atoms of bytes[start..end]: [{ type, start, end }], where start
+ * and end bound the payload
+ */
+const readAtoms = (bytes, start = 0, end = bytes.length) => {
+  const atoms = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = uint32(bytes, offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = uint64(bytes, offset + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    atoms.push({ type: typeAt(bytes, offset + 4), start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return atoms;
+};
+
+// `meta` is a full box in MP4 but a plain container in QuickTime files
+const childrenOf = (bytes, atom) => {
+  const start = atom.type === 'meta' && typeAt(bytes, atom.start + 4) !== 'hdlr' ? atom.start + 4 : atom.start;
+  return readAtoms(bytes, start, atom.end);
+};
+
+const findAtom = (bytes, parent, path) =>
+  path.reduce((atom, type) => atom && childrenOf(bytes, atom).find((child) => child.type === type), parent);
+
+/**
+ * The moov atom, read from wherever it is in the file (often at the end)
+ */
+const readMoov = async (file) => {
+  let offset = 0;
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, 16);
+    let size = uint32(header, 0);
+    if (size === 1) size = uint64(header, 8);
+    else if (size === 0) size = file.size - offset;
+    if (size < 8) return null;
+
+    if (typeAt(header, 4) === 'moov') {
+      if (size > MAX_MOOV_BYTES) return null;
+      const bytes = await readBytes(file, offset, size);
+      return { bytes, atom: readAtoms(bytes)[0] };
+    }
+    offset += size;
+  }
+  return null;
+};
+
+// Number and total from a trkn or disk item: reserved, number, total
+const readPosition = (data) =>
+  data.length >= 6 ? [uint16(data, 2) || undefined, uint16(data, 4) || undefined] : [undefined, undefined];
+
+/**
+ * Tags from an ilst atom, in the shape readId3Tags returns. Freeform
+ * "----" items (ReplayGain and the like) go into userText.
+ */
+const tagsFromItems = (bytes, ilst) => {
+  const tags = { userText: {} };
+
+  childrenOf(bytes, ilst).forEach((item) => {
+    const children = childrenOf(bytes, item);
+    const dataAtom = children.find((child) => child.type === 'data');
+    if (!dataAtom) return;
+
+    const type = uint32(bytes, dataAtom.start) & 0xffffff;
+    // Type indicator and locale come before the value
+    const data = bytes.subarray(dataAtom.start + 8, dataAtom.end);
+    const text = () => (type === DATA_UTF16 ? new TextDecoder('utf-16be') : utf8).decode(data);
+
+    if (ITEM_FIELDS[item.type]) {
+      tags[ITEM_FIELDS[item.type]] = text();
+    } else if (item.type === '©day') {
+      const year = parseInt(text(), 10);
+      if (Number.isFinite(year)) tags.year = year;
+    } else if (item.type === 'gnre' && !tags.genre) {
+      // ID3v1 genre index, off by one
+      tags.genre = GENRES[uint16(data, 0) - 1];
+    } else if (item.type === 'trkn') {
+      [tags.trackNumber, tags.trackTotal] = readPosition(data);
+    } else if (item.type === 'disk') {
+      [tags.discNumber, tags.discTotal] = readPosition(data);
+    } else if (item.type === 'covr' && !tags.picture && data.length) {
+      tags.picture = { mime: COVER_TYPES[type] || 'image/jpeg', type: FRONT_COVER, description: '', data };
+    } else if (item.type === '----') {
+      const name = children.find((child) => child.type === 'name');
+      // name is a full box: version and flags first
+      if (name && (type === DATA_UTF8 || type === DATA_UTF16)) {
+        tags.userText[utf8.decode(bytes.subarray(name.start + 4, name.end)).toUpperCase()] = text();
+      }
+    }
+  });
+
+  return Object.fromEntries(Object.entries(tags).filter(([, value]) => value !== undefined && value !== ''));
+};
+
+const readNeroChapters = (bytes, chpl) => {
+  const version = bytes[chpl.start];
+  let offset = chpl.start + 4 + (version ? 4 : 0);
+  const count = bytes[offset++];
+  const chapters = [];
+
+  for (let i = 0; i < count && offset + 9 <= chpl.end; i++) {
+    const start = uint64(bytes, offset) / NERO_TIMESCALE;
+    const length = bytes[offset + 8];
+    const title = utf8.decode(bytes.subarray(offset + 9, offset + 9 + length));
+    offset += 9 + length;
+    chapters.push({ title, start });
+  }
+  return chapters;
+};
+
+const trackId = (bytes, trak) => {
+  const tkhd = findAtom(bytes, trak, ['tkhd']);
+  if (!tkhd) return null;
+  // Creation and modification times are 64-bit in version 1
+  return uint32(bytes, tkhd.start + (bytes[tkhd.start] === 1 ? 20 : 12));
+};
+
+/**
+ * File offset, size and start time of every sample in a track
+ */
+const readSampleTable = (bytes, trak) => {
+  const mdhd = findAtom(bytes, trak, ['mdia', 'mdhd']);
+  const stbl = findAtom(bytes, trak, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) return [];
+
+  const timescale = uint32(bytes, mdhd.start + (bytes[mdhd.start] === 1 ? 20 : 12));
+  const table = (type) => childrenOf(bytes, stbl).find((child) => child.type === type);
+  const stts = table('stts');
+  const stsz = table('stsz');
+  const stsc = table('stsc');
+  const stco = table('stco') || table('co64');
+  if (!timescale || !stts || !stsz || !stsc || !stco) return [];
+
+  // Sizes: one shared size, or one per sample
+  const sampleCount = uint32(bytes, stsz.start + 8);
+  const sharedSize = uint32(bytes, stsz.start + 4);
+  const sizes = Array.from({ length: sampleCount }, (_, i) => sharedSize || uint32(bytes, stsz.start + 12 + i * 4));
+
+  // Start times from the run-length coded durations
+  const starts = [];
+  let time = 0;
+  for (let i = 0, entries = uint32(bytes, stts.start + 4); i < entries; i++) {
+    const count = uint32(bytes, stts.start + 8 + i * 8);
+    const delta = uint32(bytes, stts.start + 12 + i * 8);
+    for (let j = 0; j < count; j++) {
+      starts.push(time / timescale);
+      time += delta;
+    }
+  }
+
+  // Offsets: samples are packed into chunks, runs of chunks share a sample count
+  const wide = stco.type === 'co64';
+  const chunkCount = uint32(bytes, stco.start + 4);
+  const chunkOffset = (i) => (wide ? uint64(bytes, stco.start + 8 + i * 8) : uint32(bytes, stco.start + 8 + i * 4));
+  const runs = Array.from({ length: uint32(bytes, stsc.start + 4) }, (_, i) => ({
+    firstChunk: uint32(bytes, stsc.start + 8 + i * 12) - 1,
+    samplesPerChunk: uint32(bytes, stsc.start + 12 + i * 12)
+  }));
+
+  const samples = [];
+  let run = 0;
+  for (let chunk = 0; chunk < chunkCount && samples.length < sampleCount; chunk++) {
+    while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk) run++;
+    let offset = chunkOffset(chunk);
+    for (let i = 0; i < (runs[run]?.samplesPerChunk || 0) && samples.length < sampleCount; i++) {
+      const index = samples.length;
+      samples.push({ offset, size: sizes[index], start: starts[index] ?? 0 });
+      offset += sizes[index];
+    }
+  }
+  return samples;
+};
+
+/**
+ * Chapters from the text track the audio track names in tref/chap. Each
+ * sample is a 16-bit length followed by the title.
+ */
+const readQuickTimeChapters = async (file, bytes, moov) => {
+  const traks = childrenOf(bytes, moov).filter((atom) => atom.type === 'trak');
+  const chap = traks.map((trak) => findAtom(bytes, trak, ['tref', 'chap'])).find(Boolean);
+  if (!chap) return [];
+
+  const ids = [];
+  for (let offset = chap.start; offset + 4 <= chap.end; offset += 4) ids.push(uint32(bytes, offset));
+  const textTrak = traks.find((trak) => ids.includes(trackId(bytes, trak)));
+  if (!textTrak) return [];
+
+  return Promise.all(
+    readSampleTable(bytes, textTrak).map(async ({ offset, size, start }) => {
+      const sample = await readBytes(file, offset, size);
+      const text = sample.subarray(2, 2 + uint16(sample, 0));
+      const title = text[0] === 0xfe && text[1] === 0xff
+        ? new TextDecoder('utf-16be').decode(text.subarray(2))
+        : utf8.decode(text);
+      return { title, start };
+    })
+  );
+};
+
+/**
+ * Tags from an MP4 file, in the shape readId3Tags returns plus `chapters`
+ * ([{ title, start }], start in seconds), or null when it has neither
+ */
+export const readMp4Tags = async (file) => {
+  const moov = await readMoov(file);
+  if (!moov) return null;
+  const { bytes, atom } = moov;
+
+  const ilst = findAtom(bytes, atom, ['udta', 'meta', 'ilst']);
+  const tags = ilst ? tagsFromItems(bytes, ilst) : { userText: {} };
+
+  // QuickTime chapters are what Apple writes; Nero's are the older fallback
+  let chapters = await readQuickTimeChapters(file, bytes, atom);
+  if (!chapters.length) {
+    const chpl = findAtom(bytes, atom, ['udta', 'chpl']);
+    if (chpl) chapters = readNeroChapters(bytes, chpl);
+  }
+  if (chapters.length) tags.chapters = chapters.sort((a, b) => a.start - b.start);
+
+  return Object.keys(tags).length > 1 || Object.keys(tags.userText).length ? tags : null;
+};
@@ -0,0 +1,88 @@
+// Pitch shift stage backed by the pitch-shifter AudioWorklet
+import pitchShifterUrl from '../worklets/pitchShifter.js?url';
+
+export const MAX_SEMITONES = 12;
+export const MAX_CENTS = 50;
+
+export const semitonesToRatio = (semitones, cents = 0) =>
+  Math.pow(2, (semitones + cents / 100) / 12);
+
+/**
+ * input -> [pitch-shifter worklet] -> output
+ * The worklet is only in the path while a shift is set, so an unshifted
+ * signal never picks up its latency or grain artefacts.
+ */
+export class PitchShifter {
+  constructor(audioContext, { semitones = 0, cents = 0 } = {}) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.node = null;
+    this.semitones = semitones;
+    this.cents = cents;
+
+    this.connect();
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      await this.audioContext.audioWorklet.addModule(pitchShifterUrl);
+      this.node = new AudioWorkletNode(this.audioContext, 'pitch-shifter', {
+        outputChannelCount: [2]
+      });
+      this.applyRatio();
+      this.connect();
+      return true;
+    } catch (error) {
+      console.error('Failed to load pitch shifter:', error);
+      return false;
+    }
+  }
+
+  getRatio() {
+    return semitonesToRatio(this.semitones, this.cents);
+  }
+
+  // Returns true when the worklet has to be patched in or out, which the
+  // owner does with connect() so it can fade the output around it
+  setShift({ semitones = this.semitones, cents = this.cents }) {
+    const wasActive = this.isActive();
+    this.semitones = Math.max(-MAX_SEMITONES, Math.min(MAX_SEMITONES, Math.round(semitones)));
+    this.cents = Math.max(-MAX_CENTS, Math.min(MAX_CENTS, Math.round(cents)));
+    this.applyRatio();
+    return wasActive !== this.isActive();
+  }
+
+  applyRatio() {
+    if (this.node) {
+      this.node.parameters.get('ratio').setValueAtTime(this.getRatio(), this.audioContext.currentTime);
+    }
+  }
+
+  isActive() {
+    return this.semitones !== 0 || this.cents !== 0;
+  }
+
+  connect() {
+    this.input.disconnect();
+    if (this.node) this.node.disconnect();
+
+    if (this.node && this.isActive()) {
+      this.input.connect(this.node);
+      this.node.connect(this.output);
+    } else {
+      this.input.connect(this.output);
+    }
+  }
+
+  getSettings() {
+    return { semitones: this.semitones, cents: this.cents };
+  }
+
+  disconnect() {
+    this.input.disconnect();
+    if (this.node) this.node.disconnect();
+    this.output.disconnect();
+  }
+}
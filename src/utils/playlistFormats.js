@@ -0,0 +1,307 @@
+// Playlist files: M3U/M3U8, PLS, XSPF and the player's own JSON format.
+// Uploaded files have no real path, so entries are written with the file's
+// name and matched back to uploaded tracks by file name or tags on import.
+
+export const PLAYLIST_FORMAT_VERSION = 1;
+
+export const PLAYLIST_FORMATS = {
+  m3u: { label: 'M3U8', extension: 'm3u8', mime: 'audio/x-mpegurl' },
+  pls: { label: 'PLS', extension: 'pls', mime: 'audio/x-scpls' },
+  xspf: { label: 'XSPF', extension: 'xspf', mime: 'application/xspf+xml' },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json' }
+};
+
+export const PLAYLIST_FILE_TYPES = '.m3u,.m3u8,.pls,.xspf,.json';
+
+const XSPF_NAMESPACE = 'http://xspf.org/ns/0/';
+
+/**
+ * Entry for a track: { location, title, artist, album, duration }, with
+ * duration in seconds when known
+ */
+const entryFromTrack = (track) => ({
+  location: track.file.name,
+  title: track.name,
+  artist: track.artist,
+  album: track.album,
+  duration: track.duration || undefined
+});
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// "Artist - Title", as M3U and PLS players show it
+const displayTitle = ({ artist, title }) => (artist ? `${artist} - ${title}` : title);
+
+// XSPF locations are URIs; each path segment is escaped on its own so "#",
+// "?" and "&" in a file name stay part of it
+const encodeLocation = (location) => location.split('/').map(encodeURIComponent).join('/');
+
+const decodeLocation = (location) =>
+  location
+    .split('/')
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch {
+        // Not percent-encoded after all
+        return segment;
+      }
+    })
+    .join('/');
+
+const SERIALIZERS = {
+  m3u: (entries) =>
+    [
+      '#EXTM3U',
+      ...entries.flatMap((entry) => [
+        `#EXTINF:${entry.duration ? Math.round(entry.duration) : -1},${displayTitle(entry)}`,
+        entry.location
+      ])
+    ].join('\n') + '\n',
+
+  pls: (entries) =>
+    [
+      '[playlist]',
+      ...entries.flatMap((entry, i) => [
+        `File${i + 1}=${entry.location}`,
+        `Title${i + 1}=${displayTitle(entry)}`,
+        `Length${i + 1}=${entry.duration ? Math.round(entry.duration) : -1}`
+      ]),
+      `NumberOfEntries=${entries.length}`,
+      'Version=2'
+    ].join('\n') + '\n',
+
+  xspf: (entries, name) => {
+    const field = (tag, value) => (value === undefined || value === '' ? '' : `      <${tag}>${escapeXml(value)}</${tag}>\n`);
+    const tracks = entries
+      .map((entry) =>
+        '    <track>\n' +
+        field('location', encodeLocation(entry.location)) +
+        field('title', entry.title) +
+        field('creator', entry.artist) +
+        field('album', entry.album) +
+        field('duration', entry.duration && Math.round(entry.duration * 1000)) +
+        '    </track>\n'
+      )
+      .join('');
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<playlist version="1" xmlns="${XSPF_NAMESPACE}">\n` +
+      `  <title>${escapeXml(name)}</title>\n` +
+      `  <trackList>\n${tracks}  </trackList>\n` +
+      '</playlist>\n'
+    );
+  },
+
+  json: (entries, name) =>
+    JSON.stringify({ version: PLAYLIST_FORMAT_VERSION, name, tracks: entries }, null, 2)
+};
+
+/**
+ * Serialize tracks into a playlist file's text
+ */
+export const exportPlaylist = (tracks, format, name = 'Playlist') =>
+  SERIALIZERS[format](tracks.map(entryFromTrack), name);
+
+// "Artist - Title" back into its parts; a title without the separator stays whole
+const splitDisplayTitle = (text) => {
+  const separator = text.indexOf(' - ');
+  return separator === -1
+    ? { title: text.trim() }
+    : { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+};
+
+const parseDuration = (value) => {
+  const duration = parseFloat(value);
+  return duration > 0 ? duration : undefined;
+};
+
+const parseM3u = (text) => {
+  const entries = [];
+  let info = null;
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+    if (extinf) {
+      info = { duration: parseDuration(extinf[1]), ...splitDisplayTitle(extinf[2]) };
+    } else if (!line.startsWith('#')) {
+      entries.push({ location: line, ...info });
+      info = null;
+    }
+  });
+  return entries;
+};
+
+const parsePls = (text) => {
+  const fields = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*(File|Title|Length)(\d+)\s*=(.*)$/i);
+    if (!match) return;
+    const index = Number(match[2]);
+    fields[index] = fields[index] || {};
+    fields[index][match[1].toLowerCase()] = match[3].trim();
+  });
+
+  return Object.keys(fields)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .filter((index) => fields[index].file)
+    .map((index) => {
+      const { file, title, length } = fields[index];
+      return { location: file, duration: parseDuration(length), ...(title ? splitDisplayTitle(title) : {}) };
+    });
+};
+
+const parseXspf = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('Not a valid XSPF file');
+
+  const child = (track, tag) => track.getElementsByTagNameNS(XSPF_NAMESPACE, tag)[0]?.textContent.trim() || undefined;
+  return [...doc.getElementsByTagNameNS(XSPF_NAMESPACE, 'track')].map((track) => {
+    const location = child(track, 'location');
+    const duration = parseDuration(child(track, 'duration'));
+    return {
+      location: location && decodeLocation(location),
+      title: child(track, 'title'),
+      artist: child(track, 'creator'),
+      album: child(track, 'album'),
+      duration: duration && duration / 1000
+    };
+  });
+};
+
+const TEXT_FIELDS = ['location', 'title', 'artist', 'album'];
+
+// Only the fields an entry has, as the types the rest of the module expects:
+// text fields as strings, and a positive duration in seconds
+const entryFromJson = (data) => {
+  const entry = {};
+  TEXT_FIELDS.forEach((field) => {
+    const value = data[field];
+    if (typeof value === 'string') entry[field] = value;
+    else if (typeof value === 'number' && Number.isFinite(value)) entry[field] = String(value);
+  });
+  if (typeof data.duration === 'number' && Number.isFinite(data.duration) && data.duration > 0) {
+    entry.duration = data.duration;
+  }
+  return entry;
+};
+
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a valid JSON file');
+  }
+  if (!data || !Array.isArray(data.tracks)) throw new Error('Not a playlist');
+  if (data.version > PLAYLIST_FORMAT_VERSION) {
+    throw new Error(`Playlist format ${data.version} is newer than this player supports`);
+  }
+  return data.tracks.filter((entry) => entry && typeof entry === 'object').map(entryFromJson);
+};
+
+const detectFormat = (text, fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'm3u' || extension === 'm3u8') return 'm3u';
+  if (PLAYLIST_FORMATS[extension]) return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith('[playlist]')) return 'pls';
+  if (start.startsWith('<')) return 'xspf';
+  if (start.startsWith('{')) return 'json';
+  return 'm3u';
+};
+
+const PARSERS = { m3u: parseM3u, pls: parsePls, xspf: parseXspf, json: parseJson };
+
+/**
+ * Entries of a playlist file, [{ location, title, artist, album, duration }]
+ * with only what the file records. Throws when nothing can be read from it.
+ */
+export const parsePlaylist = (text, fileName = '') => {
+  const entries = PARSERS[detectFormat(text, fileName)](text.replace(/^\uFEFF/, ''))
+    .filter((entry) => entry.location || entry.title);
+  if (!entries.length) throw new Error('No tracks found in this playlist');
+  return entries;
+};
+
+const normalize = (text) => (text || '').trim().toLowerCase();
+
+// Comparable path: no scheme, forward slashes, no leading ./ or drive letter
+const normalizePath = (location) => {
+  let path = location || '';
+  if (/^file:/i.test(path)) {
+    try {
+      path = decodeURIComponent(path.replace(/^file:\/*/i, ''));
+    } catch {
+      path = path.replace(/^file:\/*/i, '');
+    }
+  }
+  return normalize(path.replace(/\\/g, '/').replace(/^[a-z]:\//i, '').replace(/^(\.\/)+/, ''));
+};
+
+const baseName = (path) => path.split('/').pop();
+
+// Folder a location sits in, which is usually the album
+const folderName = (path) => path.split('/').slice(-2, -1)[0] || '';
+
+// Seconds an entry's duration may differ from the track's and still agree
+const DURATION_TOLERANCE = 2;
+
+// How many of an entry's details a track agrees with; decides between
+// files with the same name, such as "01 Intro.mp3" from two albums
+const tagAgreement = (entry, track) => {
+  const album = normalize(track.album);
+  let score = 0;
+  if (entry.title && normalize(entry.title) === normalize(track.name)) score++;
+  if (entry.artist && normalize(entry.artist) === normalize(track.artist)) score++;
+  if (album && (normalize(entry.album) === album || folderName(normalizePath(entry.location)) === album)) score++;
+  if (entry.duration && track.duration && Math.abs(entry.duration - track.duration) <= DURATION_TOLERANCE) score++;
+  return score;
+};
+
+/**
+ * Match entries against uploaded tracks: by file name, then title and
+ * artist. Each track is used once; when several fit, the entries whose
+ * details agree best with a track get it first.
+ * Returns [{ entry, track }] in playlist order, track null when not found.
+ */
+export const matchPlaylistEntries = (entries, tracks) => {
+  const available = new Set(tracks);
+  const strategies = [
+    (entry, track) => Boolean(entry.location) && baseName(normalizePath(entry.location)) === normalize(track.file.name),
+    (entry, track) =>
+      Boolean(entry.title) &&
+      ((normalize(entry.title) === normalize(track.name) &&
+        (!entry.artist || !track.artist || normalize(entry.artist) === normalize(track.artist))) ||
+        // A title that itself contains " - " was split into artist and title
+        normalize(displayTitle(entry)) === normalize(track.name))
+  ];
+
+  const results = entries.map((entry) => ({ entry, track: null }));
+  // Stronger matches claim their tracks first
+  strategies.forEach((matches) => {
+    const candidates = [];
+    results.forEach((result, index) => {
+      if (result.track) return;
+      available.forEach((track) => {
+        if (matches(result.entry, track)) {
+          candidates.push({ result, track, index, score: tagAgreement(result.entry, track) });
+        }
+      });
+    });
+
+    candidates
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .forEach(({ result, track }) => {
+        if (result.track || !available.has(track)) return;
+        result.track = track;
+        available.delete(track);
+      });
+  });
+  return results;
+};
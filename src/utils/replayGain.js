@@ -0,0 +1,37 @@
+// Read ReplayGain values already stored in a file's tags
+import { readTags } from './metadata';
+
+const parseGain = (value) => {
+  const gain = parseFloat(value);
+  return Number.isFinite(gain) ? gain : undefined;
+};
+
+/**
+ * ReplayGain values from tags already read with readTags (or the promise
+ * of them), or null when there are none.
+ * Returns { trackGain, trackPeak, albumGain, albumPeak } (gains in dB).
+ */
+export const replayGainFromTags = async (tags) => {
+  try {
+    // TXXX frames and Vorbis comments both end up in userText
+    const fields = (await tags)?.userText || {};
+
+    const trackGain = parseGain(fields.REPLAYGAIN_TRACK_GAIN);
+    if (trackGain === undefined) return null;
+
+    return {
+      trackGain,
+      trackPeak: parseGain(fields.REPLAYGAIN_TRACK_PEAK),
+      albumGain: parseGain(fields.REPLAYGAIN_ALBUM_GAIN),
+      albumPeak: parseGain(fields.REPLAYGAIN_ALBUM_PEAK)
+    };
+  } catch (error) {
+    console.warn('Failed to read ReplayGain tags:', error);
+    return null;
+  }
+};
+
+/**
+ * ReplayGain values from a file's tags; see replayGainFromTags
+ */
+export const readReplayGain = (file) => replayGainFromTags(readTags(file));
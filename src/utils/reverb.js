@@ -0,0 +1,180 @@
+// Convolution reverb stage with procedurally generated impulse responses
+
+/**
+ * Built-in rooms. decay is the RT60 in seconds, damping how quickly high
+ * frequencies die away (0 bright - 1 dark), reflections the number of
+ * discrete early echoes before the diffuse tail.
+ */
+export const REVERB_PRESETS = {
+  'small-room': { label: 'Small room', decay: 0.6, preDelay: 0.004, damping: 0.6, reflections: 8 },
+  hall: { label: 'Hall', decay: 2.6, preDelay: 0.025, damping: 0.45, reflections: 12 },
+  plate: { label: 'Plate', decay: 1.8, preDelay: 0, damping: 0.15, reflections: 0 }
+};
+
+export const DEFAULT_REVERB = { enabled: false, preset: 'hall', mix: 0.25 };
+
+// Custom impulse responses longer than this are refused; convolution cost
+// grows with length and real rooms rarely ring this long
+export const MAX_IMPULSE_SECONDS = 20;
+
+const PARAM_SMOOTHING = 0.02;
+
+// Small seeded PRNG so a preset always sounds the same
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Stereo impulse response: decaying noise whose high end is damped over
+ * time, preceded by a handful of early reflections
+ */
+export const generateImpulseResponse = (audioContext, { decay, preDelay, damping, reflections }) => {
+  const { sampleRate } = audioContext;
+  const length = Math.ceil((preDelay + decay) * sampleRate);
+  const buffer = audioContext.createBuffer(2, length, sampleRate);
+  const offset = Math.floor(preDelay * sampleRate);
+
+  for (let channel = 0; channel < 2; channel++) {
+    const data = buffer.getChannelData(channel);
+    const random = createRandom(channel + 1);
+    let lowpassed = 0;
+
+    for (let i = offset; i < length; i++) {
+      const t = (i - offset) / sampleRate;
+      // -60 dB at t = decay
+      const envelope = Math.exp((-6.9 * t) / decay);
+      // The one-pole low-pass closes as the tail gets older
+      const coefficient = 1 - damping * Math.min(1, t / decay) * 0.95;
+      lowpassed += coefficient * (random() * 2 - 1 - lowpassed);
+      data[i] = lowpassed * envelope;
+    }
+
+    // Early reflections spread over the first 80 ms, quieter as they go
+    for (let r = 0; r < reflections; r++) {
+      const time = preDelay + (0.005 + random() * 0.075) * ((r + 1) / reflections);
+      const index = Math.floor(time * sampleRate);
+      if (index < length) {
+        data[index] += (random() < 0.5 ? -1 : 1) * (1 - r / reflections) * 0.8;
+      }
+    }
+  }
+
+  return buffer;
+};
+
+/**
+ * Decode a user-supplied impulse response file
+ */
+export const decodeImpulseResponse = async (audioContext, file) => {
+  const buffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+  if (buffer.duration > MAX_IMPULSE_SECONDS) {
+    throw new Error(`Impulse responses can be at most ${MAX_IMPULSE_SECONDS} seconds long`);
+  }
+  return buffer;
+};
+
+/**
+ * input -> dry -> output
+ *       -> [convolver -> wet] -> output
+ * The convolver is only connected while the reverb is enabled.
+ */
+export class Reverb {
+  constructor(audioContext, settings = {}) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.dry = audioContext.createGain();
+    this.wet = audioContext.createGain();
+    this.convolver = audioContext.createConvolver();
+    this.impulses = new Map();
+    this.customName = null;
+
+    const next = { ...DEFAULT_REVERB, ...settings };
+    // Custom impulses live in memory only; start from a preset after reload
+    this.preset = REVERB_PRESETS[next.preset] ? next.preset : DEFAULT_REVERB.preset;
+    this.enabled = Boolean(next.enabled);
+    this.mix = Math.max(0, Math.min(1, Number(next.mix) || 0));
+
+    this.dry.connect(this.output);
+    this.wet.connect(this.output);
+    this.convolver.buffer = this.getPresetImpulse(this.preset);
+    this.applyMix(true);
+    this.connect();
+  }
+
+  // Generated once per preset and cached
+  getPresetImpulse(name) {
+    if (!this.impulses.has(name)) {
+      this.impulses.set(name, generateImpulseResponse(this.audioContext, REVERB_PRESETS[name]));
+    }
+    return this.impulses.get(name);
+  }
+
+  // Equal-power dry/wet balance
+  applyMix(immediate = false) {
+    const dry = this.enabled ? Math.cos((this.mix * Math.PI) / 2) : 1;
+    const wet = this.enabled ? Math.sin((this.mix * Math.PI) / 2) : 0;
+    const now = this.audioContext.currentTime;
+
+    if (immediate) {
+      this.dry.gain.value = dry;
+      this.wet.gain.value = wet;
+    } else {
+      this.dry.gain.setTargetAtTime(dry, now, PARAM_SMOOTHING);
+      this.wet.gain.setTargetAtTime(wet, now, PARAM_SMOOTHING);
+    }
+  }
+
+  connect() {
+    [this.input, this.convolver].forEach((node) => node.disconnect());
+
+    this.input.connect(this.dry);
+    if (this.enabled) {
+      this.input.connect(this.convolver);
+      this.convolver.connect(this.wet);
+    }
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.applyMix();
+    this.connect();
+  }
+
+  setMix(mix) {
+    this.mix = Math.max(0, Math.min(1, Number(mix) || 0));
+    this.applyMix();
+  }
+
+  setPreset(name) {
+    if (!REVERB_PRESETS[name]) return;
+    this.preset = name;
+    this.convolver.buffer = this.getPresetImpulse(name);
+  }
+
+  setCustomImpulse(buffer, name) {
+    this.preset = 'custom';
+    this.customName = name;
+    this.convolver.buffer = buffer;
+  }
+
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      preset: this.preset,
+      mix: this.mix,
+      customName: this.customName
+    };
+  }
+
+  disconnect() {
+    [this.input, this.dry, this.wet, this.convolver, this.output].forEach((node) => node.disconnect());
+  }
+}
@@ -0,0 +1,100 @@
+// Silence detection: quiet lead-in and tail of a track, and long gaps
+// inside it, for trimming and "smart speed" playback
+import { yieldToMain } from './async';
+
+// Level envelope resolution, frames per second
+export const LEVEL_RATE = 50;
+
+/**
+ * thresholdDb: frames quieter than this count as silence
+ * minGap: shortest internal gap (seconds) that gets shortened
+ * keepGap: how much of each shortened gap is still played
+ */
+export const DEFAULT_SILENCE = {
+  trimBoundaries: false,
+  compressGaps: false,
+  thresholdDb: -50,
+  minGap: 2,
+  keepGap: 0.5
+};
+
+export const SILENCE_RANGES = {
+  thresholdDb: { min: -70, max: -30, step: 1 },
+  minGap: { min: 0.5, max: 10, step: 0.5 },
+  keepGap: { min: 0, max: 2, step: 0.1 }
+};
+
+/**
+ * RMS level of every frame in dBFS, loudest channel wins. Kept on the
+ * track so detection can be re-run with new settings without decoding.
+ */
+export const computeLevelEnvelope = async (audioBuffer) => {
+  const frame = Math.round(audioBuffer.sampleRate / LEVEL_RATE);
+  const frameCount = Math.ceil(audioBuffer.length / frame);
+  const energy = new Float32Array(frameCount);
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let f = 0; f < frameCount; f++) {
+      let sum = 0;
+      const end = Math.min(data.length, (f + 1) * frame);
+      for (let i = f * frame; i < end; i++) {
+        sum += data[i] * data[i];
+      }
+      energy[f] = Math.max(energy[f], sum / frame);
+    }
+    await yieldToMain();
+  }
+
+  return energy.map((value) => 10 * Math.log10(Math.max(value, 1e-12)));
+};
+
+/**
+ * Find silence in a level envelope.
+ * Returns { leading, trailing, gaps: [{ start, end }], duration } in seconds,
+ * where leading is where the sound starts and trailing where it stops.
+ */
+export const detectSilence = (levels, { thresholdDb, minGap }) => {
+  const duration = levels.length / LEVEL_RATE;
+  const first = levels.findIndex((level) => level > thresholdDb);
+  if (first === -1) return { leading: 0, trailing: duration, gaps: [], duration };
+
+  let last = levels.length - 1;
+  while (levels[last] <= thresholdDb) last--;
+
+  // Keep one frame either side so attacks and decays are not clipped
+  const leading = Math.max(0, first - 1) / LEVEL_RATE;
+  const trailing = Math.min(levels.length, last + 2) / LEVEL_RATE;
+
+  const gaps = [];
+  let gapStart = null;
+  for (let f = first; f <= last + 1; f++) {
+    const quiet = f <= last && levels[f] <= thresholdDb;
+    if (quiet && gapStart === null) {
+      gapStart = f;
+    } else if (!quiet && gapStart !== null) {
+      if ((f - gapStart) / LEVEL_RATE >= minGap) {
+        gaps.push({ start: gapStart / LEVEL_RATE, end: f / LEVEL_RATE });
+      }
+      gapStart = null;
+    }
+  }
+
+  return { leading, trailing, gaps, duration };
+};
+
+/**
+ * Seconds of playback the current settings skip for a track
+ */
+export const computeTimeSaved = (silence, settings) => {
+  if (!silence) return 0;
+
+  let saved = 0;
+  if (settings.trimBoundaries) {
+    saved += silence.leading + Math.max(0, silence.duration - silence.trailing);
+  }
+  if (settings.compressGaps) {
+    saved += silence.gaps.reduce((sum, gap) => sum + Math.max(0, gap.end - gap.start - settings.keepGap), 0);
+  }
+  return saved;
+};
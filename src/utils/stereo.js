@@ -0,0 +1,103 @@
+// Stereo image stage: balance, mono downmix, channel swap and M/S width
+
+export const DEFAULT_STEREO = {
+  balance: 0,
+  mono: false,
+  swap: false,
+  width: 1
+};
+
+export const MAX_WIDTH = 2;
+
+const PARAM_SMOOTHING = 0.02;
+
+const sanitize = (settings) => ({
+  balance: Math.max(-1, Math.min(1, Number(settings.balance) || 0)),
+  mono: Boolean(settings.mono),
+  swap: Boolean(settings.swap),
+  width: Math.max(0, Math.min(MAX_WIDTH, Number.isFinite(Number(settings.width)) ? Number(settings.width) : 1))
+});
+
+/**
+ * Output = M x [L, R]. Width scales the side signal (M/S), mono is width 0,
+ * swap exchanges the outputs and balance attenuates the opposite side.
+ */
+export const computeStereoMatrix = ({ balance, mono, swap, width }) => {
+  const w = mono ? 0 : width;
+  const direct = (1 + w) / 2;
+  const cross = (1 - w) / 2;
+
+  let left = [direct, cross];
+  let right = [cross, direct];
+  if (swap) [left, right] = [right, left];
+
+  const leftGain = balance > 0 ? 1 - balance : 1;
+  const rightGain = balance < 0 ? 1 + balance : 1;
+
+  return {
+    left: left.map((gain) => gain * leftGain),
+    right: right.map((gain) => gain * rightGain)
+  };
+};
+
+/**
+ * input -> splitter -> 2x2 gain matrix -> merger -> output
+ * Mono sources are up-mixed to two channels before the split.
+ */
+export class StereoImage {
+  constructor(audioContext, settings = {}) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.input.channelCount = 2;
+    this.input.channelCountMode = 'explicit';
+    this.input.channelInterpretation = 'speakers';
+    this.output = audioContext.createGain();
+    this.splitter = audioContext.createChannelSplitter(2);
+    this.merger = audioContext.createChannelMerger(2);
+
+    // matrix[out][in]: gain from input channel `in` to output channel `out`
+    this.matrix = [0, 1].map((out) =>
+      [0, 1].map((inChannel) => {
+        const gain = audioContext.createGain();
+        this.splitter.connect(gain, inChannel);
+        gain.connect(this.merger, 0, out);
+        return gain;
+      })
+    );
+
+    this.input.connect(this.splitter);
+    this.merger.connect(this.output);
+
+    this.settings = sanitize({ ...DEFAULT_STEREO, ...settings });
+    this.applyMatrix(true);
+  }
+
+  applyMatrix(immediate = false) {
+    const { left, right } = computeStereoMatrix(this.settings);
+    const now = this.audioContext.currentTime;
+
+    [left, right].forEach((row, out) => {
+      row.forEach((value, inChannel) => {
+        const { gain } = this.matrix[out][inChannel];
+        if (immediate) {
+          gain.value = value;
+        } else {
+          gain.setTargetAtTime(value, now, PARAM_SMOOTHING);
+        }
+      });
+    });
+  }
+
+  setSettings(settings) {
+    this.settings = sanitize({ ...this.settings, ...settings });
+    this.applyMatrix();
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  disconnect() {
+    [this.input, this.splitter, this.merger, this.output, ...this.matrix.flat()].forEach((node) => node.disconnect());
+  }
+}
@@ -0,0 +1,26 @@
+// Small localStorage wrapper for persisted player settings
+
+const STORAGE_PREFIX = 'sunsetplayer:';
+
+/**
+ * Read a JSON setting, falling back when it is missing or unreadable
+ */
+export const loadSetting = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Write a JSON setting; storage being full or disabled is not fatal
+ */
+export const saveSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to save setting "${key}":`, error);
+  }
+};
@@ -0,0 +1,137 @@
+// Background analysis of uploaded tracks.
+//
+// Tracks are analysed one at a time to keep memory bounded: each file is
+// decoded once, loudness is measured on every channel, and the rest of the
+// analyzers share a mono copy. Long files are decoded at a lower rate so the
+// decoded audio stays within MAX_DECODED_FRAMES, and key and BPM are only
+// detected up to KEY_BPM_MAX_DURATION. Results are reported as a patch for
+// the track object, with `analysisNotes` saying what was left out and why.
+import { measureLoudness, loudnessFromReplayGain } from './loudness';
+import { readReplayGain } from './replayGain';
+import { computeLevelEnvelope } from './silence';
+import { detectBeats } from './beatDetection';
+import { detectKey } from './keyDetection';
+
+export const ANALYSIS_SAMPLE_RATE = 48000;
+
+// Frames per channel a decoded file may take, about 512 MB for stereo
+const MAX_DECODED_FRAMES = 2 ** 26;
+
+// Below this the K-weighted spectrum is cut off too far for a useful loudness
+const MIN_ANALYSIS_RATE = 8000;
+
+// Key and BPM need the full rate, and mixes, podcasts and audiobooks seldom
+// have a single one
+const KEY_BPM_MAX_DURATION = 20 * 60;
+
+// Lowest bitrate assumed when a file's duration has to be guessed from its size
+const LOWEST_BITRATE = 32000;
+
+let queue = Promise.resolve();
+
+/**
+ * Decode a file into an AudioBuffer at the given sample rate
+ */
+export const decodeFile = async (file, sampleRate = ANALYSIS_SAMPLE_RATE) => {
+  const data = await file.arrayBuffer();
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  return context.decodeAudioData(data);
+};
+
+// Duration from the file's metadata without decoding it, null when the
+// browser can't tell
+const probeDuration = (url) => new Promise((resolve) => {
+  const audio = new Audio();
+  const finish = (duration) => {
+    audio.onloadedmetadata = audio.onerror = null;
+    audio.removeAttribute('src');
+    audio.load();
+    resolve(Number.isFinite(duration) && duration > 0 ? duration : null);
+  };
+  audio.preload = 'metadata';
+  audio.onloadedmetadata = () => finish(audio.duration);
+  audio.onerror = () => finish(null);
+  audio.src = url;
+});
+
+// Highest sample rate, in whole kHz, that keeps `duration` within MAX_DECODED_FRAMES
+const analysisRate = (duration) =>
+  Math.min(ANALYSIS_SAMPLE_RATE, Math.floor(MAX_DECODED_FRAMES / duration / 1000) * 1000);
+
+// Mono copy of a buffer, averaging its channels
+const toMono = (audioBuffer) => {
+  const { numberOfChannels, length, sampleRate } = audioBuffer;
+  if (numberOfChannels === 1) return audioBuffer;
+
+  const mono = new AudioBuffer({ numberOfChannels: 1, length, sampleRate });
+  const output = mono.getChannelData(0);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      output[i] += data[i] / numberOfChannels;
+    }
+  }
+  return mono;
+};
+
+const runAnalysis = async (track, onResult, pendingReplayGain) => {
+  const replayGain = await pendingReplayGain;
+  const duration = (await probeDuration(track.url)) ?? (track.file.size * 8) / LOWEST_BITRATE;
+  const sampleRate = analysisRate(duration);
+
+  if (sampleRate < MIN_ANALYSIS_RATE) {
+    const limit = Math.floor(MAX_DECODED_FRAMES / MIN_ANALYSIS_RATE / 60);
+    const patch = { analysisNotes: [`Not analysed: only tracks up to ${limit} minutes are decoded`] };
+    if (replayGain) patch.loudness = loudnessFromReplayGain(replayGain);
+    onResult(track.id, patch);
+    return;
+  }
+
+  const notes = [];
+  let audioBuffer = await decodeFile(track.file, sampleRate);
+  const patch = { duration: audioBuffer.duration };
+  if (sampleRate < ANALYSIS_SAMPLE_RATE) {
+    notes.push(`Analysed at ${sampleRate / 1000} kHz to limit memory use`);
+  }
+
+  patch.loudness = replayGain
+    ? loudnessFromReplayGain(replayGain)
+    : await measureLoudness(audioBuffer);
+
+  // Nothing else needs separate channels; let the decoded ones go
+  audioBuffer = toMono(audioBuffer);
+
+  // Silence regions are derived from this with the user's settings
+  patch.levels = await computeLevelEnvelope(audioBuffer);
+
+  if (audioBuffer.duration > KEY_BPM_MAX_DURATION) {
+    notes.push(`Key and BPM are only detected in tracks up to ${KEY_BPM_MAX_DURATION / 60} minutes`);
+  } else {
+    const beatGrid = await detectBeats(audioBuffer);
+    if (beatGrid) {
+      patch.bpm = beatGrid.bpm;
+      patch.beats = beatGrid.beats;
+    }
+
+    const key = await detectKey(audioBuffer);
+    if (key) patch.key = key;
+  }
+
+  if (notes.length) patch.analysisNotes = notes;
+  onResult(track.id, patch);
+};
+
+/**
+ * Queue a track for analysis; onResult(trackId, patch) is called when done.
+ * `pendingReplayGain` is the track's ReplayGain (see replayGainFromTags)
+ * when its tags were already read; otherwise they are read here.
+ */
+export const analyzeTrack = (track, onResult, pendingReplayGain = readReplayGain(track.file)) => {
+  queue = queue
+    .then(() => runAnalysis(track, onResult, pendingReplayGain))
+    .catch((error) => {
+      console.error(`Failed to analyse "${track.name}":`, error);
+      onResult(track.id, { analysisError: error.message || String(error) });
+    });
+  return queue;
+};
@@ -0,0 +1,137 @@
+// Karaoke stage: cancels (or isolates) centre-panned vocals above a
+// crossover, leaving the bass and kick below it untouched
+
+export const VOCAL_MODES = ['off', 'karaoke', 'vocals'];
+
+export const DEFAULT_VOCAL_REDUCTION = { mode: 'off', strength: 1, crossover: 200 };
+
+export const CROSSOVER_RANGE = { min: 60, max: 500 };
+
+const PARAM_SMOOTHING = 0.02;
+
+// Per mode: how the high band's L/R are mixed, [out][in]
+const MATRICES = {
+  // Side only: what is identical in both channels cancels
+  karaoke: [[0.5, -0.5], [-0.5, 0.5]],
+  // Mid only, on both channels
+  vocals: [[0.5, 0.5], [0.5, 0.5]]
+};
+
+const sanitize = (settings) => ({
+  mode: VOCAL_MODES.includes(settings.mode) ? settings.mode : 'off',
+  strength: Math.max(0, Math.min(1, Number.isFinite(Number(settings.strength)) ? Number(settings.strength) : 1)),
+  crossover: Math.max(CROSSOVER_RANGE.min, Math.min(CROSSOVER_RANGE.max, Number(settings.crossover) || 200))
+});
+
+// Two cascaded Butterworth sections make a 4th-order Linkwitz-Riley
+// filter, whose low and high outputs sum back to a flat response
+const createLinkwitzRiley = (audioContext, type) => {
+  const first = audioContext.createBiquadFilter();
+  const second = audioContext.createBiquadFilter();
+  [first, second].forEach((filter) => {
+    filter.type = type;
+    filter.Q.value = Math.SQRT1_2;
+  });
+  first.connect(second);
+  return { input: first, output: second, filters: [first, second] };
+};
+
+/**
+ * input -> low-pass -> low gain ------------------------------> output
+ *       -> high-pass -> dry gain -----------------------------> output
+ *                    -> splitter -> matrix -> merger -> wet ---> output
+ * Strength crossfades the high band between dry and processed. In vocals
+ * mode the low band fades out with it, since bass sits in the centre too.
+ */
+export class VocalReduction {
+  constructor(audioContext, settings = {}) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.input.channelCount = 2;
+    this.input.channelCountMode = 'explicit';
+    this.input.channelInterpretation = 'speakers';
+    this.output = audioContext.createGain();
+
+    this.lowBand = createLinkwitzRiley(audioContext, 'lowpass');
+    this.highBand = createLinkwitzRiley(audioContext, 'highpass');
+    this.lowGain = audioContext.createGain();
+    this.dryGain = audioContext.createGain();
+    this.wetGain = audioContext.createGain();
+    this.splitter = audioContext.createChannelSplitter(2);
+    this.merger = audioContext.createChannelMerger(2);
+
+    this.matrix = [0, 1].map((out) =>
+      [0, 1].map((inChannel) => {
+        const gain = audioContext.createGain();
+        this.splitter.connect(gain, inChannel);
+        gain.connect(this.merger, 0, out);
+        return gain;
+      })
+    );
+
+    this.lowBand.output.connect(this.lowGain);
+    this.highBand.output.connect(this.dryGain);
+    this.highBand.output.connect(this.splitter);
+    this.merger.connect(this.wetGain);
+    [this.lowGain, this.dryGain, this.wetGain].forEach((node) => node.connect(this.output));
+
+    this.settings = sanitize({ ...DEFAULT_VOCAL_REDUCTION, ...settings });
+    this.connect();
+  }
+
+  apply(immediate = false) {
+    const { mode, strength, crossover } = this.settings;
+    const now = this.audioContext.currentTime;
+    const set = (param, value) => {
+      if (immediate) {
+        param.value = value;
+      } else {
+        param.setTargetAtTime(value, now, PARAM_SMOOTHING);
+      }
+    };
+
+    [...this.lowBand.filters, ...this.highBand.filters].forEach((filter) => set(filter.frequency, crossover));
+
+    if (mode === 'off') return;
+
+    const matrix = MATRICES[mode];
+    this.matrix.forEach((row, out) => row.forEach((gain, inChannel) => set(gain.gain, matrix[out][inChannel])));
+    set(this.dryGain.gain, 1 - strength);
+    set(this.wetGain.gain, strength);
+    set(this.lowGain.gain, mode === 'vocals' ? 1 - strength : 1);
+  }
+
+  // Routing for the current mode, with its matrix set at once. Off routes
+  // straight through so the crossover adds no phase shift.
+  connect() {
+    this.apply(true);
+    this.input.disconnect();
+    if (this.settings.mode === 'off') {
+      this.input.connect(this.output);
+    } else {
+      this.input.connect(this.lowBand.input);
+      this.input.connect(this.highBand.input);
+    }
+  }
+
+  // A mode change only takes effect on connect(), so the owner can fade the
+  // output around the switch; returns true when one is needed
+  setSettings(settings) {
+    const previousMode = this.settings.mode;
+    this.settings = sanitize({ ...this.settings, ...settings });
+    if (previousMode !== this.settings.mode) return true;
+    this.apply();
+    return false;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  disconnect() {
+    [
+      this.input, this.output, this.lowGain, this.dryGain, this.wetGain, this.splitter, this.merger,
+      ...this.lowBand.filters, ...this.highBand.filters, ...this.matrix.flat()
+    ].forEach((node) => node.disconnect());
+  }
+}
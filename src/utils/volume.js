@@ -0,0 +1,34 @@
+// Volume slider curve. Loudness is perceived on a log scale, so the slider
+// moves through decibels rather than raw gain: halfway is -25 dB, not -6.
+
+// Slider range below 100%, in dB; 0 is always silence
+const VOLUME_RANGE_DB = 50;
+
+// Highest slider position with boost enabled (150%) and its gain
+export const MAX_BOOSTED_VOLUME = 1.5;
+export const MAX_BOOST_DB = 6;
+
+export const DEFAULT_VOLUME = { level: 0.8, muted: false, boost: false };
+
+/**
+ * Gain in dB for a slider position (0..1, up to MAX_BOOSTED_VOLUME)
+ */
+export const volumeToDb = (level) => {
+  if (level <= 0) return -Infinity;
+  if (level <= 1) return -VOLUME_RANGE_DB * (1 - level);
+  return (MAX_BOOST_DB * (level - 1)) / (MAX_BOOSTED_VOLUME - 1);
+};
+
+export const volumeToGain = (level) => {
+  const db = volumeToDb(level);
+  return Number.isFinite(db) ? Math.pow(10, db / 20) : 0;
+};
+
+/**
+ * Keep a level on the slider; above 100% only while boost is on
+ */
+export const clampVolume = (level, boost) => {
+  const value = Number(level);
+  if (!Number.isFinite(value)) return DEFAULT_VOLUME.level;
+  return Math.max(0, Math.min(boost ? MAX_BOOSTED_VOLUME : 1, value));
+};
@@ -0,0 +1,397 @@
+// Vorbis comment reader for FLAC (native and in Ogg), Ogg Vorbis and Opus.
+// Comments are free-form KEY=value pairs; cover art is a FLAC PICTURE
+// block, stored directly in FLAC and base64-encoded in Ogg comments.
+import { id3v2Size, parsePosition, FRONT_COVER } from './id3';
+
+// Cover art can be large, but nothing legitimate is bigger than this
+const MAX_TAG_BYTES = 32 * 1024 * 1024;
+
+// FLAC metadata block types
+const BLOCK_VORBIS_COMMENT = 4;
+const BLOCK_PICTURE = 6;
+
+const TEXT_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  ALBUMARTIST: 'albumArtist',
+  'ALBUM ARTIST': 'albumArtist',
+  ALBUM_ARTIST: 'albumArtist',
+  GENRE: 'genre'
+};
+
+// Cover art; decoded into `picture` rather than kept as text
+const PICTURE_FIELDS = ['METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME'];
+
+const utf8 = new TextDecoder('utf-8');
+
+const uint32le = (bytes, offset) =>
+  (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+
+const uint32be = (bytes, offset) =>
+  ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+const readBytes = async (file, start, length) =>
+  new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+
+const matches = (bytes, offset, text) =>
+  [...text].every((char, i) => bytes[offset + i] === char.charCodeAt(0));
+
+/**
+ * Parse a comment block (without any codec prefix). Returns
+ * { vendor, comments: { KEY: [values] } } with keys upper-cased.
+ */
+export const parseVorbisComment = (bytes) => {
+  const comments = {};
+  let offset = 0;
+
+  const readString = () => {
+    const length = uint32le(bytes, offset);
+    const value = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+    return value;
+  };
+
+  const vendor = readString();
+  const count = uint32le(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const entry = readString();
+    const separator = entry.indexOf('=');
+    if (separator <= 0) continue;
+    const key = entry.slice(0, separator).toUpperCase();
+    (comments[key] = comments[key] || []).push(entry.slice(separator + 1));
+  }
+
+  return { vendor, comments };
+};
+
+/**
+ * Parse a FLAC PICTURE block body: { mime, type, description, data }
+ */
+export const parseFlacPicture = (bytes) => {
+  let offset = 0;
+  const readField = () => {
+    const length = uint32be(bytes, offset);
+    const value = bytes.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+    return value;
+  };
+
+  const type = uint32be(bytes, 0);
+  offset = 4;
+  const mime = utf8.decode(readField()).toLowerCase() || 'image/jpeg';
+  const description = utf8.decode(readField());
+  // Width, height, colour depth and palette size
+  offset += 16;
+  const data = readField();
+
+  return { mime, type, description, data };
+};
+
+const decodeBase64 = (value) => {
+  const binary = atob(value.replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * Tags from Vorbis comments and pictures, in the shape readId3Tags returns
+ */
+export const tagsFromVorbisComments = (comments, pictures = []) => {
+  const tags = { userText: {} };
+  const first = (...keys) => keys.map((key) => comments[key]?.[0]).find((value) => value);
+
+  Object.entries(comments).forEach(([key, values]) => {
+    if (PICTURE_FIELDS.includes(key)) return;
+    tags.userText[key] = values[0];
+    // Multiple artists or genres are separate entries
+    if (TEXT_FIELDS[key] && !tags[TEXT_FIELDS[key]]) tags[TEXT_FIELDS[key]] = values.filter(Boolean).join(', ');
+  });
+
+  [tags.trackNumber, tags.trackTotal] = parsePosition(first('TRACKNUMBER') || '');
+  [tags.discNumber, tags.discTotal] = parsePosition(first('DISCNUMBER') || '');
+  tags.trackTotal = tags.trackTotal ?? parseInt(first('TRACKTOTAL', 'TOTALTRACKS'), 10);
+  tags.discTotal = tags.discTotal ?? parseInt(first('DISCTOTAL', 'TOTALDISCS'), 10);
+  tags.year = parseInt(first('DATE', 'YEAR', 'ORIGINALDATE'), 10);
+  tags.comment = first('COMMENT', 'DESCRIPTION');
+  tags.lyrics = first('LYRICS', 'UNSYNCEDLYRICS');
+
+  const allPictures = [...pictures];
+  (comments.METADATA_BLOCK_PICTURE || []).forEach((value) => {
+    try {
+      allPictures.push(parseFlacPicture(decodeBase64(value)));
+    } catch {
+      // A damaged picture is no reason to lose the rest of the tags
+    }
+  });
+  // Older taggers wrote the raw image with its MIME type alongside
+  if (!allPictures.length && comments.COVERART) {
+    try {
+      const mime = first('COVERARTMIME') || 'image/jpeg';
+      allPictures.push({ mime, type: FRONT_COVER, description: '', data: decodeBase64(comments.COVERART[0]) });
+    } catch {
+      // As above
+    }
+  }
+
+  const picture = allPictures.find((entry) => entry.type === FRONT_COVER) || allPictures[0];
+  if (picture?.data.length) tags.picture = picture;
+
+  return Object.fromEntries(
+    Object.entries(tags).filter(([, value]) => value !== undefined && value !== '' && !Number.isNaN(value))
+  );
+};
+
+/**
+ * Comment and picture blocks of a native FLAC file, which may be preceded
+ * by an ID3v2 tag. Other blocks are skipped without being read.
+ */
+const readFlacBlocks = async (file) => {
+  let offset = id3v2Size(await readBytes(file, 0, 10));
+  if (!matches(await readBytes(file, offset, 4), 0, 'fLaC')) return null;
+  offset += 4;
+
+  let comments = {};
+  const pictures = [];
+  let read = 0;
+  for (;;) {
+    const header = await readBytes(file, offset, 4);
+    if (header.length < 4) break;
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    offset += 4;
+
+    if ((type === BLOCK_VORBIS_COMMENT || type === BLOCK_PICTURE) && read + length <= MAX_TAG_BYTES) {
+      const body = await readBytes(file, offset, length);
+      read += length;
+      if (type === BLOCK_VORBIS_COMMENT) comments = parseVorbisComment(body).comments;
+      else pictures.push(parseFlacPicture(body));
+    }
+
+    offset += length;
+    if (header[0] & 0x80) break; // last metadata block
+  }
+
+  return { comments, pictures };
+};
+
+/**
+ * The first `count` packets of an Ogg file's first logical stream,
+ * reassembled from however many pages they span
+ */
+const readOggPackets = async (file, count) => {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+  let serial = null;
+  let read = 0;
+
+  while (packets.length < count && read <= MAX_TAG_BYTES) {
+    const header = await readBytes(file, offset, 27);
+    if (header.length < 27 || !matches(header, 0, 'OggS')) break;
+    const segments = await readBytes(file, offset + 27, header[26]);
+    const pageSerial = uint32le(header, 14);
+    const bodySize = segments.reduce((sum, lace) => sum + lace, 0);
+    const bodyStart = offset + 27 + header[26];
+    offset = bodyStart + bodySize;
+
+    // Pages of other streams (a video track, say) are interleaved
+    serial = serial ?? pageSerial;
+    if (pageSerial !== serial) continue;
+
+    const body = await readBytes(file, bodyStart, bodySize);
+    read += bodySize;
+    let position = 0;
+    segments.forEach((lace) => {
+      current.push(body.subarray(position, position + lace));
+      position += lace;
+      // A lace shorter than 255 ends the packet
+      if (lace < 255 && packets.length < count) {
+        const packet = new Uint8Array(current.reduce((sum, part) => sum + part.length, 0));
+        let at = 0;
+        current.forEach((part) => {
+          packet.set(part, at);
+          at += part.length;
+        });
+        packets.push(packet);
+        current = [];
+      }
+    });
+  }
+
+  return packets;
+};
+
+const readOggBlocks = async (file) => {
+  const [identification] = await readOggPackets(file, 1);
+  if (!identification) return null;
+
+  if (matches(identification, 0, 'OpusHead')) {
+    const [, tags] = await readOggPackets(file, 2);
+    return tags && matches(tags, 0, 'OpusTags')
+      ? { comments: parseVorbisComment(tags.subarray(8)).comments, pictures: [] }
+      : null;
+  }
+
+  if (matches(identification, 1, 'vorbis')) {
+    const [, tags] = await readOggPackets(file, 2);
+    return tags && tags[0] === 3 && matches(tags, 1, 'vorbis')
+      ? { comments: parseVorbisComment(tags.subarray(7)).comments, pictures: [] }
+      : null;
+  }
+
+  if (matches(identification, 1, 'FLAC')) {
+    // Each following header packet is one FLAC metadata block
+    const headerPackets = (identification[7] << 8) | identification[8];
+    const packets = await readOggPackets(file, 1 + (headerPackets || 8));
+    let comments = {};
+    const pictures = [];
+    packets.slice(1).forEach((packet) => {
+      const type = packet[0] & 0x7f;
+      if (type === BLOCK_VORBIS_COMMENT) comments = parseVorbisComment(packet.subarray(4)).comments;
+      else if (type === BLOCK_PICTURE) pictures.push(parseFlacPicture(packet.subarray(4)));
+    });
+    return { comments, pictures };
+  }
+
+  return null;
+};
+
+/**
+ * Tags from a FLAC or Ogg (Vorbis, Opus, FLAC) file's comments, in the
+ * shape readId3Tags returns, or null when the file has none
+ */
+export const readVorbisTags = async (file, format) => {
+  const blocks = format === 'flac' ? await readFlacBlocks(file) : await readOggBlocks(file);
+  if (!blocks || (!Object.keys(blocks.comments).length && !blocks.pictures.length)) return null;
+  return tagsFromVorbisComments(blocks.comments, blocks.pictures);
+};
+
+// FLAC metadata block types kept in place when tags are rewritten
+const BLOCK_STREAMINFO = 0;
+const BLOCK_PADDING = 1;
+
+// Free space left after the rewritten blocks, so the next edit can grow in place
+const PADDING_BYTES = 4096;
+
+// Largest block body a 24-bit length can describe
+const MAX_BLOCK_BYTES = 0xffffff;
+
+// Comment keys each edited field replaces; the first one is written
+const EDITED_KEYS = {
+  title: ['TITLE'],
+  artist: ['ARTIST'],
+  album: ['ALBUM'],
+  genre: ['GENRE'],
+  year: ['DATE', 'YEAR'],
+  lyrics: ['LYRICS', 'UNSYNCEDLYRICS'],
+  track: ['TRACKNUMBER', 'TRACKTOTAL', 'TOTALTRACKS'],
+  picture: ['METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME']
+};
+
+const encoder = new TextEncoder();
+
+const toUint32le = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+const toUint32be = (value) => toUint32le(value).reverse();
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+/**
+ * Serialize a comment block (without any codec prefix) from a vendor
+ * string and [[KEY, value]] entries
+ */
+export const buildVorbisComment = (vendor, entries) => {
+  const field = (text) => {
+    const bytes = encoder.encode(text);
+    return concat([toUint32le(bytes.length), bytes]);
+  };
+  return concat([field(vendor), toUint32le(entries.length), ...entries.map(([key, value]) => field(`${key}=${value}`))]);
+};
+
+// PICTURE block body for a front cover; the dimensions are optional and left at 0
+const buildFlacPicture = ({ mime, data }) => {
+  const mimeBytes = encoder.encode(mime);
+  return concat([
+    toUint32be(FRONT_COVER),
+    toUint32be(mimeBytes.length),
+    mimeBytes,
+    toUint32be(0),
+    new Uint8Array(16),
+    toUint32be(data.length),
+    data
+  ]);
+};
+
+const buildBlock = (type, body, last) => {
+  if (body.length > MAX_BLOCK_BYTES) throw new Error('Tags are too large for a FLAC file');
+  return concat([[(last ? 0x80 : 0) | type, (body.length >> 16) & 0xff, (body.length >> 8) & 0xff, body.length & 0xff], body]);
+};
+
+/**
+ * A copy of a FLAC file with its Vorbis comments rewritten. `changes` is
+ * what writeId3Tags takes; comments that are not edited, and every other
+ * metadata block, are carried over. A new picture replaces all embedded
+ * ones. A stray ID3 tag in front of the stream is dropped.
+ */
+export const writeFlacTags = async (file, changes) => {
+  let offset = id3v2Size(await readBytes(file, 0, 10));
+  if (!matches(await readBytes(file, offset, 4), 0, 'fLaC')) throw new Error('Not a FLAC file');
+  offset += 4;
+
+  const blocks = [];
+  let vendor = 'SunsetPlayer';
+  let entries = [];
+  for (;;) {
+    const header = await readBytes(file, offset, 4);
+    if (header.length < 4) throw new Error('The FLAC metadata is truncated');
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+
+    if (type === BLOCK_VORBIS_COMMENT) {
+      const comment = parseVorbisComment(await readBytes(file, offset + 4, length));
+      vendor = comment.vendor;
+      entries = Object.entries(comment.comments).flatMap(([key, values]) => values.map((value) => [key, value]));
+    } else if (type !== BLOCK_PADDING && !(type === BLOCK_PICTURE && 'picture' in changes)) {
+      blocks.push({ type, body: await readBytes(file, offset + 4, length) });
+    }
+
+    offset += 4 + length;
+    if (header[0] & 0x80) break;
+  }
+
+  Object.entries(changes).forEach(([field, value]) => {
+    entries = entries.filter(([key]) => !EDITED_KEYS[field].includes(key));
+    if (!value) return;
+
+    if (field === 'picture') {
+      blocks.push({ type: BLOCK_PICTURE, body: buildFlacPicture(value) });
+    } else if (field === 'track') {
+      const [number, total] = parsePosition(value);
+      if (number !== undefined) entries.push(['TRACKNUMBER', String(number)]);
+      if (total !== undefined) entries.push(['TRACKTOTAL', String(total)]);
+    } else {
+      entries.push([EDITED_KEYS[field][0], value]);
+    }
+  });
+
+  // STREAMINFO has to stay first
+  blocks.sort((a, b) => (b.type === BLOCK_STREAMINFO) - (a.type === BLOCK_STREAMINFO));
+  blocks.splice(1, 0, { type: BLOCK_VORBIS_COMMENT, body: buildVorbisComment(vendor, entries) });
+  blocks.push({ type: BLOCK_PADDING, body: new Uint8Array(PADDING_BYTES) });
+
+  return new Blob(
+    [encoder.encode('fLaC'), ...blocks.map(({ type, body }, i) => buildBlock(type, body, i === blocks.length - 1)), file.slice(offset)],
+    { type: file.type }
+  );
+};
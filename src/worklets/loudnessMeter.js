@@ -0,0 +1,227 @@
+// Level meter: EBU R128 momentary, short-term and integrated loudness,
+// true peak, RMS and phase correlation of a stereo signal.
+//
+// Audio is accumulated in 100 ms steps; a report is posted to the main
+// thread after every step. Send { type: 'reset' } to restart integration.
+//
+// Loaded into the AudioWorklet scope as-is; it must not import anything.
+
+const STEP_SECONDS = 0.1;
+const MOMENTARY_STEPS = 4;
+const SHORT_TERM_STEPS = 30;
+const RMS_STEPS = 3;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Gating blocks are kept as a histogram over -70..+5 LUFS in 0.1 LU bins
+// (as libebur128 does), so integration costs the same however long the
+// meter has run. Each bin sums its blocks' energy, so only the relative
+// gate is rounded to a bin edge.
+const HISTOGRAM_TOP = 5;
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_TOP - ABSOLUTE_GATE) / HISTOGRAM_STEP);
+
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+const energyToLufs = (energy) => (energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity);
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+// BS.1770 K-weighting for any sample rate: high-shelf pre-filter then the
+// RLB high-pass, as biquad coefficients { b0, b1, b2, a1, a2 }
+const kWeightingFilters = (rate) => {
+  let K = Math.tan((Math.PI * 1681.974450955533) / rate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / rate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highPass];
+};
+
+// Windowed-sinc interpolation filter split into polyphase components
+const interpolationPhases = () => {
+  const taps = OVERSAMPLING * TAPS_PER_PHASE;
+  const centre = (taps - 1) / 2;
+  const phases = Array.from({ length: OVERSAMPLING }, () => new Float32Array(TAPS_PER_PHASE));
+  for (let n = 0; n < taps; n++) {
+    const x = (n - centre) / OVERSAMPLING;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * (n + 0.5)) / taps);
+    phases[n % OVERSAMPLING][Math.floor(n / OVERSAMPLING)] = sinc * window;
+  }
+  return phases;
+};
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.filters = kWeightingFilters(sampleRate);
+    this.phases = interpolationPhases();
+    this.stepLength = Math.round(STEP_SECONDS * sampleRate);
+
+    // Per channel: biquad state for both filters and true-peak history
+    this.channels = [0, 1].map(() => ({
+      state: [new Float64Array(4), new Float64Array(4)],
+      history: new Float32Array(TAPS_PER_PHASE),
+      historyIndex: 0
+    }));
+
+    this.port.onmessage = (event) => {
+      if (event.data?.type === 'reset') this.reset();
+    };
+    this.reset();
+  }
+
+  reset() {
+    // Ring of per-step sums, newest last
+    this.steps = [];
+    this.blockCounts = new Uint32Array(HISTOGRAM_BINS);
+    this.blockEnergy = new Float64Array(HISTOGRAM_BINS);
+    this.clearStep();
+  }
+
+  clearStep() {
+    this.step = { frames: 0, weighted: 0, squares: [0, 0], product: 0, truePeak: [0, 0] };
+  }
+
+  // Direct form I biquad; state is [x1, x2, y1, y2]
+  filter(coefficients, state, x) {
+    const y = coefficients.b0 * x + coefficients.b1 * state[0] + coefficients.b2 * state[1]
+      - coefficients.a1 * state[2] - coefficients.a2 * state[3];
+    state[1] = state[0];
+    state[0] = x;
+    state[3] = state[2];
+    state[2] = y;
+    return y;
+  }
+
+  // Largest magnitude among the oversampled points after `sample`
+  oversampledPeak(channel, sample) {
+    channel.history[channel.historyIndex] = sample;
+    let peak = 0;
+    for (let p = 0; p < OVERSAMPLING; p++) {
+      const phase = this.phases[p];
+      let value = 0;
+      for (let k = 0; k < TAPS_PER_PHASE; k++) {
+        value += phase[k] * channel.history[(channel.historyIndex - k + TAPS_PER_PHASE) % TAPS_PER_PHASE];
+      }
+      const magnitude = Math.abs(value);
+      if (magnitude > peak) peak = magnitude;
+    }
+    channel.historyIndex = (channel.historyIndex + 1) % TAPS_PER_PHASE;
+    return peak;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+
+    const left = input[0];
+    const right = input[1] || input[0];
+    const [channelL, channelR] = this.channels;
+    const { filters } = this;
+
+    for (let i = 0; i < left.length; i++) {
+      const l = left[i];
+      const r = right[i];
+      const step = this.step;
+
+      const weightedL = this.filter(filters[1], channelL.state[1], this.filter(filters[0], channelL.state[0], l));
+      const weightedR = this.filter(filters[1], channelR.state[1], this.filter(filters[0], channelR.state[0], r));
+      step.weighted += weightedL * weightedL + weightedR * weightedR;
+      step.squares[0] += l * l;
+      step.squares[1] += r * r;
+      step.product += l * r;
+      step.truePeak[0] = Math.max(step.truePeak[0], this.oversampledPeak(channelL, l));
+      step.truePeak[1] = Math.max(step.truePeak[1], this.oversampledPeak(channelR, r));
+
+      if (++step.frames === this.stepLength) {
+        this.finishStep();
+      }
+    }
+    return true;
+  }
+
+  finishStep() {
+    const { step } = this;
+    this.steps.push(step);
+    if (this.steps.length > SHORT_TERM_STEPS) this.steps.shift();
+
+    const recent = (count) => this.steps.slice(-count);
+    const meanEnergy = (steps) =>
+      steps.reduce((sum, s) => sum + s.weighted, 0) / (steps.length * this.stepLength);
+
+    const momentaryEnergy = meanEnergy(recent(MOMENTARY_STEPS));
+    if (this.steps.length >= MOMENTARY_STEPS) this.addBlock(momentaryEnergy);
+
+    const rmsSteps = recent(RMS_STEPS);
+    const sum = (pick) => rmsSteps.reduce((total, s) => total + pick(s), 0);
+    const frames = rmsSteps.length * this.stepLength;
+    const squaresL = sum((s) => s.squares[0]);
+    const squaresR = sum((s) => s.squares[1]);
+    const product = sum((s) => s.product);
+
+    this.port.postMessage({
+      momentary: this.steps.length >= MOMENTARY_STEPS ? energyToLufs(momentaryEnergy) : -Infinity,
+      shortTerm: this.steps.length >= SHORT_TERM_STEPS ? energyToLufs(meanEnergy(this.steps)) : -Infinity,
+      integrated: this.integrate(),
+      truePeak: step.truePeak.map(toDb),
+      rms: [toDb(Math.sqrt(squaresL / frames)), toDb(Math.sqrt(squaresR / frames))],
+      // Silence or a single silent side has no meaningful correlation
+      correlation: squaresL > 0 && squaresR > 0 ? product / Math.sqrt(squaresL * squaresR) : 0
+    });
+
+    this.clearStep();
+  }
+
+  // Blocks below the absolute gate never count, so they are not kept
+  addBlock(energy) {
+    const lufs = energyToLufs(energy);
+    if (!(lufs > ABSOLUTE_GATE)) return;
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((lufs - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+    this.blockCounts[bin]++;
+    this.blockEnergy[bin] += energy;
+  }
+
+  // Mean energy of the blocks in bins from `first` up
+  meanFromBin(first) {
+    let count = 0;
+    let energy = 0;
+    for (let bin = first; bin < HISTOGRAM_BINS; bin++) {
+      count += this.blockCounts[bin];
+      energy += this.blockEnergy[bin];
+    }
+    return count > 0 ? energy / count : 0;
+  }
+
+  // Two-stage gated mean of all 400 ms blocks since the last reset
+  integrate() {
+    const gatedMean = this.meanFromBin(0);
+    if (gatedMean === 0) return -Infinity;
+
+    const threshold = energyToLufs(gatedMean) + RELATIVE_GATE;
+    const first = Math.max(0, Math.ceil((threshold - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+    return energyToLufs(this.meanFromBin(first));
+  }
+}
+
+registerProcessor('loudness-meter', LoudnessMeterProcessor);
@@ -0,0 +1,83 @@
+// Pitch shifter: two read heads sweep a delay line at a speed set by the
+// pitch ratio, and are crossfaded with complementary windows so one is
+// always silent while it jumps back. Tempo is unaffected.
+//
+// Loaded into the AudioWorklet scope as-is; it must not import anything.
+
+const WINDOW_SECONDS = 0.06;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'ratio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(WINDOW_SECONDS * sampleRate);
+    // Room for the longest delay plus interpolation
+    this.bufferSize = 1;
+    while (this.bufferSize < this.windowSize * 2 + 4) this.bufferSize <<= 1;
+    this.mask = this.bufferSize - 1;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  // Linearly interpolated sample `delay` frames behind `writeIndex`
+  read(buffer, writeIndex, delay) {
+    const position = writeIndex - delay;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = buffer[index & this.mask];
+    const b = buffer[(index + 1) & this.mask];
+    return a + (b - a) * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.ratio[0];
+    const frames = output[0].length;
+
+    while (this.buffers.length < output.length) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+
+    // Phase runs backwards for upward shifts (the heads catch up with the
+    // write position) and forwards for downward shifts
+    const phaseStep = (1 - ratio) / this.windowSize;
+    const startWrite = this.writeIndex;
+    const startPhase = this.phase;
+
+    for (let channel = 0; channel < output.length; channel++) {
+      const source = input[channel] || input[0];
+      const buffer = this.buffers[channel];
+      const out = output[channel];
+      let writeIndex = startWrite;
+      let phase = startPhase;
+
+      for (let i = 0; i < frames; i++) {
+        buffer[writeIndex & this.mask] = source ? source[i] : 0;
+
+        const phaseB = (phase + 0.5) % 1;
+        const gainA = Math.sin(Math.PI * phase) ** 2;
+        const gainB = Math.sin(Math.PI * phaseB) ** 2;
+        out[i] = gainA * this.read(buffer, writeIndex, phase * this.windowSize + 1)
+          + gainB * this.read(buffer, writeIndex, phaseB * this.windowSize + 1);
+
+        writeIndex++;
+        phase += phaseStep;
+        phase -= Math.floor(phase);
+      }
+
+      if (channel === output.length - 1) {
+        this.writeIndex = writeIndex & this.mask;
+        this.phase = phase;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);